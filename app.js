@@ -1,41 +1,82 @@
 // Advanced Photoelectric Effect Simulator
 // High-precision research-grade implementation
+// Browser UI built on the DOM-free PhotoelectricCore (photoelectric-core.js)
 
-class PhotoelectricSimulator {
+class PhotoelectricSimulator extends PhotoelectricCore {
     constructor() {
-        // Physical constants
-        this.constants = {
-            planckConstant: 4.136e-15, // eV·s
-            speedOfLight: 2.998e8,     // m/s
-            elementaryCharge: 1.602e-19 // C
-        };
-
-        // Materials database with enhanced properties
-        this.materials = [
-            { name: "Cesium", symbol: "Cs", workFunction: 2.10, color: "#FF6B6B" },
-            { name: "Sodium", symbol: "Na", workFunction: 2.28, color: "#4ECDC4" },
-            { name: "Potassium", symbol: "K", workFunction: 2.30, color: "#45B7D1" },
-            { name: "Aluminum", symbol: "Al", workFunction: 4.08, color: "#96CEB4" },
-            { name: "Copper", symbol: "Cu", workFunction: 4.70, color: "#FFEAA7" },
-            { name: "Silver", symbol: "Ag", workFunction: 4.73, color: "#DDA0DD" },
-            { name: "Gold", symbol: "Au", workFunction: 5.10, color: "#FFD700" }
-        ];
+        super();
+
+        // User-defined materials persisted in localStorage, loaded once the log exists
+        this.materialStorageKey = 'photoee.customMaterials';
+
+        // CIE 1931 2° colour matching functions x̄, ȳ, z̄ from 380 to 780 nm in 10 nm steps
+        this.cieColorMatching = {
+            start: 380,
+            step: 10,
+            values: [
+                [0.001368, 0.000039, 0.006450],
+                [0.004243, 0.000120, 0.020050],
+                [0.014310, 0.000396, 0.067850],  // 400 nm
+                [0.043510, 0.001210, 0.207400],
+                [0.134380, 0.004000, 0.645600],
+                [0.283900, 0.011600, 1.385600],
+                [0.348280, 0.023000, 1.747060],
+                [0.336200, 0.038000, 1.772110],  // 450 nm
+                [0.290800, 0.060000, 1.669200],
+                [0.195360, 0.090980, 1.287640],
+                [0.095640, 0.139020, 0.812950],
+                [0.032010, 0.208020, 0.465180],
+                [0.004900, 0.323000, 0.272000],  // 500 nm
+                [0.009300, 0.503000, 0.158200],
+                [0.063270, 0.710000, 0.078250],
+                [0.165500, 0.862000, 0.042160],
+                [0.290400, 0.954000, 0.020300],
+                [0.433450, 0.994950, 0.008750],  // 550 nm
+                [0.594500, 0.995000, 0.003900],
+                [0.762100, 0.952000, 0.002100],
+                [0.916300, 0.870000, 0.001650],
+                [1.026300, 0.757000, 0.001100],
+                [1.062200, 0.631000, 0.000800],  // 600 nm
+                [1.002600, 0.503000, 0.000340],
+                [0.854450, 0.381000, 0.000190],
+                [0.642400, 0.265000, 0.000050],
+                [0.447900, 0.175000, 0.000020],
+                [0.283500, 0.107000, 0],  // 650 nm
+                [0.164900, 0.061000, 0],
+                [0.087400, 0.032000, 0],
+                [0.046770, 0.017000, 0],
+                [0.022700, 0.008210, 0],
+                [0.011359, 0.004102, 0],  // 700 nm
+                [0.005790, 0.002091, 0],
+                [0.002899, 0.001047, 0],
+                [0.001440, 0.000520, 0],
+                [0.000690, 0.000249, 0],
+                [0.000332, 0.000120, 0],  // 750 nm
+                [0.000166, 0.000060, 0],
+                [0.000083, 0.000030, 0],
+                [0.000042, 0.000015, 0]
+            ]
+        };
 
-        // Application state
-        this.state = {
-            currentMaterial: this.materials[0],
-            wavelength: 400,        // nm
-            intensity: 5,           // W/m²
-            area: 0.10,            // cm²
-            voltage: 0,            // V
+        // Application state: the core's physics parameters plus the settings only the UI uses
+        Object.assign(this.state, {
+            wavelengthMin: 100,     // nm, slider range
+            wavelengthMax: 700,     // nm
+            wavelengthAxis: 'wavelength', // wavelength | frequency | energy, unit of the slider and numeric entry
             isLightOn: false,
             experimentRunning: false,
+            errorBarMode: 'sd',    // sd | 2sd | se | none
+            energyDiagramView: 'textbook', // textbook | band
+            showTheoryCurve: true,
+            fitModel: 'none',      // none | parabolic | exponential
             measurementCount: 0
-        };
+        });
 
         // Data storage for high-precision measurements
         this.experimentData = [];
         this.allExperimentRuns = [];
+        this.currentRun = null;
+        this.runCounter = 0;
         this.currentMeasurements = [];
 
         // Animation properties
@@ -43,49 +84,434 @@ class PhotoelectricSimulator {
         this.photonParticles = [];
         this.electronParticles = [];
         this.animationFrameId = null;
+        
+        // Energy diagram hit regions ({ x, y, width, height, text, draggable }) from the last on-screen
+        // draw, and the energy range held fixed while the photon bar is dragged
+        this.energyDiagramInteraction = {
+            regions: [],
+            frame: null,
+            range: null,
+            dragging: false
+        };
+        
+        // Setup animation scale: photons per frame at the reference flux, how strongly the quantum
+        // efficiency is exaggerated, and the frames a 1 eV electron needs to cross the field-free gap
+        this.animationScale = {
+            photonsPerFrame: 0.4,
+            referenceFlux: 1e14, // photons/s, about 5 W/m² on 0.1 cm² at 400 nm
+            maxPhotonsPerFrame: 3,
+            qeGain: 10,
+            textbookEmission: 0.7,
+            gapFrames: 40,
+            maxElectronFrames: 600
+        };
+
+        // Measurement table view
+        this.table = {
+            sortKey: 'timestamp',
+            sortAscending: false,  // newest first
+            run: 'all',
+            voltageMin: null,
+            voltageMax: null,
+            page: 0,
+            pageSize: 10
+        };
+
+        // Continuous acquisition onto the strip chart
+        this.acquisition = {
+            timerId: null,
+            rate: 10,              // samples per second
+            window: 60,            // s shown on the strip chart
+            responseTime: 0.3,     // s, ammeter settling time constant
+            filtered: null,        // current the ammeter has settled to so far
+            lastTime: null,
+            samples: []            // { x: timestamp, y: reading }
+        };
+
+        // Automated voltage sweep
+        this.voltageSweep = {
+            status: 'idle',        // idle | running | paused
+            config: null,
+            points: [],
+            index: 0,
+            timerId: null,
+            run: null,
+            scripted: false        // started by a procedure script, which may abort it
+        };
+
+        // Millikan (h/e) analysis
+        this.millikan = {
+            points: [],            // { runId, wavelength, frequency, stoppingPotential, uncertainty, material }
+            fit: null,
+            sweeping: false
+        };
+
+        // Intensity linearity: I_sat and V_s against the intensity or illuminated area
+        this.linearity = {
+            variable: 'intensity',
+            points: [],            // { runId, variable, x, intensity, area, saturationVoltage, saturationCurrent, saturationError, stoppingPotential, stoppingPotentialError, material, wavelength }
+            fit: null,
+            stoppingFit: null,
+            sweeping: false,
+            stopRequested: false   // Stop pressed; the sweep ends at its next voltage
+        };
+
+        // Single-photon counting: Monte Carlo batches of photon events through a neutral-density filter
+        this.monteCarlo = {
+            timerId: null,
+            rate: 10,              // batches per second, each covering 1/rate s of beam time
+            binWidth: 0.05,        // eV per kinetic-energy histogram bin
+            maxPhotonsPerBatch: 5000, // keeps a batch to tens of ms even for broad spectra
+            histogram: { emitted: [], collected: [] },
+            tallies: [],           // per voltage: { voltage, time, photons, emitted, collected }
+            recent: [],            // batches from the last second, for the count rates
+            maxKineticEnergy: 0,
+            scanning: false
+        };
+
+        // Session persistence: autosave plus named sessions in IndexedDB (localStorage fallback)
+        this.sessionVersion = 1;
+        this.sessionIndexKey = 'photoee.sessions';
+        this.maxRecentSessions = 10;
+        this.session = {
+            autosave: this.readAutosavePreference(),
+            restoring: true,       // no autosave until the previous one has been read back
+            autosaveTimer: null,
+            database: null         // promise from openSessionDatabase()
+        };
+
+        // State fields saved with a session (materials are saved by name)
+        this.sessionControlKeys = [
+            'wavelength', 'wavelengthMin', 'wavelengthMax', 'wavelengthAxis',
+            'intensity', 'area', 'voltage', 'currentModel', 'temperature',
+            'contactPotential', 'reverseCurrent', 'strayLightFraction', 'leakageCurrent', 'leakageResistance',
+            'lampWarmup', 'lampWarmupTime', 'lampDrift', 'lampDriftAmplitude',
+            'sourceType', 'mercuryFilter', 'filterLeakage', 'blackbodyTemperature', 'ledFwhm', 'customSpectrum',
+            'analysisMethod', 'errorBarMode', 'showTheoryCurve', 'fitModel', 'binning', 'binWidth',
+            'energyDiagramView'
+        ];
+
+        // Plain form inputs that are read on demand rather than mirrored in state
+        this.sessionSettingKeys = [
+            'sweepStart', 'sweepStop', 'sweepStep', 'sweepDwell', 'sweepDirection',
+            'millikanStart', 'millikanStop', 'millikanStep', 'millikanVoltageStep',
+            'linearityVariable', 'linearityMode', 'linearityStart', 'linearityStop', 'linearityStep',
+            'linearityVoltage', 'linearityVoltageStep',
+            'monteCarloDensity', 'monteCarloDwell', 'spectrumWindow', 'spectrumOrder'
+        ];
+
+        // Log entries shown in the experiment log, kept for saving
+        this.logEntries = [];
+
+        // Unknown-material challenge: { material (hidden stand-in), base, previousMaterial, randomized, startedAt }
+        this.challenge = null;
+        this.challengeJitter = 0.10;        // eV, spread of a randomised work function
+
+        // Units the wavelength can be entered in, and the span its range may be set to
+        this.wavelengthAxes = {
+            wavelength: { label: 'Wavelength', unit: 'nm', step: 1, decimals: 1 },
+            frequency: { label: 'Frequency', unit: 'THz', step: 1, decimals: 1 },
+            energy: { label: 'Photon energy', unit: 'eV', step: 0.01, decimals: 3 }
+        };
+        this.wavelengthLimits = { min: 10, max: 2000 }; // nm, deep UV to near IR
+        this.visibleRange = { min: 380, max: 780 };     // nm, beyond it photons get stand-in colours
 
-        // Chart instance
+        // Guided lab worksheet: { definition, startedAt, steps: { id: completedAt }, answers: { id: answer }, student }
+        this.worksheet = null;
+        this.worksheetQuantities = [
+            'frequency', 'photonEnergy', 'workFunction', 'maxKineticEnergy',
+            'thresholdWavelength', 'stoppingPotential', 'planckOverCharge'
+        ];
+
+        // Scripting API events, subscribed to with on()
+        this.events = new EventTarget();
+        this.scriptApiMethods = ['setMaterial', 'setWavelength', 'setIntensity', 'setArea', 'setVoltage', 'setLight', 'measure', 'sweep', 'getData'];
+
+        // In-page procedure script
+        this.script = {
+            status: 'idle',        // idle | running | paused
+            stepMode: false,       // pause before every API call
+            step: 0,
+            advance: null,         // resolves the pause before the next step
+            stopRequested: false
+        };
+
+        // Reference and fitted curves drawn over the I-V runs
+        this.theoryDataset = {
+            label: 'Theory (ideal instrument)',
+            data: [],
+            borderColor: '#134252',
+            backgroundColor: '#134252',
+            borderWidth: 1.5,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            showLine: true,
+            tension: 0
+        };
+        this.theoryKey = null;
+        this.theoryShape = [];     // photocurrent at unit source power, scaled to the present intensity × area
+        this.fitDataset = {
+            label: 'Fit',
+            data: [],
+            borderWidth: 2,
+            pointRadius: 0,
+            showLine: true,
+            tension: 0
+        };
+        this.ivFit = null;
+
+        // Retarding-field energy spectrum: the model curve is cached like the theory curve, and the
+        // spectrum is only brought up to date while its panel is on screen
+        this.spectrumModel = [];
+        this.spectrumModelKey = null;
+        this.spectrumVisible = true;
+        this.spectrumStale = false;
+
+        // Chart instances
         this.ivChart = null;
+        this.millikanChart = null;
+        this.residualChart = null;
+        this.spectrumChart = null;
+        this.linearityCurrentChart = null;
+        this.linearityStoppingChart = null;
+        this.monteCarloHistogramChart = null;
+        this.monteCarloIvChart = null;
+        this.stripChart = null;
 
         this.initializeApplication();
     }
 
     initializeApplication() {
         this.initializeElements();
+        this.loadCustomMaterials();
+        this.populateMaterialSelects();
         this.setupEventListeners();
+        this.updateInstrumentControls();
         this.initializeChart();
+        this.initializeSpectrumChart();
+        this.initializeMillikanCharts();
+        this.initializeLinearityCharts();
+        this.initializeMonteCarloCharts();
+        this.initializeStripChart();
+        this.updateWavelengthSlider();
         this.updateAllCalculations();
         this.startAnimationLoop();
         this.logMessage("Advanced photoelectric effect simulator initialized");
+        this.restoreAutosave();
     }
 
     initializeElements() {
         this.elements = {
             // Controls
             materialSelect: document.getElementById('material-select'),
+            
+            // Materials library
+            materialList: document.getElementById('material-list'),
+            materialName: document.getElementById('material-name'),
+            materialSymbol: document.getElementById('material-symbol'),
+            materialWorkFunction: document.getElementById('material-work-function'),
+            materialColor: document.getElementById('material-color'),
+            materialQeMax: document.getElementById('material-qe-max'),
+            materialQeScale: document.getElementById('material-qe-scale'),
+            materialQeCurve: document.getElementById('material-qe-curve'),
+            materialSource: document.getElementById('material-source'),
+            materialSave: document.getElementById('material-save'),
+            materialSaveNew: document.getElementById('material-save-new'),
+            materialDelete: document.getElementById('material-delete'),
+            materialExport: document.getElementById('material-export'),
+            materialImport: document.getElementById('material-import'),
+            materialImportFile: document.getElementById('material-import-file'),
+            sourceType: document.getElementById('source-type'),
+            mercuryOptions: document.getElementById('source-mercury-options'),
+            mercuryFilter: document.getElementById('mercury-filter'),
+            filterLeakage: document.getElementById('filter-leakage'),
+            blackbodyOptions: document.getElementById('source-blackbody-options'),
+            blackbodyTemperature: document.getElementById('blackbody-temperature'),
+            ledOptions: document.getElementById('source-led-options'),
+            ledFwhm: document.getElementById('led-fwhm'),
+            customOptions: document.getElementById('source-custom-options'),
+            customSpectrumFile: document.getElementById('custom-spectrum-file'),
+            customSpectrumName: document.getElementById('custom-spectrum-name'),
             wavelengthSlider: document.getElementById('wavelength-slider'),
             wavelengthValue: document.getElementById('wavelength-value'),
             frequencyValue: document.getElementById('frequency-value'),
+            photonEnergyValue: document.getElementById('photon-energy-value'),
+            wavelengthAxis: document.getElementById('wavelength-axis'),
+            wavelengthInput: document.getElementById('wavelength-input'),
+            wavelengthInputUnit: document.getElementById('wavelength-input-unit'),
+            wavelengthRangeMin: document.getElementById('wavelength-range-min'),
+            wavelengthRangeMax: document.getElementById('wavelength-range-max'),
             intensitySlider: document.getElementById('intensity-slider'),
             intensityValue: document.getElementById('intensity-value'),
             areaSlider: document.getElementById('area-slider'),
             areaValue: document.getElementById('area-value'),
             voltageSlider: document.getElementById('voltage-slider'),
             voltageValue: document.getElementById('voltage-value'),
+            currentModel: document.getElementById('current-model'),
+            cathodeTemperature: document.getElementById('cathode-temperature'),
+            
+            // Systematic effects
+            collectorSelect: document.getElementById('collector-select'),
+            contactPotentialToggle: document.getElementById('contact-potential-toggle'),
+            reverseCurrentToggle: document.getElementById('reverse-current-toggle'),
+            strayLight: document.getElementById('stray-light'),
+            leakageToggle: document.getElementById('leakage-toggle'),
+            leakageResistance: document.getElementById('leakage-resistance'),
+            lampWarmupToggle: document.getElementById('lamp-warmup-toggle'),
+            lampWarmupTime: document.getElementById('lamp-warmup-time'),
+            lampDriftToggle: document.getElementById('lamp-drift-toggle'),
+            lampDriftAmplitude: document.getElementById('lamp-drift-amplitude'),
+            contactPotentialValue: document.getElementById('contact-potential-value'),
             
             // Buttons
             switchLight: document.getElementById('switch-light'),
             resetExperiment: document.getElementById('reset-experiment'),
             exportData: document.getElementById('export-data'),
+            exportDialog: document.getElementById('export-dialog'),
+            exportClose: document.getElementById('export-close'),
+            exportFormat: document.getElementById('export-format'),
+            exportDataDownload: document.getElementById('export-data-download'),
+            figureTarget: document.getElementById('figure-target'),
+            figureFormat: document.getElementById('figure-format'),
+            figureWidth: document.getElementById('figure-width'),
+            figureHeight: document.getElementById('figure-height'),
+            figureScale: document.getElementById('figure-scale'),
+            figureFontSize: document.getElementById('figure-font-size'),
+            figureFontFamily: document.getElementById('figure-font-family'),
+            figureErrorBars: document.getElementById('figure-error-bars'),
+            exportFigureDownload: document.getElementById('export-figure-download'),
+            importData: document.getElementById('import-data'),
+            importDataFile: document.getElementById('import-data-file'),
             clearGraph: document.getElementById('clear-graph'),
             
+            // Voltage sweep
+            sweepStart: document.getElementById('sweep-start'),
+            sweepStop: document.getElementById('sweep-stop'),
+            sweepStep: document.getElementById('sweep-step'),
+            sweepDwell: document.getElementById('sweep-dwell'),
+            sweepDirection: document.getElementById('sweep-direction'),
+            sweepStartBtn: document.getElementById('sweep-start-btn'),
+            sweepPauseBtn: document.getElementById('sweep-pause-btn'),
+            sweepAbortBtn: document.getElementById('sweep-abort-btn'),
+            sweepStatus: document.getElementById('sweep-status'),
+            sweepProgress: document.getElementById('sweep-progress'),
+            sweepProgressText: document.getElementById('sweep-progress-text'),
+            
+            // Run manager
+            newRun: document.getElementById('new-run'),
+            runList: document.getElementById('run-list'),
+            
+            // Millikan analysis
+            millikanChart: document.getElementById('millikan-chart'),
+            residualChart: document.getElementById('residual-chart'),
+            stripChart: document.getElementById('strip-chart'),
+            stripStats: document.getElementById('strip-stats'),
+            acquisitionToggle: document.getElementById('acquisition-toggle'),
+            acquisitionRate: document.getElementById('acquisition-rate'),
+            acquisitionWindow: document.getElementById('acquisition-window'),
+            acquisitionResponse: document.getElementById('acquisition-response'),
+            millikanFromRuns: document.getElementById('millikan-from-runs'),
+            millikanSweep: document.getElementById('millikan-sweep'),
+            millikanClear: document.getElementById('millikan-clear'),
+            millikanStart: document.getElementById('millikan-start'),
+            millikanStop: document.getElementById('millikan-stop'),
+            millikanStep: document.getElementById('millikan-step'),
+            millikanVoltageStep: document.getElementById('millikan-voltage-step'),
+            millikanHOverE: document.getElementById('millikan-h-over-e'),
+            millikanPlanck: document.getElementById('millikan-planck'),
+            millikanWorkFunction: document.getElementById('millikan-work-function'),
+            millikanChi2: document.getElementById('millikan-chi2'),
+            millikanPointCount: document.getElementById('millikan-point-count'),
+            linearityCurrentChart: document.getElementById('linearity-current-chart'),
+            linearityStoppingChart: document.getElementById('linearity-stopping-chart'),
+            linearityVariable: document.getElementById('linearity-variable'),
+            linearityMode: document.getElementById('linearity-mode'),
+            linearityStart: document.getElementById('linearity-start'),
+            linearityStop: document.getElementById('linearity-stop'),
+            linearityStep: document.getElementById('linearity-step'),
+            linearityVoltage: document.getElementById('linearity-voltage'),
+            linearityVoltageStep: document.getElementById('linearity-voltage-step'),
+            linearitySweep: document.getElementById('linearity-sweep'),
+            linearityAbort: document.getElementById('linearity-abort'),
+            linearityClear: document.getElementById('linearity-clear'),
+            linearityExport: document.getElementById('linearity-export'),
+            linearityPointCount: document.getElementById('linearity-point-count'),
+            linearitySlope: document.getElementById('linearity-slope'),
+            linearityIntercept: document.getElementById('linearity-intercept'),
+            linearityChi2: document.getElementById('linearity-chi2'),
+            linearityStoppingMean: document.getElementById('linearity-stopping-mean'),
+            linearityStoppingSlope: document.getElementById('linearity-stopping-slope'),
+            spectrumChart: document.getElementById('spectrum-chart'),
+            spectrumRun: document.getElementById('spectrum-run'),
+            spectrumWindow: document.getElementById('spectrum-window'),
+            spectrumOrder: document.getElementById('spectrum-order'),
+            spectrumRunName: document.getElementById('spectrum-run-name'),
+            spectrumCutoff: document.getElementById('spectrum-cutoff'),
+            spectrumModelCutoff: document.getElementById('spectrum-model-cutoff'),
+            spectrumPeak: document.getElementById('spectrum-peak'),
+            monteCarloHistogram: document.getElementById('monte-carlo-histogram'),
+            monteCarloIvChart: document.getElementById('monte-carlo-iv-chart'),
+            monteCarloToggle: document.getElementById('monte-carlo-toggle'),
+            monteCarloClear: document.getElementById('monte-carlo-clear'),
+            monteCarloScan: document.getElementById('monte-carlo-scan'),
+            monteCarloDensity: document.getElementById('monte-carlo-density'),
+            monteCarloDwell: document.getElementById('monte-carlo-dwell'),
+            monteCarloCount: document.getElementById('monte-carlo-count'),
+            monteCarloPhotonRate: document.getElementById('monte-carlo-photon-rate'),
+            monteCarloEmissionRate: document.getElementById('monte-carlo-emission-rate'),
+            monteCarloCollectionRate: document.getElementById('monte-carlo-collection-rate'),
+            monteCarloCurrent: document.getElementById('monte-carlo-current'),
+            monteCarloMaxEnergy: document.getElementById('monte-carlo-max-energy'),
+            
+            // Sessions
+            sessionName: document.getElementById('session-name'),
+            sessionSave: document.getElementById('session-save'),
+            sessionRecent: document.getElementById('session-recent'),
+            sessionLoad: document.getElementById('session-load'),
+            sessionDelete: document.getElementById('session-delete'),
+            sessionDownload: document.getElementById('session-download'),
+            sessionOpen: document.getElementById('session-open'),
+            sessionFile: document.getElementById('session-file'),
+            sessionAutosave: document.getElementById('session-autosave'),
+            sessionStatus: document.getElementById('session-status'),
+            
             // Displays
             emissionStatus: document.getElementById('emission-status'),
+            energyDiagramView: document.getElementById('energy-diagram-view'),
+            energyTooltip: document.getElementById('energy-tooltip'),
             photonEnergyValue: document.getElementById('photon-energy-value'),
             workFunctionValue: document.getElementById('work-function-value'),
             maxKeValue: document.getElementById('max-ke-value'),
             thresholdWavelength: document.getElementById('threshold-wavelength'),
+            photonFluxValue: document.getElementById('photon-flux-value'),
+            quantumEfficiencyValue: document.getElementById('quantum-efficiency-value'),
             stoppingPotential: document.getElementById('stopping-potential'),
+            stoppingPotentialCi: document.getElementById('stopping-potential-ci'),
+            theoreticalStoppingPotential: document.getElementById('theoretical-stopping-potential'),
+            stoppingPotentialError: document.getElementById('stopping-potential-error'),
+            analysisMethod: document.getElementById('analysis-method'),
+            errorBarMode: document.getElementById('error-bar-mode'),
+            theoryCurveToggle: document.getElementById('theory-curve-toggle'),
+            fitModel: document.getElementById('fit-model'),
+            fitResults: document.getElementById('fit-results'),
+            fitRun: document.getElementById('fit-run'),
+            fitSaturation: document.getElementById('fit-saturation'),
+            fitStoppingPotential: document.getElementById('fit-stopping-potential'),
+            fitOffset: document.getElementById('fit-offset'),
+            fitChi2: document.getElementById('fit-chi2'),
+            
+            // Instrument model
+            instrumentPreset: document.getElementById('instrument-preset'),
+            instrumentShotNoise: document.getElementById('instrument-shot-noise'),
+            instrumentJohnsonNoise: document.getElementById('instrument-johnson-noise'),
+            instrumentIntegrationTime: document.getElementById('instrument-integration-time'),
+            instrumentFeedbackResistance: document.getElementById('instrument-feedback-resistance'),
+            instrumentTemperature: document.getElementById('instrument-temperature'),
+            instrumentDarkCurrent: document.getElementById('instrument-dark-current'),
+            instrumentAmmeterCounts: document.getElementById('instrument-ammeter-counts'),
+            instrumentAmmeterRange: document.getElementById('instrument-ammeter-range'),
+            instrumentVoltmeterOffset: document.getElementById('instrument-voltmeter-offset'),
+            instrumentVoltmeterDrift: document.getElementById('instrument-voltmeter-drift'),
             currentValue: document.getElementById('current-value'),
             currentStd: document.getElementById('current-std'),
             liveCurrent: document.getElementById('live-current'),
@@ -99,6 +525,44 @@ class PhotoelectricSimulator {
             
             // Tables and logs
             dataTableBody: document.querySelector('#data-table tbody'),
+            dataTableHeaders: document.querySelectorAll('#data-table th[data-sort]'),
+            binningToggle: document.getElementById('binning-toggle'),
+            binWidth: document.getElementById('bin-width'),
+            tableRunFilter: document.getElementById('table-run-filter'),
+            tableVoltageMin: document.getElementById('table-voltage-min'),
+            tableVoltageMax: document.getElementById('table-voltage-max'),
+            tablePrev: document.getElementById('table-prev'),
+            tableNext: document.getElementById('table-next'),
+            tablePageInfo: document.getElementById('table-page-info'),
+            tablePageSize: document.getElementById('table-page-size'),
+            scriptEditor: document.getElementById('script-editor'),
+            scriptRun: document.getElementById('script-run'),
+            scriptStep: document.getElementById('script-step'),
+            scriptStop: document.getElementById('script-stop'),
+            scriptStatus: document.getElementById('script-status'),
+            scriptOutput: document.getElementById('script-output'),
+            challengeStatus: document.getElementById('challenge-status'),
+            challengeRandomize: document.getElementById('challenge-randomize'),
+            challengeStart: document.getElementById('challenge-start'),
+            challengeSetup: document.getElementById('challenge-setup'),
+            challengeAnswer: document.getElementById('challenge-answer'),
+            challengeGuess: document.getElementById('challenge-guess'),
+            challengeWorkFunction: document.getElementById('challenge-work-function'),
+            challengeSubmit: document.getElementById('challenge-submit'),
+            challengeGiveUp: document.getElementById('challenge-give-up'),
+            challengeResult: document.getElementById('challenge-result'),
+            worksheetOpen: document.getElementById('worksheet-open'),
+            worksheetFile: document.getElementById('worksheet-file'),
+            worksheetClose: document.getElementById('worksheet-close'),
+            worksheetEmpty: document.getElementById('worksheet-empty'),
+            worksheetContent: document.getElementById('worksheet-content'),
+            worksheetTitle: document.getElementById('worksheet-title'),
+            worksheetDescription: document.getElementById('worksheet-description'),
+            worksheetSteps: document.getElementById('worksheet-steps'),
+            worksheetQuestions: document.getElementById('worksheet-questions'),
+            worksheetStudent: document.getElementById('worksheet-student'),
+            worksheetScore: document.getElementById('worksheet-score'),
+            worksheetReport: document.getElementById('worksheet-report'),
             experimentLog: document.getElementById('experiment-log')
         };
 
@@ -122,46 +586,551 @@ class PhotoelectricSimulator {
         setupCanvas.height = 300;
     }
 
+    populateMaterialSelects(listed = this.materials[parseInt(this.elements.materialList.value)]) {
+        // The cathode, collector and library dropdowns are all built from this.materials
+        const fill = (select, selected, labelSuffix) => {
+            select.innerHTML = '';
+            this.materials.forEach((material, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = `${material.name} (${material.symbol}) - ${material.workFunction.toFixed(2)} eV` +
+                    (labelSuffix ? labelSuffix(material) : '');
+                select.appendChild(option);
+            });
+            select.value = Math.max(0, this.materials.indexOf(selected));
+        };
+
+        fill(this.elements.materialSelect, this.state.currentMaterial);
+        fill(this.elements.collectorSelect, this.state.collectorMaterial);
+
+        fill(this.elements.materialList, listed || this.state.currentMaterial, m => (m.builtIn ? '' : ' ★'));
+
+        // During a challenge the cathode select only says that the sample is unknown
+        if (this.challenge) {
+            const option = document.createElement('option');
+            option.value = 'challenge';
+            option.textContent = this.challenge.material.name;
+            this.elements.materialSelect.appendChild(option);
+            this.elements.materialSelect.value = 'challenge';
+        }
+        this.showMaterialInEditor(this.materials[parseInt(this.elements.materialList.value)]);
+    }
+
+    loadCustomMaterials() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.materialStorageKey) || '[]');
+            stored.forEach(raw => {
+                const { material } = this.normalizeMaterial(raw);
+                if (material && !this.materials.some(m => m.name === material.name)) {
+                    this.materials.push(material);
+                }
+            });
+        } catch (error) {
+            this.logMessage('Custom materials could not be loaded in this browser');
+        }
+    }
+
+    saveCustomMaterials() {
+        const custom = this.materials.filter(m => !m.builtIn).map(m => this.serializeMaterial(m));
+        try {
+            localStorage.setItem(this.materialStorageKey, JSON.stringify(custom));
+        } catch (error) {
+            this.logMessage('Custom materials could not be saved in this browser');
+        }
+    }
+
+    serializeMaterial(material) {
+        const data = {
+            name: material.name,
+            symbol: material.symbol,
+            workFunction: material.workFunction,
+            color: material.color
+        };
+        if (material.qe) data.qe = { ...material.qe };
+        if (material.qeCurve) data.qeCurve = material.qeCurve.map(p => ({ ...p }));
+        if (material.source) data.source = material.source;
+        return data;
+    }
+
+    normalizeMaterial(raw) {
+        // Validate an imported or edited material; returns { material } or { error }
+        if (!raw || typeof raw !== 'object') return { error: 'entry is not an object' };
+
+        const name = String(raw.name || '').trim();
+        const symbol = String(raw.symbol || '').trim();
+        const workFunction = parseFloat(raw.workFunction);
+        const color = String(raw.color || '').trim();
+
+        if (!name) return { error: 'name is required' };
+        if (!symbol || symbol.length > 4) return { error: `${name}: symbol must be 1-4 characters` };
+        if (isNaN(workFunction) || workFunction < 0.5 || workFunction > 10) {
+            return { error: `${name}: work function must be between 0.5 and 10 eV` };
+        }
+        if (!/^#[0-9a-fA-F]{6}$/.test(color)) return { error: `${name}: color must be a #RRGGBB value` };
+
+        const material = { name, symbol, workFunction, color, builtIn: false };
+
+        if (raw.qe) {
+            const max = parseFloat(raw.qe.max);
+            const scale = parseFloat(raw.qe.scale);
+            if (isNaN(max) || max <= 0 || max > 1 || isNaN(scale) || scale <= 0) {
+                return { error: `${name}: QE peak must be in (0, 1] and its scale positive` };
+            }
+            material.qe = { max, scale };
+        }
+
+        if (raw.qeCurve) {
+            if (!Array.isArray(raw.qeCurve) || raw.qeCurve.length < 2) {
+                return { error: `${name}: QE curve needs at least two points` };
+            }
+            const curve = raw.qeCurve.map(p => ({ wavelength: parseFloat(p.wavelength), qe: parseFloat(p.qe) }));
+            if (curve.some(p => isNaN(p.wavelength) || p.wavelength <= 0 || isNaN(p.qe) || p.qe < 0 || p.qe > 1)) {
+                return { error: `${name}: QE curve points need a positive wavelength and a QE in [0, 1]` };
+            }
+            material.qeCurve = curve.sort((a, b) => a.wavelength - b.wavelength);
+        }
+
+        if (raw.source) material.source = String(raw.source).trim();
+
+        return { material };
+    }
+
+    showMaterialInEditor(material) {
+        if (!material) return;
+
+        this.elements.materialName.value = material.name;
+        this.elements.materialSymbol.value = material.symbol;
+        this.elements.materialWorkFunction.value = material.workFunction;
+        this.elements.materialColor.value = material.color;
+        this.elements.materialQeMax.value = material.qe ? material.qe.max : '';
+        this.elements.materialQeScale.value = material.qe ? material.qe.scale : '';
+        this.elements.materialQeCurve.value = material.qeCurve
+            ? material.qeCurve.map(p => `${p.wavelength}:${p.qe}`).join(', ')
+            : '';
+        this.elements.materialSource.value = material.source || '';
+
+        // Built-in materials can only be copied
+        this.elements.materialSave.disabled = material.builtIn;
+        this.elements.materialDelete.disabled = material.builtIn;
+    }
+
+    readMaterialEditor() {
+        const raw = {
+            name: this.elements.materialName.value,
+            symbol: this.elements.materialSymbol.value,
+            workFunction: this.elements.materialWorkFunction.value,
+            color: this.elements.materialColor.value,
+            source: this.elements.materialSource.value
+        };
+
+        if (this.elements.materialQeMax.value !== '' || this.elements.materialQeScale.value !== '') {
+            raw.qe = { max: this.elements.materialQeMax.value, scale: this.elements.materialQeScale.value };
+        }
+
+        // QE curve is entered as "wavelength:qe" pairs
+        const curveText = this.elements.materialQeCurve.value.trim();
+        if (curveText) {
+            raw.qeCurve = curveText.split(/[,;\n]+/).filter(Boolean).map(pair => {
+                const [wavelength, qe] = pair.split(':');
+                return { wavelength, qe };
+            });
+        }
+
+        return this.normalizeMaterial(raw);
+    }
+
+    saveMaterialFromEditor(asNew) {
+        const { material, error } = this.readMaterialEditor();
+        if (error) {
+            this.logMessage(`Material not saved - ${error}`);
+            return;
+        }
+
+        const selected = this.materials[parseInt(this.elements.materialList.value)];
+        const existing = this.materials.find(m => m.name === material.name);
+        let listed = selected;
+
+        if (asNew || !selected || selected.builtIn) {
+            if (existing) {
+                this.logMessage(`Material not saved - "${material.name}" already exists`);
+                return;
+            }
+            this.materials.push(material);
+            listed = material;
+            this.logMessage(`Added material ${material.name}`);
+        } else {
+            if (existing && existing !== selected) {
+                this.logMessage(`Material not saved - "${material.name}" already exists`);
+                return;
+            }
+            this.updateMaterialInPlace(selected, material);
+            this.logMessage(`Updated material ${material.name}`);
+        }
+
+        this.saveCustomMaterials();
+        this.populateMaterialSelects(listed);
+        this.updateAllCalculations();
+    }
+
+    updateMaterialInPlace(target, material) {
+        // Edit in place so the cathode/collector selections keep pointing at it; optional fields
+        // the new version leaves out must not linger from the old one
+        Object.assign(target, material);
+        if (!material.qe) delete target.qe;
+        if (!material.qeCurve) delete target.qeCurve;
+        if (!material.source) delete target.source;
+    }
+
+    deleteSelectedMaterial() {
+        const material = this.materials[parseInt(this.elements.materialList.value)];
+        if (!material || material.builtIn) return;
+
+        this.materials = this.materials.filter(m => m !== material);
+
+        // Fall back to the default cathode/collector if the deleted material was in use
+        if (this.state.currentMaterial === material) {
+            this.state.currentMaterial = this.materials[0];
+        }
+        if (this.state.collectorMaterial === material) {
+            this.state.collectorMaterial = this.materials[4];
+        }
+
+        this.saveCustomMaterials();
+        this.populateMaterialSelects(this.materials[0]);
+        this.updateAllCalculations();
+        this.logMessage(`Deleted material ${material.name}`);
+    }
+
+    exportMaterialLibrary() {
+        const library = {
+            format: 'photoee-materials',
+            version: 1,
+            exported: new Date().toISOString(),
+            materials: this.materials.map(m => this.serializeMaterial(m))
+        };
+
+        this.downloadFile(JSON.stringify(library, null, 2), `photoee_materials_${Date.now()}.json`, 'application/json');
+        this.logMessage(`Exported ${this.materials.length} materials to JSON`);
+    }
+
+    async importMaterialLibrary(file) {
+        let library;
+        try {
+            library = JSON.parse(await file.text());
+        } catch (error) {
+            this.logMessage(`Material import failed - ${file.name} is not valid JSON`);
+            return;
+        }
+
+        const entries = Array.isArray(library) ? library : library.materials;
+        if (!Array.isArray(entries)) {
+            this.logMessage('Material import failed - no "materials" array found');
+            return;
+        }
+
+        let added = 0;
+        let updated = 0;
+        entries.forEach((raw, index) => {
+            const { material, error } = this.normalizeMaterial(raw);
+            if (error) {
+                this.logMessage(`Material ${index + 1} skipped: ${error}`);
+                return;
+            }
+
+            const existing = this.materials.find(m => m.name === material.name);
+            if (!existing) {
+                this.materials.push(material);
+                added++;
+            } else if (!existing.builtIn) {
+                this.updateMaterialInPlace(existing, material);
+                updated++;
+            }
+            // Built-in entries in an exported library are left untouched
+        });
+
+        this.saveCustomMaterials();
+        this.populateMaterialSelects();
+        this.updateAllCalculations();
+        this.logMessage(`Imported materials from ${file.name}: ${added} added, ${updated} updated`);
+    }
+
     setupEventListeners() {
         // Material selection
         this.elements.materialSelect.addEventListener('change', (e) => {
-            this.state.currentMaterial = this.materials[parseInt(e.target.value)];
-            this.updateAllCalculations();
-            this.logMessage(`Material changed to ${this.state.currentMaterial.name}`);
+            this.setMaterial(this.materials[parseInt(e.target.value)]);
+        });
+
+        // Light source type and its settings
+        this.elements.sourceType.addEventListener('change', (e) => {
+            this.state.sourceType = e.target.value;
+            this.applyLightSource();
+            this.logMessage(`Light source: ${this.getSourceDescription()}`);
+        });
+
+        this.elements.mercuryFilter.addEventListener('change', (e) => {
+            this.setMercuryFilter(e.target.value);
+        });
+
+        this.elements.filterLeakage.addEventListener('change', (e) => {
+            const percent = parseFloat(e.target.value);
+            if (isNaN(percent) || percent < 0 || percent > 100) {
+                e.target.value = this.state.filterLeakage * 100;
+                return;
+            }
+            this.state.filterLeakage = percent / 100;
+            this.applyLightSource();
+        });
+
+        this.elements.blackbodyTemperature.addEventListener('change', (e) => {
+            const temperature = parseFloat(e.target.value);
+            if (isNaN(temperature) || temperature < 500 || temperature > 50000) {
+                e.target.value = this.state.blackbodyTemperature;
+                return;
+            }
+            this.state.blackbodyTemperature = temperature;
+            this.applyLightSource();
+            this.logMessage(`Light source: ${this.getSourceDescription()}`);
+        });
+
+        this.elements.ledFwhm.addEventListener('change', (e) => {
+            const fwhm = parseFloat(e.target.value);
+            if (isNaN(fwhm) || fwhm <= 0 || fwhm > 200) {
+                e.target.value = this.state.ledFwhm;
+                return;
+            }
+            this.state.ledFwhm = fwhm;
+            this.applyLightSource();
+        });
+
+        this.elements.customSpectrumFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadCustomSpectrum(file);
+            }
+            e.target.value = '';
         });
 
         // Wavelength control with immediate updates
         this.elements.wavelengthSlider.addEventListener('input', (e) => {
-            this.state.wavelength = parseFloat(e.target.value);
-            this.updateWavelengthDisplay();
-            this.updateAllCalculations();
+            this.applyWavelength(this.clampWavelength(this.axisToWavelength(parseFloat(e.target.value))));
             this.logMessage(`Wavelength adjusted to ${this.state.wavelength} nm`);
         });
 
+        // Numeric entry in the unit of the chosen input axis
+        this.elements.wavelengthInput.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            const wavelength = value > 0 ? this.axisToWavelength(value) : NaN;
+            const error = this.applyWavelength(wavelength);
+            if (error) {
+                this.logMessage(error);
+                this.updateWavelengthDisplay();
+            } else {
+                this.logMessage(`Wavelength set to ${this.state.wavelength} nm`);
+            }
+        });
+
+        this.elements.wavelengthAxis.addEventListener('change', (e) => {
+            this.state.wavelengthAxis = e.target.value in this.wavelengthAxes ? e.target.value : 'wavelength';
+            this.updateWavelengthSlider();
+        });
+
+        [this.elements.wavelengthRangeMin, this.elements.wavelengthRangeMax].forEach(input => {
+            input.addEventListener('change', () => {
+                this.setWavelengthRange(parseFloat(this.elements.wavelengthRangeMin.value),
+                    parseFloat(this.elements.wavelengthRangeMax.value));
+            });
+        });
+
+        // Energy diagram view, tooltips and photon-bar dragging
+        this.elements.energyDiagramView.addEventListener('change', (e) => {
+            this.state.energyDiagramView = e.target.value === 'band' ? 'band' : 'textbook';
+            this.drawEnergyDiagram(this.calculatePhysics());
+        });
+
+        ['mousedown', 'mousemove', 'mouseleave'].forEach(type => {
+            this.elements.energyDiagram.addEventListener(type, (e) => this.handleEnergyDiagramPointer(e));
+        });
+        window.addEventListener('mouseup', () => this.endEnergyDiagramDrag());
+
         // Intensity control
         this.elements.intensitySlider.addEventListener('input', (e) => {
-            this.state.intensity = parseFloat(e.target.value);
-            this.elements.intensityValue.textContent = this.state.intensity.toFixed(1);
-            this.updateAllCalculations();
+            this.applyIntensity(parseFloat(e.target.value));
         });
 
         // Area control
         this.elements.areaSlider.addEventListener('input', (e) => {
-            this.state.area = parseFloat(e.target.value);
-            this.elements.areaValue.textContent = this.state.area.toFixed(2);
-            this.updateAllCalculations();
+            this.applyArea(parseFloat(e.target.value));
         });
 
         // Voltage control
         this.elements.voltageSlider.addEventListener('input', (e) => {
-            this.state.voltage = parseFloat(e.target.value);
-            this.elements.voltageValue.textContent = this.state.voltage.toFixed(2);
-            this.updateAllCalculations();
+            this.applyVoltage(parseFloat(e.target.value));
             if (this.state.isLightOn) {
                 this.takePrecisionMeasurement();
             }
         });
 
+        // Photocurrent model
+        this.elements.currentModel.addEventListener('change', (e) => {
+            this.state.currentModel = e.target.value;
+            this.elements.cathodeTemperature.disabled = this.state.currentModel !== 'physical';
+            this.updateAllCalculations();
+            this.logMessage(`Photocurrent model: ${e.target.selectedOptions[0].textContent}`);
+        });
+
+        this.elements.cathodeTemperature.addEventListener('change', (e) => {
+            const temperature = parseFloat(e.target.value);
+            if (isNaN(temperature) || temperature < 0) {
+                e.target.value = this.state.temperature;
+                return;
+            }
+            this.state.temperature = temperature;
+            this.updateAllCalculations();
+            this.logMessage(`Cathode temperature set to ${temperature} K`);
+        });
+
+        // Systematic effects
+        this.elements.collectorSelect.addEventListener('change', (e) => {
+            this.state.collectorMaterial = this.materials[parseInt(e.target.value)];
+            this.updateAllCalculations();
+            this.logMessage(`Collector material changed to ${this.state.collectorMaterial.name}`);
+        });
+
+        this.elements.contactPotentialToggle.addEventListener('change', (e) => {
+            this.state.contactPotential = e.target.checked;
+            this.updateAllCalculations();
+            this.logMessage(`Contact potential ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+
+        this.elements.reverseCurrentToggle.addEventListener('change', (e) => {
+            this.state.reverseCurrent = e.target.checked;
+            this.updateAllCalculations();
+            this.logMessage(`Reverse (anode) photocurrent ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+
+        this.elements.strayLight.addEventListener('change', (e) => {
+            const percent = parseFloat(e.target.value);
+            if (isNaN(percent) || percent < 0 || percent > 100) {
+                e.target.value = this.state.strayLightFraction * 100;
+                return;
+            }
+            this.state.strayLightFraction = percent / 100;
+            this.updateAllCalculations();
+        });
+
+        this.elements.leakageToggle.addEventListener('change', (e) => {
+            this.state.leakageCurrent = e.target.checked;
+            this.updateAllCalculations();
+            this.logMessage(`Leakage current ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+
+        this.elements.leakageResistance.addEventListener('change', (e) => {
+            const resistance = parseFloat(e.target.value);
+            if (isNaN(resistance) || resistance <= 0) {
+                e.target.value = this.state.leakageResistance;
+                return;
+            }
+            this.state.leakageResistance = resistance;
+            this.updateAllCalculations();
+        });
+
+        this.elements.lampWarmupToggle.addEventListener('change', (e) => {
+            this.state.lampWarmup = e.target.checked;
+            this.updateAllCalculations();
+            this.logMessage(`Lamp warm-up ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+
+        this.elements.lampWarmupTime.addEventListener('change', (e) => {
+            const seconds = parseFloat(e.target.value);
+            if (isNaN(seconds) || seconds <= 0) {
+                e.target.value = this.state.lampWarmupTime;
+                return;
+            }
+            this.state.lampWarmupTime = seconds;
+            this.updateAllCalculations();
+        });
+
+        this.elements.lampDriftToggle.addEventListener('change', (e) => {
+            this.state.lampDrift = e.target.checked;
+            this.updateAllCalculations();
+            this.logMessage(`Lamp drift ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+
+        this.elements.lampDriftAmplitude.addEventListener('change', (e) => {
+            const percent = parseFloat(e.target.value);
+            if (isNaN(percent) || percent < 0 || percent > 50) {
+                e.target.value = this.state.lampDriftAmplitude;
+                return;
+            }
+            this.state.lampDriftAmplitude = percent;
+            this.updateAllCalculations();
+        });
+
+        // Continuous acquisition
+        this.elements.acquisitionToggle.addEventListener('click', () => {
+            if (this.acquisition.timerId === null) {
+                this.startAcquisition();
+            } else {
+                this.stopAcquisition();
+            }
+        });
+
+        this.elements.acquisitionRate.addEventListener('change', (e) => {
+            this.acquisition.rate = parseFloat(e.target.value);
+            if (this.acquisition.timerId !== null) {
+                // Restart the timer at the new rate
+                this.stopAcquisition();
+                this.startAcquisition();
+            }
+        });
+
+        this.elements.acquisitionWindow.addEventListener('change', (e) => {
+            this.acquisition.window = parseFloat(e.target.value);
+            this.updateStripChart();
+        });
+
+        this.elements.acquisitionResponse.addEventListener('change', (e) => {
+            const seconds = parseFloat(e.target.value);
+            if (isNaN(seconds) || seconds < 0 || seconds > 10) {
+                e.target.value = this.acquisition.responseTime;
+                return;
+            }
+            this.acquisition.responseTime = seconds;
+        });
+
+        // Materials library
+        this.elements.materialList.addEventListener('change', (e) => {
+            this.showMaterialInEditor(this.materials[parseInt(e.target.value)]);
+        });
+
+        this.elements.materialSave.addEventListener('click', () => {
+            this.saveMaterialFromEditor(false);
+        });
+
+        this.elements.materialSaveNew.addEventListener('click', () => {
+            this.saveMaterialFromEditor(true);
+        });
+
+        this.elements.materialDelete.addEventListener('click', () => {
+            this.deleteSelectedMaterial();
+        });
+
+        this.elements.materialExport.addEventListener('click', () => {
+            this.exportMaterialLibrary();
+        });
+
+        this.elements.materialImport.addEventListener('click', () => {
+            this.elements.materialImportFile.click();
+        });
+
+        this.elements.materialImportFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importMaterialLibrary(file);
+            }
+            e.target.value = '';
+        });
+
         // Light switch
         this.elements.switchLight.addEventListener('click', () => {
             this.toggleLight();
@@ -172,36 +1141,347 @@ class PhotoelectricSimulator {
             this.resetExperiment();
         });
 
-        // Export data
+        // Export dialog
         this.elements.exportData.addEventListener('click', () => {
-            this.exportAllData();
+            this.openExportDialog();
         });
 
-        // Clear graph
-        if (this.elements.clearGraph) {
-            this.elements.clearGraph.addEventListener('click', () => {
-                this.clearGraph();
-            });
-        }
-    }
+        this.elements.exportClose.addEventListener('click', () => {
+            this.closeExportDialog();
+        });
 
-    initializeChart() {
-        const ctx = this.elements.ivChart;
-        
-        this.ivChart = new Chart(ctx, {
-            type: 'scatter',
-            data: {
-                datasets: [{
-                    label: 'I-V Characteristic',
-                    data: [],
-                    backgroundColor: '#1FB8CD',
-                    borderColor: '#1FB8CD',
-                    borderWidth: 2,
-                    pointRadius: 4,
-                    pointHoverRadius: 6,
-                    showLine: true,
-                    tension: 0.3
-                }]
+        this.elements.exportDialog.addEventListener('click', (e) => {
+            if (e.target === this.elements.exportDialog) {
+                this.closeExportDialog();
+            }
+        });
+
+        this.elements.exportDialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeExportDialog();
+            }
+        });
+
+        this.elements.exportDataDownload.addEventListener('click', () => {
+            this.exportData(this.elements.exportFormat.value);
+        });
+
+        this.elements.figureFormat.addEventListener('change', (e) => {
+            // Vector output has no pixel resolution
+            this.elements.figureScale.disabled = e.target.value === 'svg';
+        });
+
+        this.elements.exportFigureDownload.addEventListener('click', () => {
+            this.exportFigure();
+        });
+
+        // Import previously exported data
+        this.elements.importData.addEventListener('click', () => {
+            this.elements.importDataFile.click();
+        });
+
+        this.elements.importDataFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importExperimentData(file);
+            }
+            e.target.value = '';
+        });
+
+        // Clear graph
+        if (this.elements.clearGraph) {
+            this.elements.clearGraph.addEventListener('click', () => {
+                this.clearGraph();
+            });
+        }
+
+        // Stopping potential analysis method
+        this.elements.analysisMethod.addEventListener('change', (e) => {
+            this.state.analysisMethod = e.target.value;
+            this.updateCurrentDisplay(this.calculatePhysics());
+            this.logMessage(`Stopping potential analysis: ${e.target.selectedOptions[0].textContent}`);
+        });
+
+        // Aggregation of repeated voltages
+        this.elements.binningToggle.addEventListener('change', (e) => {
+            this.state.binning = e.target.checked;
+            this.updateAllCalculations();
+            this.updateDataTable();
+            this.logMessage(e.target.checked
+                ? `Aggregating repeated measurements in ${this.state.binWidth} V bins`
+                : 'Showing every measurement set individually');
+        });
+
+        this.elements.binWidth.addEventListener('change', (e) => {
+            const width = parseFloat(e.target.value);
+            if (isNaN(width) || width <= 0 || width > 1) {
+                e.target.value = this.state.binWidth;
+                return;
+            }
+            this.state.binWidth = width;
+            this.updateAllCalculations();
+            this.updateDataTable();
+        });
+
+        // Measurement table sorting, filtering and paging
+        this.elements.dataTableHeaders.forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.sort;
+                this.table.sortAscending = this.table.sortKey === key ? !this.table.sortAscending : true;
+                this.table.sortKey = key;
+                this.updateDataTable();
+            });
+        });
+
+        this.elements.tableRunFilter.addEventListener('change', (e) => {
+            this.table.run = e.target.value;
+            this.table.page = 0;
+            this.updateDataTable();
+        });
+
+        [['voltageMin', this.elements.tableVoltageMin], ['voltageMax', this.elements.tableVoltageMax]].forEach(([key, input]) => {
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                this.table[key] = isNaN(value) ? null : value;
+                this.table.page = 0;
+                this.updateDataTable();
+            });
+        });
+
+        this.elements.tablePageSize.addEventListener('change', (e) => {
+            this.table.pageSize = parseInt(e.target.value);
+            this.table.page = 0;
+            this.updateDataTable();
+        });
+
+        this.elements.tablePrev.addEventListener('click', () => {
+            this.table.page = Math.max(0, this.table.page - 1);
+            this.updateDataTable();
+        });
+
+        this.elements.tableNext.addEventListener('click', () => {
+            this.table.page++;
+            this.updateDataTable();
+        });
+
+        // I-V chart overlays
+        this.elements.errorBarMode.addEventListener('change', (e) => {
+            this.state.errorBarMode = e.target.value;
+            this.ivChart.update('none');
+        });
+
+        this.elements.theoryCurveToggle.addEventListener('change', (e) => {
+            this.state.showTheoryCurve = e.target.checked;
+            this.updateChartOverlays();
+        });
+
+        this.elements.fitModel.addEventListener('change', (e) => {
+            this.state.fitModel = e.target.value;
+            this.updateChartOverlays();
+            this.logMessage(`I-V fit model: ${e.target.selectedOptions[0].textContent}`);
+        });
+
+        // Retarding-field energy spectrum
+        [this.elements.spectrumRun, this.elements.spectrumWindow, this.elements.spectrumOrder].forEach(select => {
+            select.addEventListener('change', () => this.updateRetardingSpectrum());
+        });
+
+        // Instrument model
+        this.elements.instrumentPreset.addEventListener('change', (e) => {
+            this.applyInstrumentPreset(e.target.value);
+        });
+
+        this.getInstrumentInputs().forEach(([, input]) => {
+            input.addEventListener('change', () => {
+                this.readInstrumentSettings();
+            });
+        });
+
+        // Voltage sweep controls
+        this.elements.sweepStartBtn.addEventListener('click', () => {
+            this.startVoltageSweep();
+        });
+
+        this.elements.sweepPauseBtn.addEventListener('click', () => {
+            if (this.voltageSweep.status === 'running') {
+                this.pauseVoltageSweep();
+            } else if (this.voltageSweep.status === 'paused') {
+                this.resumeVoltageSweep();
+            }
+        });
+
+        this.elements.sweepAbortBtn.addEventListener('click', () => {
+            this.abortVoltageSweep();
+        });
+
+        // Run manager
+        this.elements.newRun.addEventListener('click', () => {
+            this.startNewRun();
+        });
+
+        // Millikan analysis
+        this.elements.millikanFromRuns.addEventListener('click', () => {
+            this.collectMillikanFromRuns();
+        });
+
+        this.elements.millikanSweep.addEventListener('click', () => {
+            this.startMillikanSweep();
+        });
+
+        this.elements.millikanClear.addEventListener('click', () => {
+            this.clearMillikanData();
+        });
+
+        // Intensity linearity
+        this.elements.linearitySweep.addEventListener('click', () => {
+            this.startLinearitySweep();
+        });
+
+        this.elements.linearityAbort.addEventListener('click', () => {
+            if (this.linearity.sweeping) this.linearity.stopRequested = true;
+        });
+
+        this.elements.linearityClear.addEventListener('click', () => {
+            this.clearLinearityData();
+        });
+
+        this.elements.linearityExport.addEventListener('click', () => {
+            this.exportLinearityCsv();
+        });
+
+        // Single-photon counting
+        this.elements.monteCarloToggle.addEventListener('click', () => {
+            if (this.monteCarlo.timerId === null) {
+                this.startMonteCarlo();
+            } else {
+                this.stopMonteCarlo();
+            }
+        });
+
+        this.elements.monteCarloClear.addEventListener('click', () => {
+            this.clearMonteCarloData();
+        });
+
+        this.elements.monteCarloScan.addEventListener('click', () => {
+            this.startMonteCarloScan();
+        });
+
+        // Sessions
+        this.elements.sessionSave.addEventListener('click', () => {
+            this.saveSession(this.elements.sessionName.value);
+        });
+
+        this.elements.sessionLoad.addEventListener('click', () => {
+            this.loadStoredSession(this.elements.sessionRecent.value);
+        });
+
+        this.elements.sessionDelete.addEventListener('click', () => {
+            this.deleteStoredSession(this.elements.sessionRecent.value);
+        });
+
+        this.elements.sessionDownload.addEventListener('click', () => {
+            this.downloadSession();
+        });
+
+        this.elements.sessionOpen.addEventListener('click', () => {
+            this.elements.sessionFile.click();
+        });
+
+        this.elements.sessionFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.openSessionFile(file);
+            }
+            e.target.value = '';
+        });
+
+        this.elements.sessionAutosave.checked = this.session.autosave;
+        this.elements.sessionAutosave.addEventListener('change', (e) => {
+            this.session.autosave = e.target.checked;
+            try {
+                localStorage.setItem('photoee.autosave', e.target.checked ? 'on' : 'off');
+            } catch (error) {
+                // Blocked storage: the choice holds for this page only
+            }
+            this.logMessage(`Autosave ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+
+        // Unknown-material challenge
+        this.elements.challengeStart.addEventListener('click', () => {
+            this.startChallenge(this.elements.challengeRandomize.checked);
+        });
+
+        this.elements.challengeSubmit.addEventListener('click', () => {
+            this.submitChallenge(this.elements.challengeGuess.value, parseFloat(this.elements.challengeWorkFunction.value));
+        });
+
+        this.elements.challengeGiveUp.addEventListener('click', () => {
+            this.submitChallenge(null, NaN);
+        });
+
+        // Lab worksheet
+        this.elements.worksheetOpen.addEventListener('click', () => {
+            this.elements.worksheetFile.click();
+        });
+
+        this.elements.worksheetFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadWorksheetFile(file);
+            }
+            e.target.value = '';
+        });
+
+        this.elements.worksheetClose.addEventListener('click', () => {
+            if (this.worksheet && confirm('Close the worksheet? Its progress and answers will be discarded.')) {
+                this.closeWorksheet();
+            }
+        });
+
+        this.elements.worksheetStudent.addEventListener('change', (e) => {
+            if (this.worksheet) {
+                this.worksheet.student = e.target.value.trim();
+                this.scheduleAutosave();
+            }
+        });
+
+        this.elements.worksheetReport.addEventListener('click', () => {
+            this.downloadWorksheetReport();
+        });
+
+        // Procedure script panel
+        this.elements.scriptRun.addEventListener('click', () => {
+            this.runScript(false);
+        });
+
+        this.elements.scriptStep.addEventListener('click', () => {
+            if (this.script.status === 'idle') {
+                this.runScript(true);
+            } else {
+                this.advanceScript();
+            }
+        });
+
+        this.elements.scriptStop.addEventListener('click', () => {
+            this.stopScript();
+        });
+
+        // Save straight away when the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.autosaveSession();
+            }
+        });
+    }
+
+    initializeChart() {
+        const ctx = this.elements.ivChart;
+        
+        this.ivChart = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                // One dataset per experiment run, see createRunDataset()
+                datasets: []
             },
             options: {
                 responsive: true,
@@ -215,6 +1495,16 @@ class PhotoelectricSimulator {
                     legend: {
                         labels: {
                             color: '#134252'
+                        },
+                        // Keep legend toggles in sync with the run manager
+                        onClick: (e, legendItem, legend) => {
+                            const dataset = this.ivChart.data.datasets[legendItem.datasetIndex];
+                            if (dataset.runId !== undefined) {
+                                const run = this.allExperimentRuns.find(r => r.id === dataset.runId);
+                                this.setRunVisibility(run, !run.visible);
+                            } else {
+                                Chart.defaults.plugins.legend.onClick.call(legend, e, legendItem, legend);
+                            }
                         }
                     }
                 },
@@ -250,646 +1540,5078 @@ class PhotoelectricSimulator {
                     duration: 300,
                     easing: 'easeInOutCubic'
                 }
-            }
+            },
+            plugins: [{
+                id: 'errorBars',
+                afterDatasetsDraw: (chart) => this.drawErrorBars(chart)
+            }]
         });
     }
 
-    updateWavelengthDisplay() {
-        this.elements.wavelengthValue.textContent = this.state.wavelength;
-        
-        // Calculate frequency: f = c/λ
-        const frequency = (this.constants.speedOfLight / (this.state.wavelength * 1e-9)) * 1e-12; // THz
-        this.elements.frequencyValue.textContent = frequency.toFixed(1);
-    }
+    drawErrorBars(chart) {
+        if (this.state.errorBarMode === 'none') return;
 
-    calculatePhysics() {
-        // Calculate frequency from wavelength: f = c/λ
-        const frequency = this.constants.speedOfLight / (this.state.wavelength * 1e-9); // Hz
-        
-        // Calculate photon energy: E = hf
-        const photonEnergy = this.constants.planckConstant * frequency; // eV
-        
-        // Work function
-        const workFunction = this.state.currentMaterial.workFunction;
-        
-        // Maximum kinetic energy: KE_max = hf - φ
-        const maxKineticEnergy = Math.max(0, photonEnergy - workFunction);
-        
-        // Threshold wavelength: λ₀ = hc/φ
-        const thresholdWavelength = (this.constants.planckConstant * this.constants.speedOfLight) / (workFunction * 1.602e-19) * 1e9; // nm
-        
-        // Stopping potential: V_s = (hf - φ)/e = KE_max (in eV)
-        const stoppingPotential = maxKineticEnergy;
-        
-        // Check if emission occurs
-        const isEmission = photonEnergy > workFunction;
-        
-        // High-precision current calculation
-        let current = 0;
-        if (isEmission && this.state.voltage >= -stoppingPotential) {
-            // Saturation current proportional to intensity and area
-            const saturationCurrent = this.state.intensity * this.state.area * 0.001; // μA
-            
-            if (this.state.voltage >= 0) {
-                // Saturation region
-                current = saturationCurrent;
-            } else {
-                // Retarding region - exponential relationship
-                const factor = this.state.voltage / stoppingPotential;
-                current = saturationCurrent * Math.exp(factor);
-            }
-        }
+        const ctx = chart.ctx;
+        const area = chart.chartArea;
+        const yScale = chart.scales.y;
 
-        return {
-            frequency,
-            photonEnergy,
-            workFunction,
-            maxKineticEnergy,
-            thresholdWavelength,
-            stoppingPotential,
-            current,
-            isEmission
-        };
-    }
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+        ctx.clip();
+        ctx.lineWidth = 1;
 
-    updateAllCalculations() {
-        const physics = this.calculatePhysics();
-        this.updateEnergyDisplay(physics);
-        this.updateEmissionStatus(physics);
-        this.updateCurrentDisplay(physics);
-        this.drawEnergyDiagram(physics);
-        this.drawSetupDiagram();
-    }
+        chart.data.datasets.forEach((dataset, index) => {
+            if (dataset.runId === undefined || !chart.isDatasetVisible(index)) return;
 
-    updateEnergyDisplay(physics) {
-        this.elements.photonEnergyValue.textContent = physics.photonEnergy.toFixed(3) + ' eV';
-        this.elements.workFunctionValue.textContent = physics.workFunction.toFixed(3) + ' eV';
-        this.elements.maxKeValue.textContent = physics.maxKineticEnergy.toFixed(3) + ' eV';
-        this.elements.thresholdWavelength.textContent = physics.thresholdWavelength.toFixed(1) + ' nm';
-    }
+            ctx.strokeStyle = dataset.borderColor;
+            chart.getDatasetMeta(index).data.forEach((element, i) => {
+                const point = dataset.data[i];
+                const error = this.getErrorBar(point);
+                if (!(error > 0)) return;
 
-    updateEmissionStatus(physics) {
-        if (physics.isEmission) {
-            this.elements.emissionStatus.className = 'status status--success';
-            this.elements.emissionStatus.textContent = '✓ Emission Possible';
-        } else {
-            this.elements.emissionStatus.className = 'status status--error';
-            this.elements.emissionStatus.textContent = '✗ No Emission';
-        }
+                const top = yScale.getPixelForValue(point.y + error);
+                const bottom = yScale.getPixelForValue(point.y - error);
+                ctx.beginPath();
+                ctx.moveTo(element.x, top);
+                ctx.lineTo(element.x, bottom);
+                ctx.moveTo(element.x - 3, top);
+                ctx.lineTo(element.x + 3, top);
+                ctx.moveTo(element.x - 3, bottom);
+                ctx.lineTo(element.x + 3, bottom);
+                ctx.stroke();
+            });
+        });
+
+        ctx.restore();
     }
 
-    updateCurrentDisplay(physics) {
-        this.elements.stoppingPotential.textContent = physics.stoppingPotential.toFixed(6) + ' V';
-        this.elements.currentValue.textContent = physics.current.toFixed(6) + ' μA';
-        this.elements.liveCurrent.textContent = physics.current.toFixed(6) + ' μA';
-        
-        // Update standard error (always 0% for this implementation)
-        this.elements.stdError.textContent = '0.00%';
-        
-        // Update current std dev
-        if (this.elements.currentStd) {
-            this.elements.currentStd.textContent = '0.000001 μA';
+    getErrorBar(point, mode = this.state.errorBarMode) {
+        // Half-length of a point's error bar in μA
+        switch (mode) {
+            case 'sd':
+                return point.standardDeviation || 0;
+            case '2sd':
+                return 2 * (point.standardDeviation || 0);
+            case 'se':
+                return point.standardError || 0;
+            default:
+                return 0;
         }
     }
 
-    takePrecisionMeasurement() {
-        const physics = this.calculatePhysics();
-        const measurementCount = 1000;
-        const measurements = [];
-        
-        // Take 1000 measurements with minimal noise for demonstration
-        for (let i = 0; i < measurementCount; i++) {
-            // Add tiny realistic noise (0.01% standard deviation)
-            const noise = (Math.random() - 0.5) * 0.0001 * physics.current;
-            measurements.push(physics.current + noise);
+    updateChartOverlays() {
+        // Theory and fit curves are rebuilt from state and always follow the run datasets
+        if (!this.ivChart) return;
+
+        const overlays = [];
+        if (this.state.showTheoryCurve && !this.challenge) {
+            this.updateTheoryCurve();
+            overlays.push(this.theoryDataset);
         }
-        
-        // Calculate statistics
-        const mean = measurements.reduce((a, b) => a + b, 0) / measurementCount;
-        const variance = measurements.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / measurementCount;
-        const standardDeviation = Math.sqrt(variance);
-        const standardError = standardDeviation / Math.sqrt(measurementCount);
-        
-        // Store measurement data
-        const measurementData = {
-            voltage: this.state.voltage,
-            mean: mean,
-            standardDeviation: standardDeviation,
-            standardError: standardError,
-            measurements: measurementCount,
-            individualReadings: measurements,
-            timestamp: Date.now(),
-            material: this.state.currentMaterial.name,
-            wavelength: this.state.wavelength,
-            intensity: this.state.intensity,
-            area: this.state.area
-        };
-        
-        this.experimentData.push(measurementData);
-        this.state.measurementCount++;
-        
-        // Update displays
-        this.elements.currentValue.textContent = mean.toFixed(6) + ' μA';
-        if (this.elements.currentStd) {
-            this.elements.currentStd.textContent = standardDeviation.toFixed(6) + ' μA';
+
+        const run = this.currentRun || this.allExperimentRuns[this.allExperimentRuns.length - 1];
+        const points = run ? this.getRunAnalysisPoints(run) : [];
+        this.ivFit = this.state.fitModel !== 'none' ? this.fitPhotocurrentModel(points, this.state.fitModel) : null;
+        if (this.ivFit) {
+            const fit = this.ivFit;
+            const voltages = points.map(p => p.x);
+            const low = Math.min(...voltages);
+            const high = Math.max(...voltages);
+            this.fitDataset.label = `Fit: ${run.name}`;
+            this.fitDataset.borderColor = run.color;
+            this.fitDataset.backgroundColor = run.color;
+            this.fitDataset.data = Array.from({ length: 201 }, (_, i) => {
+                const x = low + (high - low) * i / 200;
+                return { x, y: fit.saturationCurrent * this.getFitShape(fit.model, x, fit.stoppingPotential) + fit.offset };
+            });
+            fit.run = run;
+            overlays.push(this.fitDataset);
         }
-        this.elements.measurementCount.textContent = this.state.measurementCount;
-        
-        // Add to chart
-        this.ivChart.data.datasets[0].data.push({
-            x: this.state.voltage,
-            y: mean
+
+        const runs = this.ivChart.data.datasets.filter(d => d.runId !== undefined);
+        runs.forEach(dataset => {
+            dataset.data = this.getRunChartPoints(this.allExperimentRuns.find(r => r.id === dataset.runId));
         });
+        this.ivChart.data.datasets = [...runs, ...overlays];
         this.ivChart.update('none');
-        
-        // Update data table
-        this.updateDataTable();
-        
-        this.logMessage(`Measurement: V=${this.state.voltage.toFixed(2)}V, I=${mean.toFixed(6)}μA (±${standardError.toFixed(9)}μA)`);
-    }
+        this.updateFitDisplay();
 
-    updateDataTable() {
-        const tbody = this.elements.dataTableBody;
-        tbody.innerHTML = '';
-        
-        // Show last 10 measurements
-        const recentData = this.experimentData.slice(-10);
-        
-        recentData.forEach(data => {
-            const row = tbody.insertRow();
-            row.insertCell(0).textContent = data.voltage.toFixed(2);
-            row.insertCell(1).textContent = data.mean.toFixed(6);
-            row.insertCell(2).textContent = data.standardError.toFixed(9);
-            row.insertCell(3).textContent = data.measurements;
-        });
+        this.updateRetardingSpectrum();
     }
 
-    drawEnergyDiagram(physics) {
-        const canvas = this.elements.energyDiagram;
-        const ctx = this.energyCtx;
-        const width = canvas.width;
-        const height = canvas.height;
-
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
+    updateTheoryCurve() {
+        // Only recompute when something that shapes the curve has changed; intensity and area just scale it
+        const { intensity, area, ...shape } = this.getMeasurementParameters();
+        const key = JSON.stringify([shape, this.state.collectorMaterial.workFunction,
+            this.state.customSpectrum && this.state.customSpectrum.points.length]);
+        if (key !== this.theoryKey) {
+            this.theoryKey = key;
+            const slider = this.elements.voltageSlider;
+            const low = parseFloat(slider.min);
+            const high = parseFloat(slider.max);
+            const saved = { intensity: this.state.intensity, area: this.state.area, leakageCurrent: this.state.leakageCurrent };
+            Object.assign(this.state, { intensity: 1, area: 1, leakageCurrent: false });
+            this.theoryShape = Array.from({ length: 101 }, (_, i) => {
+                const x = low + (high - low) * i / 100;
+                return { x, y: this.calculatePhysics(x).current };
+            });
+            Object.assign(this.state, saved);
+        }
 
-        // Set up coordinate system
-        const margin = 60;
-        const graphWidth = width - 2 * margin;
-        const graphHeight = height - 2 * margin;
-        const maxEnergy = 8; // eV
-        const energyScale = graphHeight / maxEnergy;
+        // Leakage through the insulation does not depend on the light
+        const leakage = x => (this.state.leakageCurrent ? x / (this.state.leakageResistance * 1e9) * 1e6 : 0); // μA
+        this.theoryDataset.data = this.theoryShape.map(p => ({ x: p.x, y: p.y * intensity * area + leakage(p.x) }));
+    }
 
-        // Draw background grid
-        ctx.strokeStyle = 'rgba(94, 82, 64, 0.2)';
-        ctx.lineWidth = 0.5;
-        
-        // Horizontal grid lines
-        for (let i = 0; i <= maxEnergy; i += 1) {
-            const y = height - margin - (i * energyScale);
-            ctx.beginPath();
-            ctx.moveTo(margin, y);
-            ctx.lineTo(width - margin, y);
-            ctx.stroke();
+    updateFitDisplay() {
+        this.elements.fitResults.classList.toggle('hidden', this.state.fitModel === 'none');
+        const fit = this.ivFit;
+        if (!fit) {
+            this.elements.fitRun.textContent = 'Insufficient data (needs retarding-voltage points)';
+            [this.elements.fitSaturation, this.elements.fitStoppingPotential, this.elements.fitOffset, this.elements.fitChi2]
+                .forEach(el => {
+                    el.textContent = '—';
+                });
+            return;
         }
 
-        // Y-axis
+        const error = value => (isFinite(value) ? value.toExponential(2) : '—');
+        this.elements.fitRun.textContent = fit.run.name;
+        this.elements.fitSaturation.textContent = `${fit.saturationCurrent.toFixed(6)} ± ${error(fit.saturationCurrentError)} μA`;
+        this.elements.fitStoppingPotential.textContent = `${fit.stoppingPotential.toFixed(4)} ± ${error(fit.stoppingPotentialError)} V`;
+        this.elements.fitOffset.textContent = `${fit.offset.toFixed(6)} ± ${error(fit.offsetError)} μA`;
+        this.elements.fitChi2.textContent = isNaN(fit.reducedChiSquared)
+            ? '—'
+            : `${fit.reducedChiSquared.toFixed(2)} (${fit.dof} dof)`;
+    }
+
+    updateRetardingSpectrum() {
+        if (!this.spectrumChart) return;
+        if (!this.spectrumVisible) {
+            this.spectrumStale = true;
+            return;
+        }
+        this.spectrumStale = false;
+
+        // A deleted run falls back to the latest one
+        const selected = this.elements.spectrumRun.value;
+        const run = this.allExperimentRuns.find(r => String(r.id) === selected) ||
+            this.currentRun || this.allExperimentRuns[this.allExperimentRuns.length - 1];
+        const windowSize = parseInt(this.elements.spectrumWindow.value);
+        const order = parseInt(this.elements.spectrumOrder.value);
+        const datasets = this.spectrumChart.data.datasets;
+        datasets.forEach(dataset => {
+            dataset.data = [];
+        });
+
+        // Differentiate the run's mean current at each distinct voltage (or bin)
+        const measurements = run ? this.experimentData.filter(d => d.runId === run.id) : [];
+        const points = this.aggregateMeasurements(measurements, this.state.binning ? this.state.binWidth : 0)
+            .map(bin => ({ x: bin.voltage, y: bin.mean, sigma: bin.standardError }));
+        const spectrum = this.computeRetardingSpectrum(points, windowSize, order);
+
+        this.elements.spectrumRunName.textContent = !run
+            ? '—'
+            : spectrum.length === 0 ? `${run.name} (needs ${windowSize} voltages)` : run.name;
+        this.elements.spectrumCutoff.textContent = '—';
+        this.elements.spectrumPeak.textContent = '—';
+        this.elements.spectrumModelCutoff.textContent = this.challenge ? 'hidden' : '—';
+
+        if (spectrum.length > 0) {
+            datasets[0].data = spectrum.map(p => ({ x: p.energy, y: p.value }));
+            datasets[0].borderColor = run.color;
+            datasets[0].backgroundColor = run.color;
+
+            const peak = spectrum.reduce((best, p) => (p.value > best.value ? p : best));
+            this.elements.spectrumPeak.textContent = `${peak.energy.toFixed(3)} eV (${peak.value.toFixed(6)} μA/V)`;
+
+            // The cut-off is where the current vanishes, i.e. the measured stopping potential
+            const estimate = this.estimateStoppingPotential(points);
+            if (estimate) {
+                const values = spectrum.map(p => p.value);
+                datasets[2].data = [
+                    { x: estimate.value, y: Math.min(0, ...values) },
+                    { x: estimate.value, y: Math.max(...values) }
+                ];
+                this.elements.spectrumCutoff.textContent =
+                    `${estimate.value.toFixed(4)} ± ${estimate.uncertainty.toFixed(4)} eV`;
+            }
+
+            // The model spectrum over the same voltages, for the present settings
+            if (!this.challenge) {
+                const low = Math.min(...points.map(p => p.x));
+                const high = Math.max(...points.map(p => p.x));
+                datasets[1].data = this.getSpectrumModel(low, high).map(p => ({ x: p.energy, y: p.value }));
+                datasets[1].label = run.signature === this.getRunSignature() ? 'Model' : 'Model (current settings)';
+
+                // With a contact potential the applied voltage also has to make up the work function difference
+                const physics = this.calculatePhysics();
+                this.elements.spectrumModelCutoff.textContent =
+                    `${(physics.spectralMaxKineticEnergy - physics.contactPotential).toFixed(4)} eV`;
+            }
+        }
+
+        this.spectrumChart.update('none');
+    }
+
+    getSpectrumModel(low, high) {
+        // Over the run's voltages (low to high), recomputed only when the shape or the span has changed.
+        // Intensity and area only scale the photocurrent, so the model is built at unit source power
+        const { intensity, area, ...shape } = this.getMeasurementParameters();
+        const key = JSON.stringify([shape, this.state.collectorMaterial.workFunction,
+            this.state.customSpectrum && this.state.customSpectrum.points.length, low, high]);
+        if (key !== this.spectrumModelKey) {
+            this.spectrumModelKey = key;
+            const saved = { intensity: this.state.intensity, area: this.state.area, leakageCurrent: this.state.leakageCurrent };
+            Object.assign(this.state, { intensity: 1, area: 1, leakageCurrent: false });
+            this.spectrumModel = this.modelRetardingSpectrum(low, high, 80);
+            Object.assign(this.state, saved);
+        }
+
+        // Leakage adds a dI/dV of 1/R that does not depend on the light
+        const leakageSlope = this.state.leakageCurrent ? 1e6 / (this.state.leakageResistance * 1e9) : 0; // μA/V
+        return this.spectrumModel.map(p => ({ energy: p.energy, value: p.value * intensity * area + leakageSlope }));
+    }
+
+    getAxisStyle(text) {
+        return {
+            title: {
+                display: true,
+                text,
+                color: '#134252'
+            },
+            grid: {
+                color: 'rgba(94, 82, 64, 0.2)'
+            },
+            ticks: {
+                color: '#134252'
+            }
+        };
+    }
+
+    initializeSpectrumChart() {
+        const axisStyle = (text) => this.getAxisStyle(text);
+
+        this.spectrumChart = new Chart(this.elements.spectrumChart, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Measured −dI/dV_R',
+                    data: [],
+                    backgroundColor: '#1FB8CD',
+                    borderColor: '#1FB8CD',
+                    borderWidth: 1.5,
+                    pointRadius: 3,
+                    showLine: true,
+                    tension: 0
+                }, {
+                    label: 'Model',
+                    data: [],
+                    borderColor: '#134252',
+                    backgroundColor: '#134252',
+                    borderWidth: 1.5,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    showLine: true,
+                    tension: 0
+                }, {
+                    label: 'Cut-off',
+                    data: [],
+                    borderColor: '#FF6B6B',
+                    backgroundColor: '#FF6B6B',
+                    borderWidth: 2,
+                    borderDash: [2, 3],
+                    pointRadius: 0,
+                    showLine: true
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Electron Energy Spectrum',
+                        color: '#134252'
+                    },
+                    legend: {
+                        labels: {
+                            color: '#134252'
+                        }
+                    }
+                },
+                scales: {
+                    x: axisStyle('Retarding Energy eV_R (eV)'),
+                    y: axisStyle('−dI/dV_R (μA/V)')
+                },
+                animation: false
+            }
+        });
+
+        if ('IntersectionObserver' in window) {
+            new IntersectionObserver(entries => {
+                this.spectrumVisible = entries[entries.length - 1].isIntersecting;
+                if (this.spectrumVisible && this.spectrumStale) {
+                    this.updateRetardingSpectrum();
+                }
+            }).observe(this.elements.spectrumChart);
+        }
+    }
+
+    initializeMillikanCharts() {
+        const axisStyle = (text) => this.getAxisStyle(text);
+
+        this.millikanChart = new Chart(this.elements.millikanChart, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Measured V_s',
+                    data: [],
+                    backgroundColor: '#1FB8CD',
+                    borderColor: '#1FB8CD',
+                    pointRadius: 4,
+                    pointHoverRadius: 6
+                }, {
+                    label: 'Weighted fit',
+                    data: [],
+                    borderColor: '#FF6B6B',
+                    backgroundColor: '#FF6B6B',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    showLine: true
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Stopping Potential vs Frequency',
+                        color: '#134252'
+                    },
+                    legend: {
+                        labels: {
+                            color: '#134252'
+                        }
+                    }
+                },
+                scales: {
+                    x: axisStyle('Frequency (THz)'),
+                    y: axisStyle('Stopping Potential (V)')
+                },
+                animation: {
+                    duration: 300,
+                    easing: 'easeInOutCubic'
+                }
+            }
+        });
+
+        this.residualChart = new Chart(this.elements.residualChart, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Residual',
+                    data: [],
+                    backgroundColor: '#45B7D1',
+                    borderColor: '#45B7D1',
+                    pointRadius: 4
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    }
+                },
+                scales: {
+                    x: axisStyle('Frequency (THz)'),
+                    y: axisStyle('Residual (mV)')
+                },
+                animation: false
+            }
+        });
+    }
+
+    initializeLinearityCharts() {
+        const axisStyle = (text) => this.getAxisStyle(text);
+        const createChart = (canvas, title, yAxis, color, fitLabel) => new Chart(canvas, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Measured',
+                    data: [],
+                    backgroundColor: color,
+                    borderColor: color,
+                    pointRadius: 4,
+                    pointHoverRadius: 6
+                }, {
+                    label: fitLabel,
+                    data: [],
+                    borderColor: '#FF6B6B',
+                    backgroundColor: '#FF6B6B',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    showLine: true
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: title,
+                        color: '#134252'
+                    },
+                    legend: {
+                        labels: {
+                            color: '#134252'
+                        }
+                    }
+                },
+                scales: {
+                    x: axisStyle('Intensity (W/m²)'),
+                    y: axisStyle(yAxis)
+                },
+                animation: {
+                    duration: 300,
+                    easing: 'easeInOutCubic'
+                }
+            }
+        });
+
+        this.linearityCurrentChart = createChart(this.elements.linearityCurrentChart,
+            'Saturation Current vs Intensity', 'Saturation Current (μA)', '#1FB8CD', 'Weighted fit');
+        this.linearityStoppingChart = createChart(this.elements.linearityStoppingChart,
+            'Stopping Potential vs Intensity', 'Stopping Potential (V)', '#45B7D1', 'Weighted fit');
+    }
+
+    initializeMonteCarloCharts() {
+        const axisStyle = (text) => this.getAxisStyle(text);
+        const legend = { labels: { color: '#134252' } };
+
+        // Collected electrons are drawn over all emitted ones, so the retarded part shows as the gap
+        this.monteCarloHistogramChart = new Chart(this.elements.monteCarloHistogram, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Emitted',
+                    data: [],
+                    backgroundColor: 'rgba(31, 184, 205, 0.35)',
+                    grouped: false,
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }, {
+                    label: 'Reached collector',
+                    data: [],
+                    backgroundColor: '#1FB8CD',
+                    grouped: false,
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Electron Kinetic Energies',
+                        color: '#134252'
+                    },
+                    legend
+                },
+                scales: {
+                    x: axisStyle('Kinetic Energy (eV)'),
+                    y: { ...axisStyle('Electrons'), beginAtZero: true }
+                },
+                animation: false
+            }
+        });
+
+        this.monteCarloIvChart = new Chart(this.elements.monteCarloIvChart, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Counted',
+                    data: [],
+                    backgroundColor: '#1FB8CD',
+                    borderColor: '#1FB8CD',
+                    pointRadius: 4,
+                    pointHoverRadius: 6
+                }, {
+                    label: 'Model',
+                    data: [],
+                    borderColor: '#134252',
+                    backgroundColor: '#134252',
+                    borderWidth: 1.5,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    showLine: true
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'I-V Curve from Counts',
+                        color: '#134252'
+                    },
+                    legend
+                },
+                scales: {
+                    x: axisStyle('Voltage (V)'),
+                    y: { ...axisStyle('Collection Rate (electrons/s)'), beginAtZero: true }
+                },
+                animation: false
+            }
+        });
+    }
+
+    initializeStripChart() {
+        // Time axis through chartjs-adapter-date-fns; the window scrolls with the latest sample
+        const axisColor = '#134252';
+        this.stripChart = new Chart(this.elements.stripChart, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Ammeter reading',
+                    data: [],
+                    borderColor: '#1FB8CD',
+                    backgroundColor: '#1FB8CD',
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    tension: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        time: {
+                            unit: 'second',
+                            displayFormats: { second: 'HH:mm:ss' },
+                            tooltipFormat: 'HH:mm:ss.SSS'
+                        },
+                        ticks: { color: axisColor, maxTicksLimit: 6, maxRotation: 0 },
+                        grid: { color: 'rgba(94, 82, 64, 0.2)' }
+                    },
+                    y: {
+                        title: { display: true, text: 'Current (μA)', color: axisColor },
+                        ticks: { color: axisColor },
+                        grid: { color: 'rgba(94, 82, 64, 0.2)' }
+                    }
+                }
+            }
+        });
+    }
+
+    updateWavelengthDisplay() {
+        this.elements.wavelengthValue.textContent = this.state.wavelength;
+        
+        // Calculate frequency: f = c/λ
+        const frequency = (this.constants.speedOfLight / (this.state.wavelength * 1e-9)) * 1e-12; // THz
+        this.elements.frequencyValue.textContent = frequency.toFixed(1);
+        this.elements.photonEnergyValue.textContent = this.getPhotonEnergy(this.state.wavelength).toFixed(3);
+
+        const axis = this.wavelengthAxes[this.state.wavelengthAxis];
+        this.elements.wavelengthInput.value = parseFloat(this.wavelengthToAxis(this.state.wavelength).toFixed(axis.decimals));
+    }
+
+    wavelengthToAxis(wavelength, axis = this.state.wavelengthAxis) {
+        switch (axis) {
+            case 'frequency':
+                return this.constants.speedOfLight / (wavelength * 1e-9) * 1e-12; // THz
+            case 'energy':
+                return this.getPhotonEnergy(wavelength);                       // eV
+            default:
+                return wavelength;                                             // nm
+        }
+    }
+
+    axisToWavelength(value, axis = this.state.wavelengthAxis) {
+        let wavelength = value;
+        if (axis === 'frequency') {
+            wavelength = this.constants.speedOfLight / (value * 1e12) * 1e9;
+        } else if (axis === 'energy') {
+            wavelength = this.constants.planckConstant * this.constants.speedOfLight / value * 1e9;
+        }
+        // 0.1 nm keeps the labels short and is finer than any source linewidth
+        return Math.round(wavelength * 10) / 10;
+    }
+
+    clampWavelength(wavelength) {
+        return Math.min(Math.max(wavelength, this.state.wavelengthMin), this.state.wavelengthMax);
+    }
+
+    checkWavelengthRange(min, max) {
+        const limits = this.wavelengthLimits;
+        if (typeof min !== 'number' || typeof max !== 'number' || isNaN(min) || isNaN(max) ||
+            min < limits.min || max > limits.max || min >= max) {
+            return `Wavelength range must lie within ${limits.min}-${limits.max} nm with the start below the end`;
+        }
+        return null;
+    }
+
+    setWavelengthRange(min, max) {
+        const error = this.checkWavelengthRange(min, max);
+        if (error) {
+            this.logMessage(error);
+            this.updateWavelengthSlider();
+            return false;
+        }
+
+        this.state.wavelengthMin = min;
+        this.state.wavelengthMax = max;
+        // Pulls a tuned wavelength back inside the new range
+        this.applyLightSource();
+        this.logMessage(`Wavelength range set to ${min}-${max} nm`);
+        return true;
+    }
+
+    updateWavelengthSlider() {
+        // The slider runs in the chosen unit; frequency and energy increase as the wavelength falls
+        const axis = this.wavelengthAxes[this.state.wavelengthAxis];
+        const ends = [this.state.wavelengthMin, this.state.wavelengthMax].map(w => this.wavelengthToAxis(w));
+        const min = Math.ceil(Math.min(...ends) / axis.step - 1e-9) * axis.step;
+        const max = Math.floor(Math.max(...ends) / axis.step + 1e-9) * axis.step;
+        const slider = this.elements.wavelengthSlider;
+
+        slider.min = parseFloat(min.toFixed(2));
+        slider.max = parseFloat(max.toFixed(2));
+        slider.step = axis.step;
+        slider.value = this.wavelengthToAxis(this.state.wavelength);
+
+        this.elements.wavelengthAxis.value = this.state.wavelengthAxis;
+        this.elements.wavelengthInputUnit.textContent = axis.unit;
+        this.elements.wavelengthInput.step = axis.step;
+        this.elements.wavelengthRangeMin.value = this.state.wavelengthMin;
+        this.elements.wavelengthRangeMax.value = this.state.wavelengthMax;
+        this.updateWavelengthDisplay();
+    }
+
+    applyLightSource() {
+        const type = this.state.sourceType;
+        this.elements.sourceType.value = type;
+        this.elements.mercuryOptions.classList.toggle('hidden', type !== 'mercury');
+        this.elements.blackbodyOptions.classList.toggle('hidden', type !== 'blackbody');
+        this.elements.ledOptions.classList.toggle('hidden', type !== 'led');
+        this.elements.customOptions.classList.toggle('hidden', type !== 'custom');
+
+        // Fixed spectra set the nominal wavelength; monochromatic and LED sources are tuned with the slider
+        const tunable = type === 'monochromatic' || type === 'led' || (type === 'custom' && !this.state.customSpectrum);
+        this.elements.wavelengthSlider.disabled = !tunable;
+        this.elements.wavelengthInput.disabled = !tunable;
+        if (!tunable) {
+            this.state.wavelength = this.getNominalWavelength(this.getSourceSpectrum());
+        } else {
+            // Back on the slider, whose range may not include the previous nominal wavelength
+            this.state.wavelength = this.clampWavelength(this.state.wavelength);
+        }
+
+        this.updateWavelengthSlider();
+        this.updateAllCalculations();
+    }
+
+    setMercuryFilter(filter) {
+        this.state.mercuryFilter = filter;
+        this.elements.mercuryFilter.value = filter;
+        this.applyLightSource();
+        this.logMessage(`Light source: ${this.getSourceDescription()}`);
+    }
+
+    async loadCustomSpectrum(file) {
+        const text = await file.text();
+        const points = [];
+        const rejected = [];
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            const [wavelength, power] = line.split(/[,;\t]/).map(v => parseFloat(v));
+            if (isNaN(wavelength) || isNaN(power)) {
+                // A non-numeric first line is a header
+                if (index > 0) rejected.push(index + 1);
+                return;
+            }
+            if (wavelength <= 0 || power < 0) {
+                rejected.push(index + 1);
+                return;
+            }
+            points.push({ wavelength, power });
+        });
+
+        if (points.length < 2) {
+            this.logMessage(`Spectrum import failed - ${file.name} needs at least two "wavelength,power" rows`);
+            return;
+        }
+        if (rejected.length > 0) {
+            this.logMessage(`Spectrum import: skipped malformed line(s) ${rejected.join(', ')}`);
+        }
+
+        this.state.customSpectrum = { name: file.name, points: points.sort((a, b) => a.wavelength - b.wavelength) };
+        this.elements.customSpectrumName.textContent = `${file.name} (${points.length} points)`;
+        this.applyLightSource();
+        this.logMessage(`Loaded custom spectrum ${file.name} with ${points.length} points`);
+    }
+
+    updateAllCalculations() {
+        const physics = this.calculatePhysics();
+        this.updateEnergyDisplay(physics);
+        this.updateEmissionStatus(physics);
+        this.updateCurrentDisplay(physics);
+        this.drawEnergyDiagram(physics);
+        this.drawSetupDiagram();
+        this.updateChartOverlays();
+        this.updateWorksheetProgress();
+        this.scheduleAutosave();
+    }
+
+    updateEnergyDisplay(physics) {
+        // Anything that gives the work function away stays hidden during a challenge
+        const hidden = this.challenge ? 'hidden' : null;
+        this.elements.photonEnergyValue.textContent = physics.photonEnergy.toFixed(3) + ' eV';
+        this.elements.workFunctionValue.textContent = hidden || physics.workFunction.toFixed(3) + ' eV';
+        this.elements.maxKeValue.textContent = hidden || physics.maxKineticEnergy.toFixed(3) + ' eV';
+        this.elements.thresholdWavelength.textContent = hidden || physics.thresholdWavelength.toFixed(1) + ' nm';
+        this.elements.photonFluxValue.textContent = physics.photonFlux.toExponential(3) + ' s⁻¹';
+        this.elements.quantumEfficiencyValue.textContent = this.state.currentModel === 'textbook'
+            ? 'n/a (textbook)'
+            : (physics.quantumEfficiency * 100).toFixed(4) + '%';
+    }
+
+    updateEmissionStatus(physics) {
+        if (physics.isEmission) {
+            this.elements.emissionStatus.className = 'status status--success';
+            this.elements.emissionStatus.textContent = '✓ Emission Possible';
+        } else {
+            this.elements.emissionStatus.className = 'status status--error';
+            this.elements.emissionStatus.textContent = '✗ No Emission';
+        }
+    }
+
+    updateCurrentDisplay(physics) {
+        this.updateStoppingPotentialDisplay(physics);
+        this.elements.currentValue.textContent = physics.current.toFixed(6) + ' μA';
+        
+        // Live reading goes through the instrument model, at the voltage actually applied
+        const applied = this.calculatePhysics(this.getTrueVoltage(this.state.voltage));
+        this.elements.liveCurrent.textContent = this.simulateCurrentReading(this.getObservedCurrent(applied)).toFixed(6) + ' μA';
+        
+        this.updateMeasurementStatistics();
+    }
+
+    updateMeasurementStatistics() {
+        // Statistics only apply while the settings match the latest measurement
+        const latest = this.experimentData[this.experimentData.length - 1];
+        const matches = latest &&
+            latest.voltage === this.state.voltage &&
+            this.getMeasurementSignature(latest) === this.getRunSignature();
+
+        if (!matches) {
+            this.elements.stdError.textContent = '—';
+            if (this.elements.currentStd) {
+                this.elements.currentStd.textContent = '—';
+            }
+            return;
+        }
+
+        const relativeError = latest.mean !== 0 ? Math.abs(latest.standardError / latest.mean) * 100 : 0;
+        this.elements.stdError.textContent = relativeError.toFixed(4) + '%';
+        if (this.elements.currentStd) {
+            this.elements.currentStd.textContent = latest.standardDeviation.toFixed(6) + ' μA';
+        }
+    }
+
+    updateStoppingPotentialDisplay(physics) {
+        this.elements.theoreticalStoppingPotential.textContent = this.challenge
+            ? 'hidden'
+            : physics.stoppingPotential.toFixed(6) + ' V';
+        // φ_collector − φ_cathode would give the hidden work function away by subtraction
+        if (!this.state.contactPotential) {
+            this.elements.contactPotentialValue.textContent = 'off';
+        } else {
+            this.elements.contactPotentialValue.textContent = this.challenge
+                ? 'hidden'
+                : `${physics.contactPotential >= 0 ? '+' : ''}${physics.contactPotential.toFixed(3)} V`;
+        }
+
+        const estimate = this.estimateStoppingPotential(this.getCurrentAnalysisPoints());
+        if (!estimate) {
+            this.elements.stoppingPotential.textContent = 'Insufficient data';
+            this.elements.stoppingPotentialCi.textContent = '—';
+            this.elements.stoppingPotentialError.textContent = '—';
+            return;
+        }
+
+        const error = estimate.value - physics.stoppingPotential;
+        const sign = error >= 0 ? '+' : '';
+        const relative = physics.stoppingPotential > 0
+            ? ` (${sign}${(error / physics.stoppingPotential * 100).toFixed(2)}%)`
+            : '';
+
+        this.elements.stoppingPotential.textContent = `${estimate.value.toFixed(4)} ± ${estimate.uncertainty.toFixed(4)} V`;
+        this.elements.stoppingPotentialCi.textContent = `[${estimate.ciLow.toFixed(4)}, ${estimate.ciHigh.toFixed(4)}] V`;
+        this.elements.stoppingPotentialError.textContent = this.challenge ? 'hidden' : `${sign}${error.toFixed(4)} V${relative}`;
+    }
+
+    takePrecisionMeasurement() {
+        // Any parameter change since the last measurement starts a new run
+        if (!this.currentRun || this.currentRun.signature !== this.getRunSignature()) {
+            this.startNewRun();
+        }
+
+        const physics = this.calculatePhysics();
+        
+        // A set of readings through the instrument model, at the voltage the tube really sees
+        const { measurement, current } = this.measureCurrent();
+        if (this.isAmmeterOverloaded(current)) {
+            this.logMessage(`Ammeter overload: ${current.toFixed(6)}μA exceeds the ${this.instrument.ammeterRange}μA range`);
+        }
+        
+        // Store measurement data
+        const measurementData = { ...measurement, runId: this.currentRun.id };
+        const { mean, standardDeviation, standardError } = measurementData;
+        
+        this.experimentData.push(measurementData);
+        this.state.measurementCount++;
+        
+        // Update displays
+        this.elements.currentValue.textContent = mean.toFixed(6) + ' μA';
+        this.updateMeasurementStatistics();
+        this.elements.measurementCount.textContent = this.state.measurementCount;
+        
+        // Add to the current run's dataset
+        this.currentRun.points.push({
+            x: this.state.voltage,
+            y: mean,
+            standardDeviation,
+            standardError
+        });
+        this.updateChartOverlays();
+        this.renderRunManager();
+        
+        // Update data table and the stopping potential estimate
+        this.updateDataTable();
+        this.updateStoppingPotentialDisplay(physics);
+        this.updateWorksheetProgress();
+        
+        this.logMessage(`Measurement: V=${this.state.voltage.toFixed(2)}V, I=${mean.toFixed(6)}μA (±${standardError.toFixed(9)}μA)`);
+        this.emit('measurement', this.toPublicMeasurement(measurementData));
+        return measurementData;
+    }
+
+    getRunChartPoints(run) {
+        // The run's own point list, or one pooled point per voltage bin
+        if (!this.state.binning) return run.points;
+
+        return this.aggregateMeasurements(this.experimentData.filter(d => d.runId === run.id)).map(bin => ({
+            x: bin.voltage,
+            y: bin.mean,
+            standardDeviation: bin.standardDeviation,
+            standardError: bin.standardError
+        }));
+    }
+
+    getTableRows() {
+        // Every measurement set, or one row per voltage bin and run when aggregating
+        let rows;
+        if (this.state.binning) {
+            const groups = new Map();
+            this.experimentData.forEach(d => {
+                const key = `${d.runId}|${this.getMeasurementSignature(d)}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(d);
+            });
+            rows = [...groups.values()].flatMap(group =>
+                this.aggregateMeasurements(group).map(bin => ({ ...bin, runId: group[0].runId })));
+        } else {
+            rows = this.experimentData.map(d => ({
+                runId: d.runId,
+                voltage: d.voltage,
+                mean: d.mean,
+                standardError: d.standardError,
+                readings: d.measurements,
+                sets: 1,
+                timestamp: d.timestamp
+            }));
+        }
+
+        const runNames = new Map(this.allExperimentRuns.map(r => [r.id, r.name]));
+        rows.forEach((row, index) => {
+            row.index = index;
+            row.run = runNames.get(row.runId) || '—';
+        });
+
+        const { run, voltageMin, voltageMax, sortKey, sortAscending } = this.table;
+        return rows
+            .filter(row => (run === 'all' || row.runId === Number(run)) &&
+                (voltageMin === null || row.voltage >= voltageMin) &&
+                (voltageMax === null || row.voltage <= voltageMax))
+            .sort((a, b) => {
+                const order = (typeof a[sortKey] === 'string' ? a[sortKey].localeCompare(b[sortKey]) : a[sortKey] - b[sortKey]) ||
+                    a.index - b.index;
+                return sortAscending ? order : -order;
+            });
+    }
+
+    updateDataTable() {
+        const tbody = this.elements.dataTableBody;
+        const rows = this.getTableRows();
+        const { pageSize } = this.table;
+        const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+        this.table.page = Math.min(this.table.page, pageCount - 1);
+        const start = this.table.page * pageSize;
+
+        tbody.innerHTML = '';
+        rows.slice(start, start + pageSize).forEach(data => {
+            const row = tbody.insertRow();
+            row.insertCell(0).textContent = new Date(data.timestamp).toLocaleTimeString();
+            const run = row.insertCell(1);
+            run.textContent = data.run;
+            run.title = data.run;
+            run.className = 'table-run';
+            row.insertCell(2).textContent = data.voltage.toFixed(this.state.binning ? 3 : 2);
+            row.insertCell(3).textContent = data.mean.toFixed(6);
+            row.insertCell(4).textContent = data.standardError.toFixed(9);
+            row.insertCell(5).textContent = data.sets > 1 ? `${data.readings} (${data.sets} sets)` : data.readings;
+        });
+
+        this.elements.tablePageInfo.textContent = `Page ${this.table.page + 1} of ${pageCount} · ${rows.length} rows`;
+        this.elements.tablePrev.disabled = this.table.page === 0;
+        this.elements.tableNext.disabled = this.table.page >= pageCount - 1;
+
+        this.elements.dataTableHeaders.forEach(header => {
+            const sorted = header.dataset.sort === this.table.sortKey;
+            header.classList.toggle('sorted-asc', sorted && this.table.sortAscending);
+            header.classList.toggle('sorted-desc', sorted && !this.table.sortAscending);
+            header.setAttribute('aria-sort', sorted ? (this.table.sortAscending ? 'ascending' : 'descending') : 'none');
+        });
+    }
+
+    updateSpectrumRunOptions() {
+        const select = this.elements.spectrumRun;
+        const selected = select.value;
+        select.innerHTML = '';
+        [['latest', 'Latest run'], ...this.allExperimentRuns.map(r => [String(r.id), r.name])].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+
+        select.value = this.allExperimentRuns.some(r => String(r.id) === selected) ? selected : 'latest';
+    }
+
+    updateTableRunFilter() {
+        const select = this.elements.tableRunFilter;
+        select.innerHTML = '';
+        [['all', 'All runs'], ...this.allExperimentRuns.map(r => [String(r.id), r.name])].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+
+        // A deleted run can no longer be filtered on
+        if (!this.allExperimentRuns.some(r => String(r.id) === this.table.run)) {
+            this.table.run = 'all';
+        }
+        select.value = this.table.run;
+    }
+
+    drawEnergyDiagram(physics, figure = null) {
+        // figure ({ ctx, width, height, fontSize, fontFamily }) redirects drawing to an export
+        const canvas = this.elements.energyDiagram;
+        const ctx = figure ? figure.ctx : this.energyCtx;
+        const width = figure ? figure.width : canvas.width;
+        const height = figure ? figure.height : canvas.height;
+        const fontScale = figure ? figure.fontSize / 12 : 1;
+        const font = (size, weight = '', family = 'sans-serif') =>
+            `${weight} ${Math.round(size * fontScale)}px ${figure ? figure.fontFamily : family}`.trim();
+
+        // Hover and drag targets are collected afresh on every on-screen draw
+        const interaction = this.energyDiagramInteraction;
+        const regions = [];
+        if (!figure) interaction.regions = regions;
+
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+
+        // The level spacing would give the work function away
+        if (this.challenge) {
+            ctx.fillStyle = '#134252';
+            ctx.font = font(14);
+            ctx.textAlign = 'center';
+            ctx.fillText('Energy levels are hidden during the unknown-material challenge', width / 2, height / 2);
+            ctx.textAlign = 'left';
+            return;
+        }
+
+        // Energies are measured from the cathode's Fermi level. The band view also needs the
+        // collector, whose levels the applied voltage shifts down by eV
+        const band = this.state.energyDiagramView === 'band';
+        const levels = this.getEnergyLevels(physics);
+        let range = band
+            ? {
+                min: Math.min(0, levels.collectorFermi) - 1.5,
+                max: Math.max(levels.photon, levels.vacuum, levels.collectorVacuum, 0) * 1.1 + 0.5
+            }
+            : { min: 0, max: Math.max(levels.photon, levels.vacuum, 1) * 1.2 };
+
+        // Keep the scale still while the photon bar is being dragged
+        if (!figure) {
+            if (interaction.dragging && interaction.range) {
+                range = interaction.range;
+            }
+            interaction.range = range;
+        }
+
+        // Set up coordinate system
+        const margin = 60 * fontScale;
+        const frame = {
+            ctx,
+            figure,
+            font,
+            fontScale,
+            left: margin,
+            right: width - margin,
+            top: margin,
+            bottom: height - margin,
+            range,
+            toY: energy => height - margin - (energy - range.min) / (range.max - range.min) * (height - 2 * margin),
+            addRegion: (x, y, w, h, text, draggable = false) => {
+                regions.push({ x: Math.min(x, x + w), y: Math.min(y, y + h), width: Math.abs(w), height: Math.abs(h), text, draggable });
+            }
+        };
+        if (!figure) interaction.frame = { toEnergy: y => range.min + (height - margin - y) / (height - 2 * margin) * (range.max - range.min) };
+
+        // Background grid and energy scale, with ticks at round values whatever the range
+        const { ticks, decimals } = this.niceTicks(range.min, range.max, 8);
+        ctx.strokeStyle = 'rgba(94, 82, 64, 0.2)';
+        ctx.lineWidth = 0.5;
+        ticks.forEach(energy => {
+            const y = frame.toY(energy);
+            ctx.beginPath();
+            ctx.moveTo(margin, y);
+            ctx.lineTo(width - margin, y);
+            ctx.stroke();
+        });
+
+        // Y-axis
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(margin, margin);
+        ctx.lineTo(margin, height - margin);
+        ctx.stroke();
+
+        // Energy scale markings
+        ctx.fillStyle = '#134252';
+        ctx.font = font(12);
+        ticks.forEach(energy => {
+            const y = frame.toY(energy);
+            ctx.beginPath();
+            ctx.moveTo(margin - 8, y);
+            ctx.lineTo(margin + 8, y);
+            ctx.stroke();
+
+            ctx.fillText(energy.toFixed(decimals) + ' eV', 4, y + 4);
+        });
+
+        if (band) {
+            this.drawBandEnergyDiagram(frame, physics, levels);
+        } else {
+            this.drawTextbookEnergyDiagram(frame, physics, levels);
+        }
+    }
+
+    getEnergyLevels(physics) {
+        // Level energies in eV relative to the cathode Fermi level
+        const voltage = this.state.voltage;
+        return {
+            photon: physics.photonEnergy,
+            vacuum: physics.workFunction,
+            maxKineticEnergy: physics.photonEnergy - physics.workFunction,
+            collectorFermi: -voltage,
+            // Without a contact potential the model treats both electrodes as having the cathode's φ
+            collectorVacuum: -voltage + physics.workFunction + physics.contactPotential
+        };
+    }
+
+    describePhotonLevel(physics) {
+        const wavelength = this.state.wavelength;
+        const tunable = !this.elements.wavelengthSlider.disabled;
+        return `Photon energy E = hf = ${physics.photonEnergy.toFixed(3)} eV\n` +
+            `λ = ${wavelength} nm${this.getWavelengthBandLabel(wavelength)}, f = ${(physics.frequency * 1e-12).toFixed(1)} THz` +
+            (tunable ? '\nDrag to change the wavelength' : `\nFixed by the ${this.getSourceDescription()} source`);
+    }
+
+    drawTextbookEnergyDiagram({ ctx, figure, font, fontScale, left, right, bottom, toY, addRegion }, physics, levels) {
+        // Draw work function line with animation
+        const workFunctionY = toY(levels.vacuum);
+        const animatedAlpha = figure ? 1 : 0.8 + 0.2 * Math.sin(this.animationTime * 0.003);
+
+        ctx.strokeStyle = `rgba(78, 205, 196, ${animatedAlpha})`;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(left + 30, workFunctionY);
+        ctx.lineTo(right - 30, workFunctionY);
+        ctx.stroke();
+        addRegion(left + 30, workFunctionY - 6, right - left - 60, 12,
+            `Work function φ = ${physics.workFunction.toFixed(3)} eV (${this.state.currentMaterial.name})\n` +
+            `Threshold λ₀ = hc/φ = ${physics.thresholdWavelength.toFixed(1)} nm`);
+
+        // Work function label
+        ctx.fillStyle = '#4ECDC4';
+        ctx.font = font(16, 'bold');
+        ctx.fillText(`φ = ${physics.workFunction.toFixed(2)} eV`, left + 40, workFunctionY - 12);
+
+        // Photon energy bar
+        const photonTop = toY(levels.photon);
+        const photonBarX = left + 150;
+        const barWidth = 80;
+
+        const photonGradient = ctx.createLinearGradient(0, bottom, 0, photonTop);
+        photonGradient.addColorStop(0, '#FF6B6B');
+        photonGradient.addColorStop(1, '#FF8E8E');
+        ctx.fillStyle = photonGradient;
+        ctx.fillRect(photonBarX, photonTop, barWidth, bottom - photonTop);
+        addRegion(photonBarX, photonTop - 8, barWidth, bottom - photonTop + 8, this.describePhotonLevel(physics), true);
+
+        // Photon energy label with wavelength color coding; UV and IR get a dashed stand-in outline
+        const wavelengthColor = this.getWavelengthColor(this.state.wavelength);
+        if (this.getWavelengthBand(this.state.wavelength) !== 'visible') {
+            ctx.strokeStyle = wavelengthColor;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeRect(photonBarX, photonTop, barWidth, bottom - photonTop);
+            ctx.setLineDash([]);
+        }
+        ctx.fillStyle = wavelengthColor;
+        ctx.font = font(14, 'bold');
+        ctx.fillText(`E = hf = ${physics.photonEnergy.toFixed(2)} eV`, photonBarX, photonTop - 15);
+        ctx.font = font(12);
+        ctx.fillText(`λ = ${this.state.wavelength} nm${this.getWavelengthBandLabel(this.state.wavelength)}`,
+            photonBarX, photonTop - 30);
+
+        // Draw kinetic energy bar if emission occurs
+        if (physics.isEmission && physics.maxKineticEnergy > 0) {
+            const keBarX = photonBarX + barWidth + 30;
+            const keTop = toY(physics.maxKineticEnergy);
+
+            const keGradient = ctx.createLinearGradient(0, bottom, 0, keTop);
+            keGradient.addColorStop(0, '#45B7D1');
+            keGradient.addColorStop(1, '#6BC5D8');
+            ctx.fillStyle = keGradient;
+            ctx.fillRect(keBarX, keTop, barWidth, bottom - keTop);
+            addRegion(keBarX, keTop, barWidth, bottom - keTop,
+                `Maximum kinetic energy KE_max = hf − φ = ${physics.maxKineticEnergy.toFixed(3)} eV\n` +
+                `Stopping potential V_s = ${physics.stoppingPotential.toFixed(3)} V`);
+
+            // KE label
+            ctx.fillStyle = '#45B7D1';
+            ctx.font = font(14, 'bold');
+            ctx.fillText(`KE_max = ${physics.maxKineticEnergy.toFixed(2)} eV`, keBarX, keTop - 15);
+        }
+
+        // Draw threshold indicator
+        ctx.strokeStyle = physics.isEmission ? '#45B7D1' : '#FF6B6B';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([8, 4]);
+        ctx.beginPath();
+        ctx.moveTo(left + 30, workFunctionY);
+        ctx.lineTo(right - 30, workFunctionY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Add Einstein's equation
+        ctx.fillStyle = '#134252';
+        ctx.font = font(16, 'bold', 'serif');
+        ctx.fillText('E = hf = φ + KE_max', left + 30, bottom + 45 * fontScale);
+    }
+
+    drawBandEnergyDiagram({ ctx, figure, font, fontScale, left, right, top, bottom, toY, addRegion }, physics, levels) {
+        // Cathode on the left, collector on the right, the vacuum gap between them
+        const cathodeLeft = left + 20;
+        const cathodeRight = left + (right - left) * 0.38;
+        const collectorLeft = left + (right - left) * 0.72;
+        const collectorRight = right;
+        const voltage = this.state.voltage;
+
+        // Occupied states: each electrode's conduction band is filled up to its Fermi level
+        const drawFilledBand = (x0, x1, fermi, name) => {
+            const y = toY(fermi);
+            const gradient = ctx.createLinearGradient(0, bottom, 0, y);
+            gradient.addColorStop(0, 'rgba(78, 205, 196, 0.6)');
+            gradient.addColorStop(1, 'rgba(78, 205, 196, 0.25)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(x0, y, x1 - x0, bottom - y);
+
+            ctx.strokeStyle = '#134252';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x0, y);
+            ctx.lineTo(x1, y);
+            ctx.stroke();
+            ctx.fillStyle = '#134252';
+            ctx.font = font(12, 'bold');
+            ctx.fillText('E_F', x1 - 28 * fontScale, y + 16 * fontScale);
+            addRegion(x0, y - 5, x1 - x0, bottom - y + 5,
+                `${name} conduction band, filled up to the Fermi level\nE_F = ${fermi.toFixed(3)} eV`);
+        };
+        drawFilledBand(cathodeLeft, cathodeRight, 0, `Cathode (${this.state.currentMaterial.name})`);
+        drawFilledBand(collectorLeft, collectorRight, levels.collectorFermi, `Collector at ${voltage.toFixed(2)} V`);
+
+        // Vacuum levels, joined across the gap by the tilt the applied field gives them
+        const vacuumY = toY(levels.vacuum);
+        const collectorVacuumY = toY(levels.collectorVacuum);
+        ctx.strokeStyle = '#4ECDC4';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(cathodeLeft, vacuumY);
+        ctx.lineTo(cathodeRight, vacuumY);
+        ctx.lineTo(collectorLeft, collectorVacuumY);
+        ctx.lineTo(collectorRight, collectorVacuumY);
+        ctx.stroke();
+        ctx.fillStyle = '#4ECDC4';
+        ctx.font = font(12, 'bold');
+        ctx.fillText('E_vac', cathodeLeft + 4, vacuumY - 8 * fontScale);
+        addRegion(cathodeLeft, vacuumY - 6, cathodeRight - cathodeLeft, 12,
+            `Cathode vacuum level E_vac = E_F + φ = ${levels.vacuum.toFixed(3)} eV`);
+        addRegion(collectorLeft, collectorVacuumY - 6, collectorRight - collectorLeft, 12,
+            `Collector vacuum level ${levels.collectorVacuum.toFixed(3)} eV\n` +
+            `Collector E_F shifted by −eV = ${levels.collectorFermi.toFixed(3)} eV` +
+            (physics.contactPotential ? `\nContact potential ${physics.contactPotential.toFixed(3)} V` : ''));
+        const tilt = levels.collectorVacuum - levels.vacuum;
+        addRegion(cathodeRight, Math.min(vacuumY, collectorVacuumY) - 6, collectorLeft - cathodeRight,
+            Math.abs(collectorVacuumY - vacuumY) + 12,
+            `Vacuum level across the gap ${tilt >= 0 ? 'rises' : 'falls'} by ${Math.abs(tilt).toFixed(3)} eV\n` +
+            (tilt > 0 ? 'Retarding: electrons need this much kinetic energy to reach the collector'
+                : 'Accelerating: every emitted electron reaches the collector'));
+
+        // Work function bracket on the cathode
+        const bracketX = cathodeLeft + 14 * fontScale;
+        ctx.strokeStyle = '#4ECDC4';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(bracketX, toY(0));
+        ctx.lineTo(bracketX, vacuumY);
+        ctx.stroke();
+        ctx.fillText(`φ = ${physics.workFunction.toFixed(2)} eV`, bracketX + 6, (toY(0) + vacuumY) / 2 + 4);
+
+        // Photon absorbed by an electron at the Fermi level
+        const photonX = cathodeLeft + (cathodeRight - cathodeLeft) * 0.7;
+        const photonY = toY(levels.photon);
+        const wavelengthColor = this.getWavelengthColor(this.state.wavelength);
+        ctx.strokeStyle = wavelengthColor;
+        ctx.fillStyle = wavelengthColor;
+        ctx.lineWidth = 4;
+        if (this.getWavelengthBand(this.state.wavelength) !== 'visible') ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(photonX, toY(0));
+        ctx.lineTo(photonX, photonY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(photonX - 8, photonY + 12);
+        ctx.lineTo(photonX, photonY);
+        ctx.lineTo(photonX + 8, photonY + 12);
+        ctx.closePath();
+        ctx.fill();
+        ctx.font = font(14, 'bold');
+        ctx.fillText(`hf = ${physics.photonEnergy.toFixed(2)} eV`, photonX - 40 * fontScale, photonY - 10 * fontScale);
+        addRegion(photonX - 14, photonY - 10, 28, toY(0) - photonY + 10, this.describePhotonLevel(physics), true);
+
+        // The fastest electron flies across at hf above E_F until it reaches the collector or the tilted level
+        if (levels.maxKineticEnergy > 0) {
+            const reaches = levels.photon > levels.collectorVacuum;
+            const turnX = reaches
+                ? collectorLeft
+                : cathodeRight + (collectorLeft - cathodeRight) * (levels.photon - levels.vacuum) / tilt;
+
+            ctx.strokeStyle = '#45B7D1';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(photonX, photonY);
+            ctx.lineTo(turnX, photonY);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#45B7D1';
+            ctx.beginPath();
+            ctx.arc(turnX, photonY, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.font = font(12, 'bold');
+            ctx.fillText(`KE_max = ${levels.maxKineticEnergy.toFixed(2)} eV`, cathodeRight + 6, photonY - 8 * fontScale);
+            ctx.fillText(reaches ? 'collected' : 'turned back', turnX + 6, photonY + 16 * fontScale);
+            addRegion(cathodeRight, photonY - 8, turnX - cathodeRight + 8, 16,
+                `Fastest electron: KE_max = hf − φ = ${levels.maxKineticEnergy.toFixed(3)} eV\n` +
+                (reaches
+                    ? `Reaches the collector with ${(levels.photon - levels.collectorVacuum).toFixed(3)} eV to spare`
+                    : `Turned back ${(levels.collectorVacuum - levels.photon).toFixed(3)} eV short of the collector`));
+        }
+
+        // Electrode names
+        ctx.fillStyle = '#134252';
+        ctx.font = font(12);
+        ctx.textAlign = 'center';
+        ctx.fillText('Cathode', (cathodeLeft + cathodeRight) / 2, top - 12 * fontScale);
+        ctx.fillText('Vacuum gap', (cathodeRight + collectorLeft) / 2, top - 12 * fontScale);
+        ctx.fillText(`Collector (${voltage >= 0 ? '+' : ''}${voltage.toFixed(2)} V)`, (collectorLeft + collectorRight) / 2, top - 12 * fontScale);
+        ctx.textAlign = 'left';
+        ctx.font = font(12, 'bold', 'serif');
+        ctx.fillText('Energies relative to the cathode Fermi level', left + 30, bottom + 45 * fontScale);
+    }
+
+    handleEnergyDiagramPointer(event) {
+        // Hover shows the tooltip of the level under the pointer; dragging the photon bar tunes the wavelength
+        const canvas = this.elements.energyDiagram;
+        const tooltip = this.elements.energyTooltip;
+        const interaction = this.energyDiagramInteraction;
+        const rect = canvas.getBoundingClientRect();
+        const scaleX = rect.width > 0 ? canvas.width / rect.width : 1;
+        const scaleY = rect.height > 0 ? canvas.height / rect.height : 1;
+        const x = (event.clientX - rect.left) * scaleX;
+        const y = (event.clientY - rect.top) * scaleY;
+
+        if (interaction.dragging) {
+            const energy = interaction.frame.toEnergy(y);
+            if (energy > 0) {
+                const wavelength = this.constants.planckConstant * this.constants.speedOfLight / energy * 1e9;
+                // A source that stopped being tunable mid-drag ends the drag
+                if (this.applyWavelength(this.clampWavelength(Math.round(wavelength * 10) / 10))) {
+                    interaction.dragging = false;
+                }
+            }
+        }
+
+        // Later regions are drawn on top, so they win
+        const region = [...interaction.regions].reverse().find(r =>
+            x >= r.x && x <= r.x + r.width && y >= r.y && y <= r.y + r.height);
+        const draggable = region && region.draggable && !this.elements.wavelengthSlider.disabled;
+        canvas.style.cursor = interaction.dragging || draggable ? 'ns-resize' : 'default';
+
+        if (event.type === 'mousedown' && draggable) {
+            interaction.dragging = true;
+            event.preventDefault();
+        }
+
+        if (!region || event.type === 'mouseleave') {
+            tooltip.classList.add('hidden');
+            return;
+        }
+        tooltip.textContent = region.text;
+        tooltip.style.left = `${canvas.offsetLeft + (event.clientX - rect.left) + 14}px`;
+        tooltip.style.top = `${canvas.offsetTop + (event.clientY - rect.top) + 14}px`;
+        tooltip.classList.remove('hidden');
+    }
+
+    endEnergyDiagramDrag() {
+        const interaction = this.energyDiagramInteraction;
+        if (!interaction.dragging) return;
+
+        interaction.dragging = false;
+        this.drawEnergyDiagram(this.calculatePhysics());
+        this.logMessage(`Wavelength adjusted to ${this.state.wavelength} nm`);
+    }
+
+    getWavelengthBand(wavelength) {
+        if (wavelength < this.visibleRange.min) return 'uv';
+        if (wavelength > this.visibleRange.max) return 'ir';
+        return 'visible';
+    }
+
+    getWavelengthColor(wavelength) {
+        // Invisible photons get stand-in colours; the canvases also draw them dashed or hollow
+        const band = this.getWavelengthBand(wavelength);
+        if (band === 'uv') return '#9B59D0';
+        if (band === 'ir') return '#8B2F2F';
+
+        // Interpolate the colour matching functions, then convert XYZ to linear sRGB
+        const cie = this.cieColorMatching;
+        const position = (wavelength - cie.start) / cie.step;
+        const index = Math.min(Math.floor(position), cie.values.length - 2);
+        const fraction = position - index;
+        const [X, Y, Z] = [0, 1, 2].map(i => cie.values[index][i] * (1 - fraction) + cie.values[index + 1][i] * fraction);
+
+        // Spectral colours lie outside the sRGB gamut; clip the negative primaries
+        const rgb = [
+            3.2406 * X - 1.5372 * Y - 0.4986 * Z,
+            -0.9689 * X + 1.8758 * Y + 0.0415 * Z,
+            0.0557 * X - 0.2040 * Y + 1.0570 * Z
+        ].map(c => Math.max(0, c));
+
+        // Full brightness, dimmed towards the ends of the visible range where the eye barely responds
+        const peak = Math.max(...rgb);
+        const { min, max } = this.visibleRange;
+        const fade = wavelength < 420 ? 0.3 + 0.7 * (wavelength - min) / (420 - min)
+            : wavelength > 700 ? 0.3 + 0.7 * (max - wavelength) / (max - 700)
+            : 1;
+
+        return '#' + rgb.map(c => {
+            const linear = c / peak * fade;
+            const encoded = linear <= 0.0031308 ? 12.92 * linear : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+            return Math.round(Math.min(1, Math.max(0, encoded)) * 255).toString(16).padStart(2, '0');
+        }).join('');
+    }
+
+    getWavelengthBandLabel(wavelength) {
+        const band = this.getWavelengthBand(wavelength);
+        return band === 'visible' ? '' : ` (${band.toUpperCase()})`;
+    }
+
+    drawSetupDiagram() {
+        const canvas = this.elements.setupDiagram;
+        const ctx = this.setupCtx;
+        const width = canvas.width;
+        const height = canvas.height;
+
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+
+        // Draw experimental setup
+        this.drawLightSource(ctx, 80, height/2, width, height);
+        this.drawPhotocathode(ctx, 250, height/2);
+        this.drawCollector(ctx, 380, height/2);
+        this.drawMeters(ctx, width, height);
+        this.drawConnections(ctx, width, height);
+
+        // Draw labels
+        ctx.fillStyle = '#134252';
+        ctx.font = '14px sans-serif';
+        ctx.fillText('Light Source', 50, 40);
+        ctx.fillText(`${this.state.currentMaterial.name} Cathode`, 200, 40);
+        ctx.fillText(`${this.state.collectorMaterial.symbol} Collector`, 360, 40);
+        ctx.fillText(`λ = ${this.state.wavelength} nm${this.getWavelengthBandLabel(this.state.wavelength)}`, 50, height - 20);
+        ctx.fillText(`I = ${this.state.intensity} W/m²`, 200, height - 20);
+        ctx.fillText(`V = ${this.state.voltage.toFixed(2)} V`, 370, height - 20);
+
+        // Update animation particles
+        this.updateSetupAnimation();
+    }
+
+    drawLightSource(ctx, x, y, width, height) {
+        // Light source body
+        ctx.fillStyle = this.state.isLightOn ? '#FFD700' : '#CCCCCC';
+        ctx.beginPath();
+        ctx.arc(x, y, 25, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Light symbol
+        ctx.fillStyle = this.state.isLightOn ? '#FFA500' : '#999999';
+        ctx.font = 'bold 20px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('☀', x, y + 7);
+        ctx.textAlign = 'left';
+
+        // Draw light beam if on, one strand per quantile of the spectrum
+        if (this.state.isLightOn) {
+            const spectrum = this.getSourceSpectrum();
+            ctx.lineWidth = 8;
+            ctx.globalAlpha = 0.6;
+            
+            let invisible = false;
+            for (let i = 0; i < 5; i++) {
+                const wavelength = this.sampleSpectrumWavelength(spectrum, (i + 0.5) / 5);
+                const visible = this.getWavelengthBand(wavelength) === 'visible';
+                invisible = invisible || !visible;
+                ctx.strokeStyle = this.getWavelengthColor(wavelength);
+                ctx.setLineDash(visible ? [] : [10, 6]);
+                ctx.beginPath();
+                ctx.moveTo(x + 25, y - 20 + i * 10);
+                ctx.lineTo(x + 150, y - 20 + i * 10);
+                ctx.stroke();
+            }
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 1;
+
+            if (invisible) {
+                ctx.fillStyle = '#134252';
+                ctx.font = '11px sans-serif';
+                ctx.fillText('UV/IR not visible - dashed', x + 30, y + 45);
+            }
+        }
+    }
+
+    drawPhotocathode(ctx, x, y) {
+        // Cathode plate
+        ctx.fillStyle = this.state.currentMaterial.color;
+        ctx.fillRect(x, y - 40, 20, 80);
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y - 40, 20, 80);
+
+        // Material label
+        ctx.fillStyle = '#134252';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.state.currentMaterial.symbol, x + 10, y + 55);
+        ctx.textAlign = 'left';
+    }
+
+    drawCollector(ctx, x, y) {
+        // Collector plate, colored by its material once the contact potential matters
+        ctx.fillStyle = this.state.contactPotential || this.state.reverseCurrent
+            ? this.state.collectorMaterial.color
+            : '#C0C0C0';
+        ctx.fillRect(x, y - 30, 15, 60);
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y - 30, 15, 60);
+
+        // Positive charge symbol
+        ctx.fillStyle = '#FF0000';
+        ctx.font = 'bold 16px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('+', x + 7.5, y + 5);
+        ctx.textAlign = 'left';
+    }
+
+    drawMeters(ctx, width, height) {
+        // Ammeter
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(width - 120, 80, 25, 0, 2 * Math.PI);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#134252';
+        ctx.font = 'bold 16px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('A', width - 120, 85);
+
+        // Voltmeter
+        ctx.beginPath();
+        ctx.arc(width - 120, 180, 25, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.fillText('V', width - 120, 185);
+        ctx.textAlign = 'left';
+
+        // Display readings
+        const physics = this.calculatePhysics();
+        ctx.font = '10px monospace';
+        ctx.fillText(`${physics.current.toFixed(3)}μA`, width - 140, 110);
+        ctx.fillText(`${this.state.voltage.toFixed(2)}V`, width - 140, 210);
+    }
+
+    drawConnections(ctx, width, height) {
+        // Connecting wires
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 2;
+        
+        // Wire from cathode to ammeter
+        ctx.beginPath();
+        ctx.moveTo(270, 120);
+        ctx.lineTo(270, 60);
+        ctx.lineTo(width - 145, 60);
+        ctx.lineTo(width - 145, 80);
+        ctx.stroke();
+
+        // Wire from collector to voltmeter
+        ctx.beginPath();
+        ctx.moveTo(395, 150);
+        ctx.lineTo(width - 145, 150);
+        ctx.lineTo(width - 145, 180);
+        ctx.stroke();
+    }
+
+    updateSetupAnimation() {
+        if (!this.state.isLightOn) return;
+
+        const ctx = this.setupCtx;
+        const scale = this.animationScale;
+        const physics = this.calculatePhysics(this.getTrueVoltage(this.state.voltage));
+        
+        // Photons arrive at a rate proportional to the photon flux (and the lamp's present output),
+        // each wavelength drawn from the source spectrum
+        const rate = Math.min(scale.maxPhotonsPerFrame,
+            scale.photonsPerFrame * physics.photonFlux * this.getLampOutput() / scale.referenceFlux);
+        const arrivals = Math.floor(rate) + (Math.random() < rate % 1 ? 1 : 0);
+        for (let i = 0; i < arrivals; i++) {
+            const wavelength = this.sampleSpectrumWavelength(this.getSourceSpectrum());
+            this.photonParticles.push({
+                x: 105,
+                y: 150 + (Math.random() - 0.5) * 40,
+                speed: 2 + Math.random(),
+                size: 3 + Math.random() * 2,
+                wavelength,
+                color: this.getWavelengthColor(wavelength),
+                visible: this.getWavelengthBand(wavelength) === 'visible'
+            });
+        }
+
+        // Update and draw photons
+        this.photonParticles = this.photonParticles.filter(photon => {
+            photon.x += photon.speed;
+            
+            // Draw photon; UV and IR photons are hollow
+            ctx.globalAlpha = 0.8;
+            ctx.beginPath();
+            ctx.arc(photon.x, photon.y, photon.size, 0, 2 * Math.PI);
+            if (photon.visible) {
+                ctx.fillStyle = photon.color;
+                ctx.fill();
+            } else {
+                ctx.strokeStyle = photon.color;
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
+            ctx.globalAlpha = 1;
+
+            // Check if photon hits cathode
+            if (photon.x >= 250) {
+                const photonEnergy = this.getPhotonEnergy(photon.wavelength);
+                if (Math.random() < this.getAnimationEmissionProbability(photonEnergy)) {
+                    // Create electron with a kinetic energy drawn from the model's distribution
+                    const kineticEnergy = this.sampleElectronEnergy(this.state.currentMaterial, photonEnergy);
+                    this.electronParticles.push({
+                        position: 0,
+                        velocity: Math.sqrt(kineticEnergy) / scale.gapFrames,
+                        y: photon.y,
+                        size: 2,
+                        age: 0
+                    });
+                }
+                return false; // Remove photon
+            }
+            
+            return photon.x < 600;
+        });
+
+        // Electrons cross the uniform field between the cathode face (x = 270) and the collector (x = 380).
+        // Positions are in gap lengths and energies in eV, so a 1 eV electron moves 1/gapFrames per frame
+        // and the potential V across the gap gives a constant acceleration V/(2·gapFrames²)
+        const gapStart = 270;
+        const gapWidth = 380 - gapStart;
+        const acceleration = (this.getTrueVoltage(this.state.voltage) - physics.contactPotential) /
+            (2 * scale.gapFrames * scale.gapFrames);
+
+        this.electronParticles = this.electronParticles.filter(electron => {
+            electron.velocity += acceleration;
+            electron.position += electron.velocity;
+            electron.age++;
+            
+            // Draw electron; ones turned back by a retarding field are orange
+            ctx.fillStyle = electron.velocity < 0 ? '#FF9F43' : '#00FFFF';
+            ctx.beginPath();
+            ctx.arc(gapStart + electron.position * gapWidth, electron.y, electron.size, 0, 2 * Math.PI);
+            ctx.fill();
+
+            // Gone once collected or back in the cathode; near-zero-energy electrons drifting
+            // without a field are dropped after a while
+            return electron.position > 0 && electron.position < 1 && electron.age < scale.maxElectronFrames;
+        });
+    }
+
+    getAnimationEmissionProbability(photonEnergy) {
+        // Chance that a photon reaching the cathode frees an electron. The physical model uses its
+        // quantum efficiency, exaggerated so weak emitters still show; the textbook model has no QE
+        const material = this.state.currentMaterial;
+        if (this.state.currentModel === 'textbook') {
+            return photonEnergy > material.workFunction ? this.animationScale.textbookEmission : 0;
+        }
+        const { quantumEfficiency } = this.calculateEmissionCurrent(material, photonEnergy, 0);
+        return Math.min(1, quantumEfficiency * this.animationScale.qeGain);
+    }
+
+    getInstrumentInputs() {
+        // [setting, element] pairs for every editable instrument parameter
+        return [
+            ['shotNoise', this.elements.instrumentShotNoise],
+            ['johnsonNoise', this.elements.instrumentJohnsonNoise],
+            ['integrationTime', this.elements.instrumentIntegrationTime],
+            ['feedbackResistance', this.elements.instrumentFeedbackResistance],
+            ['temperature', this.elements.instrumentTemperature],
+            ['darkCurrent', this.elements.instrumentDarkCurrent],
+            ['ammeterCounts', this.elements.instrumentAmmeterCounts],
+            ['ammeterRange', this.elements.instrumentAmmeterRange],
+            ['voltmeterOffset', this.elements.instrumentVoltmeterOffset],
+            ['voltmeterDrift', this.elements.instrumentVoltmeterDrift]
+        ];
+    }
+
+    applyInstrumentPreset(name) {
+        const preset = this.instrumentPresets[name];
+        if (!preset) return;
+
+        this.instrument = { preset: name, ...preset };
+        this.instrumentEpoch = Date.now();
+        this.updateInstrumentControls();
+        this.updateAllCalculations();
+        this.logMessage(`Instrument model: ${preset.label}`);
+    }
+
+    updateInstrumentControls() {
+        this.elements.instrumentPreset.value = this.instrument.preset;
+        this.getInstrumentInputs().forEach(([key, input]) => {
+            if (input.type === 'checkbox') {
+                input.checked = this.instrument[key];
+            } else {
+                input.value = this.instrument[key];
+            }
+        });
+    }
+
+    readInstrumentSettings() {
+        const settings = {};
+        for (const [key, input] of this.getInstrumentInputs()) {
+            if (input.type === 'checkbox') {
+                settings[key] = input.checked;
+            } else if (key === 'ammeterRange' && input.value === 'auto') {
+                settings[key] = 'auto';
+            } else {
+                // Only the voltmeter errors may be negative
+                const value = parseFloat(input.value);
+                const signed = key === 'voltmeterOffset' || key === 'voltmeterDrift';
+                if (isNaN(value) || (!signed && value < 0)) {
+                    this.logMessage(`Invalid instrument setting for ${key} - change ignored`);
+                    this.updateInstrumentControls();
+                    return;
+                }
+                settings[key] = value;
+            }
+        }
+
+        // Integration time and resistance appear in denominators
+        if (settings.integrationTime === 0 || settings.feedbackResistance === 0) {
+            this.logMessage('Integration time and feedback resistance must be greater than zero');
+            this.updateInstrumentControls();
+            return;
+        }
+
+        this.instrument = { preset: 'custom', ...settings };
+        this.updateInstrumentControls();
+        this.updateAllCalculations();
+        this.logMessage('Instrument model: custom settings');
+    }
+
+    startAcquisition() {
+        if (this.acquisition.timerId !== null) return;
+
+        this.acquisition.filtered = null;
+        this.acquisition.timerId = setInterval(() => this.sampleAcquisition(), 1000 / this.acquisition.rate);
+        this.elements.acquisitionToggle.textContent = '⏹ Stop Acquisition';
+        this.logMessage(`Continuous acquisition started at ${this.acquisition.rate} samples/s`);
+        this.sampleAcquisition();
+    }
+
+    stopAcquisition() {
+        if (this.acquisition.timerId === null) return;
+
+        clearInterval(this.acquisition.timerId);
+        this.acquisition.timerId = null;
+        this.elements.acquisitionToggle.textContent = '▶ Start Acquisition';
+        this.logMessage(`Continuous acquisition stopped after ${this.acquisition.samples.length} samples on screen`);
+    }
+
+    sampleAcquisition() {
+        const acquisition = this.acquisition;
+        const now = Date.now();
+
+        // In the dark only the leakage current is left
+        const physics = this.calculatePhysics(this.getTrueVoltage(this.state.voltage));
+        const target = this.state.isLightOn ? this.getObservedCurrent(physics, now) : physics.leakageCurrent;
+
+        // The ammeter settles towards a new current with a first-order response, so steps show as transients
+        if (acquisition.filtered === null) {
+            acquisition.filtered = target;
+        } else {
+            const dt = (now - acquisition.lastTime) / 1000;
+            const settled = acquisition.responseTime > 0 ? 1 - Math.exp(-dt / acquisition.responseTime) : 1;
+            acquisition.filtered += (target - acquisition.filtered) * settled;
+        }
+        acquisition.lastTime = now;
+
+        const reading = this.simulateCurrentReading(acquisition.filtered);
+        acquisition.samples.push({ x: now, y: reading });
+        this.elements.liveCurrent.textContent = reading.toFixed(6) + ' μA';
+        this.updateStripChart();
+    }
+
+    updateStripChart() {
+        // Scroll the time axis and drop samples that have left the window
+        const acquisition = this.acquisition;
+        const now = acquisition.lastTime || Date.now();
+        const start = now - acquisition.window * 1000;
+        acquisition.samples = acquisition.samples.filter(sample => sample.x >= start);
+
+        this.stripChart.data.datasets[0].data = acquisition.samples;
+        this.stripChart.options.scales.x.min = start;
+        this.stripChart.options.scales.x.max = now;
+        this.stripChart.update('none');
+
+        const samples = acquisition.samples;
+        if (samples.length < 2) {
+            this.elements.stripStats.textContent = samples.length === 0 ? 'No samples yet' : 'Collecting…';
+            return;
+        }
+
+        // Window mean, scatter and linear trend, to judge when the signal has stabilised
+        const n = samples.length;
+        const meanTime = samples.reduce((sum, s) => sum + s.x, 0) / n;
+        const mean = samples.reduce((sum, s) => sum + s.y, 0) / n;
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        samples.forEach(({ x, y }) => {
+            sxx += (x - meanTime) * (x - meanTime);
+            sxy += (x - meanTime) * (y - mean);
+            syy += (y - mean) * (y - mean);
+        });
+        const standardDeviation = Math.sqrt(syy / (n - 1));
+        const slope = sxx > 0 ? sxy / sxx * 60000 : 0; // μA per minute
+        const trend = mean !== 0 ? `${slope >= 0 ? '+' : ''}${(slope / Math.abs(mean) * 100).toFixed(2)} %/min` : '—';
+
+        this.elements.stripStats.textContent =
+            `Mean ${mean.toFixed(6)} μA · SD ${standardDeviation.toFixed(6)} μA · trend ${trend} (${n} samples)`;
+    }
+
+    // Scripting API for window.sim and the procedure script panel; see "Scripting API" in the README
+
+    on(type, listener) {
+        const handler = (event) => listener(event.detail);
+        this.events.addEventListener(type, handler);
+        return () => this.events.removeEventListener(type, handler);
+    }
+
+    emit(type, detail) {
+        this.events.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    checkSliderRange(slider, value, label, unit) {
+        const min = parseFloat(slider.min);
+        const max = parseFloat(slider.max);
+        if (typeof value !== 'number' || isNaN(value) || value < min || value > max) {
+            return `${label} must be a number between ${min} and ${max} ${unit}`;
+        }
+        return null;
+    }
+
+    findMaterial(nameOrSymbol) {
+        const key = String(nameOrSymbol).trim().toLowerCase();
+        return this.materials.find(m => m.name.toLowerCase() === key || m.symbol.toLowerCase() === key);
+    }
+
+    setMaterial(material) {
+        // Accepts a material object or a name or symbol from the library
+        if (this.challenge) {
+            return Promise.reject(new Error('The cathode cannot be changed during the unknown-material challenge'));
+        }
+        const found = typeof material === 'string'
+            ? this.findMaterial(material)
+            : this.materials.find(m => m === material);
+        if (!found) {
+            return Promise.reject(new Error(`Unknown material "${material && material.name ? material.name : material}"`));
+        }
+
+        this.state.currentMaterial = found;
+        this.elements.materialSelect.value = this.materials.indexOf(found);
+        this.updateAllCalculations();
+        this.logMessage(`Material changed to ${found.name}`);
+        this.emit('materialchange', { material: found.name, symbol: found.symbol, workFunction: found.workFunction });
+        return Promise.resolve(found.name);
+    }
+
+    // The apply* methods are the synchronous setters used inside the app; each returns an error
+    // message or null. The promise-returning set* methods wrap them for scripts and the public API
+
+    applyWavelength(wavelength) {
+        if (this.elements.wavelengthSlider.disabled) {
+            return `The wavelength of the ${this.getSourceDescription()} source cannot be tuned`;
+        }
+        const { wavelengthMin: min, wavelengthMax: max } = this.state;
+        if (typeof wavelength !== 'number' || isNaN(wavelength) || wavelength < min || wavelength > max) {
+            return `Wavelength must be a number between ${min} and ${max} nm`;
+        }
+
+        this.state.wavelength = wavelength;
+        this.elements.wavelengthSlider.value = this.wavelengthToAxis(wavelength);
+        this.updateWavelengthDisplay();
+        this.updateAllCalculations();
+        this.emit('wavelengthchange', { wavelength });
+        return null;
+    }
+
+    setWavelength(wavelength) {
+        const error = this.applyWavelength(wavelength);
+        return error ? Promise.reject(new Error(error)) : Promise.resolve(wavelength);
+    }
+
+    applyIntensity(intensity) {
+        const error = this.checkSliderRange(this.elements.intensitySlider, intensity, 'Intensity', 'W/m²');
+        if (error) return error;
+
+        this.state.intensity = intensity;
+        this.elements.intensitySlider.value = intensity;
+        this.elements.intensityValue.textContent = intensity.toFixed(1);
+        this.updateAllCalculations();
+        this.emit('intensitychange', { intensity });
+        return null;
+    }
+
+    setIntensity(intensity) {
+        const error = this.applyIntensity(intensity);
+        return error ? Promise.reject(new Error(error)) : Promise.resolve(intensity);
+    }
+
+    applyArea(area) {
+        const error = this.checkSliderRange(this.elements.areaSlider, area, 'Area', 'cm²');
+        if (error) return error;
+
+        this.state.area = area;
+        this.elements.areaSlider.value = area;
+        this.elements.areaValue.textContent = area.toFixed(2);
+        this.updateAllCalculations();
+        this.emit('areachange', { area });
+        return null;
+    }
+
+    setArea(area) {
+        const error = this.applyArea(area);
+        return error ? Promise.reject(new Error(error)) : Promise.resolve(area);
+    }
+
+    applyVoltage(voltage) {
+        const error = this.checkSliderRange(this.elements.voltageSlider, voltage, 'Voltage', 'V');
+        if (error) return error;
+
+        this.state.voltage = voltage;
+        this.elements.voltageSlider.value = voltage;
+        this.elements.voltageValue.textContent = voltage.toFixed(2);
+        this.updateAllCalculations();
+        this.emit('voltagechange', { voltage });
+        return null;
+    }
+
+    setVoltage(voltage) {
+        const error = this.applyVoltage(voltage);
+        return error ? Promise.reject(new Error(error)) : Promise.resolve(voltage);
+    }
+
+    setLight(on) {
+        if (Boolean(on) !== this.state.isLightOn) {
+            this.toggleLight();
+        }
+        return Promise.resolve(this.state.isLightOn);
+    }
+
+    async measure({ voltage, repeat = 1 } = {}) {
+        if (!this.state.isLightOn) {
+            throw new Error('Switch on the light before measuring');
+        }
+        if (this.voltageSweep.status !== 'idle') {
+            throw new Error('Cannot measure while a voltage sweep is in progress');
+        }
+        if (!Number.isInteger(repeat) || repeat < 1) {
+            throw new Error('repeat must be a positive whole number');
+        }
+        if (voltage !== undefined) {
+            await this.setVoltage(voltage);
+        }
+
+        const results = [];
+        for (let i = 0; i < repeat; i++) {
+            results.push(this.toPublicMeasurement(this.takePrecisionMeasurement()));
+        }
+        return repeat === 1 ? results[0] : results;
+    }
+
+    sweep(options = {}) {
+        return new Promise((resolve, reject) => {
+            const { run, error } = this.startVoltageSweep(options);
+            if (error) {
+                reject(new Error(`Sweep not started - ${error}`));
+                return;
+            }
+            this.voltageSweep.scripted = this.script.status !== 'idle';
+
+            const unsubscribe = this.on('sweepend', ({ runId, status, completed, total }) => {
+                if (runId !== run.id) return;
+                unsubscribe();
+                if (status === 'complete') {
+                    resolve(this.getData({ run: run.id }));
+                } else {
+                    reject(new Error(`Sweep aborted after ${completed}/${total} points`));
+                }
+            });
+        });
+    }
+
+    getData({ run = null, readings = false } = {}) {
+        const runId = run === 'current' ? (this.currentRun ? this.currentRun.id : -1) : run;
+        const data = this.experimentData
+            .filter(d => runId === null || d.runId === runId)
+            .map(d => this.toPublicMeasurement(d, readings));
+        return Promise.resolve(data);
+    }
+
+    toPublicMeasurement(data, readings = false) {
+        // A detached copy; the 1000 raw readings are only included on request
+        const { individualReadings, ...fields } = data;
+        return readings ? { ...fields, individualReadings: [...individualReadings] } : { ...fields };
+    }
+
+    createScriptApi() {
+        // Each API call is one step of the procedure, logged and optionally paused before
+        const api = { on: (type, listener) => this.on(type, listener) };
+        this.scriptApiMethods.forEach(name => {
+            api[name] = async (...args) => {
+                await this.beforeScriptStep(`${name}(${args.map(a => JSON.stringify(a)).join(', ')})`);
+                return this[name](...args);
+            };
+        });
+        return api;
+    }
+
+    async beforeScriptStep(call) {
+        if (this.script.stopRequested) {
+            throw new Error('Script stopped');
+        }
+
+        this.script.step++;
+        this.updateScriptControls();
+        if (this.script.stepMode) {
+            this.script.status = 'paused';
+            this.updateScriptControls();
+            this.appendScriptOutput(`Next: ${call}`, `#${this.script.step}`);
+            await new Promise(resolve => {
+                this.script.advance = resolve;
+            });
+            this.script.advance = null;
+            if (this.script.stopRequested) {
+                throw new Error('Script stopped');
+            }
+            this.script.status = 'running';
+            this.updateScriptControls();
+        }
+        this.appendScriptOutput(call, `#${this.script.step}`);
+    }
+
+    async runScript(stepMode) {
+        if (this.script.status !== 'idle') return;
+
+        // Scripts run in page scope, where the hidden challenge sample can be read
+        if (this.challenge) {
+            this.logMessage('Procedure script not started - scripts are disabled during the unknown-material challenge');
+            return;
+        }
+
+        // Scripts run as the body of an async function with sim, log and wait in scope
+        const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+        this.elements.scriptOutput.innerHTML = '';
+        let procedure;
+        try {
+            procedure = new AsyncFunction('sim', 'log', 'wait', this.elements.scriptEditor.value);
+        } catch (error) {
+            this.appendScriptOutput(`Syntax error: ${error.message}`, 'Error');
+            this.logMessage(`Procedure script not started - ${error.message}`);
+            return;
+        }
+
+        this.script = { status: 'running', stepMode, step: 0, advance: null, stopRequested: false };
+        this.updateScriptControls();
+        this.logMessage(`Procedure script started${stepMode ? ' in step mode' : ''}`);
+
+        const log = (message) => this.appendScriptOutput(typeof message === 'string' ? message : JSON.stringify(message));
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        try {
+            await procedure(this.createScriptApi(), log, wait);
+            this.appendScriptOutput(`Finished after ${this.script.step} steps`, 'Done');
+            this.logMessage(`Procedure script finished after ${this.script.step} steps`);
+        } catch (error) {
+            const message = error && error.message ? error.message : String(error);
+            this.appendScriptOutput(message, this.script.stopRequested ? 'Stopped' : 'Error');
+            this.logMessage(this.script.stopRequested
+                ? `Procedure script stopped at step ${this.script.step}`
+                : `Procedure script failed at step ${this.script.step}: ${message}`);
+        }
+
+        this.script.status = 'idle';
+        this.updateScriptControls();
+    }
+
+    advanceScript() {
+        // From running, switch to step mode; when paused, carry out the next step
+        this.script.stepMode = true;
+        if (this.script.advance) {
+            this.script.advance();
+        }
+    }
+
+    stopScript() {
+        if (this.script.status === 'idle') return;
+
+        this.script.stopRequested = true;
+        if (this.script.advance) {
+            this.script.advance();
+        }
+        // A sweep the script started would otherwise keep it waiting until the sweep finishes;
+        // one started from the sweep panel is left running
+        if (this.voltageSweep.scripted) {
+            this.abortVoltageSweep();
+        }
+    }
+
+    updateScriptControls() {
+        const { status, step } = this.script;
+        this.elements.scriptRun.disabled = status !== 'idle' || Boolean(this.challenge);
+        this.elements.scriptStep.disabled = status === 'idle' && Boolean(this.challenge);
+        this.elements.scriptStop.disabled = status === 'idle';
+        this.elements.scriptEditor.readOnly = status !== 'idle';
+
+        const labels = {
+            idle: ['status status--info', 'Idle'],
+            running: ['status status--success', `Running step ${step}`],
+            paused: ['status status--warning', `Paused before step ${step}`]
+        };
+        this.elements.scriptStatus.className = labels[status][0];
+        this.elements.scriptStatus.textContent = labels[status][1];
+    }
+
+    appendScriptOutput(message, label = new Date().toLocaleTimeString()) {
+        const entry = document.createElement('div');
+        entry.className = 'log-entry';
+        entry.innerHTML = `<span class="log-time"></span><span class="log-message"></span>`;
+        entry.querySelector('.log-time').textContent = label;
+        entry.querySelector('.log-message').textContent = message;
+        this.elements.scriptOutput.appendChild(entry);
+        this.elements.scriptOutput.scrollTop = this.elements.scriptOutput.scrollHeight;
+    }
+
+    readSweepConfig(overrides = {}) {
+        // Scripted sweeps override the panel inputs they specify
+        const config = {
+            start: parseFloat(this.elements.sweepStart.value),
+            stop: parseFloat(this.elements.sweepStop.value),
+            step: parseFloat(this.elements.sweepStep.value),
+            dwell: parseFloat(this.elements.sweepDwell.value),
+            direction: this.elements.sweepDirection.value,
+            ...overrides
+        };
+
+        const minVoltage = parseFloat(this.elements.voltageSlider.min);
+        const maxVoltage = parseFloat(this.elements.voltageSlider.max);
+
+        if ([config.start, config.stop, config.step, config.dwell].some(v => typeof v !== 'number' || isNaN(v))) {
+            return { error: 'Sweep parameters must all be numbers' };
+        }
+        if (config.start < minVoltage || config.start > maxVoltage ||
+            config.stop < minVoltage || config.stop > maxVoltage) {
+            return { error: `Sweep voltages must lie between ${minVoltage} V and ${maxVoltage} V` };
+        }
+        if (config.start === config.stop) {
+            return { error: 'Sweep start and stop voltages must differ' };
+        }
+        if (config.step <= 0) {
+            return { error: 'Sweep step must be greater than zero' };
+        }
+        if (config.dwell < 0) {
+            return { error: 'Sweep dwell time cannot be negative' };
+        }
+        if (!['forward', 'reverse', 'bidirectional'].includes(config.direction)) {
+            return { error: `Unknown sweep direction "${config.direction}"` };
+        }
+
+        return { config };
+    }
+
+    buildSweepPoints(config) {
+        // Voltages are rounded to the slider resolution (0.01 V)
+        const round = (v) => Math.round(v * 100) / 100;
+        const span = config.stop - config.start;
+        const sign = span > 0 ? 1 : -1;
+        const stepCount = Math.floor(Math.abs(span) / config.step + 1e-9);
+
+        const forward = [];
+        for (let i = 0; i <= stepCount; i++) {
+            forward.push(round(config.start + sign * i * config.step));
+        }
+        // Always finish exactly on the stop voltage
+        if (forward[forward.length - 1] !== round(config.stop)) {
+            forward.push(round(config.stop));
+        }
+
+        if (config.direction === 'reverse') {
+            return forward.reverse();
+        }
+        if (config.direction === 'bidirectional') {
+            return forward.concat(forward.slice(0, -1).reverse());
+        }
+        return forward;
+    }
+
+    startVoltageSweep(overrides = {}) {
+        // Returns { run } once started or { error } explaining why not
+        if (this.voltageSweep.status !== 'idle') {
+            return { error: 'a sweep is already in progress' };
+        }
+        // Its measurements would land in the run of the wavelength or linearity sweep
+        if (this.millikan.sweeping || this.linearity.sweeping) {
+            const error = 'another sweep is in progress';
+            this.logMessage(`Sweep not started - ${error}`);
+            return { error };
+        }
+
+        const { config, error } = this.state.isLightOn
+            ? this.readSweepConfig(overrides)
+            : { error: 'switch on the light first' };
+        if (error) {
+            this.logMessage(`Sweep not started - ${error}`);
+            return { error };
+        }
+
+        this.voltageSweep.config = config;
+        this.voltageSweep.points = this.buildSweepPoints(config);
+        this.voltageSweep.index = 0;
+        this.voltageSweep.status = 'running';
+        this.voltageSweep.scripted = false;
+
+        // Each sweep gets its own run so the points are plotted in sweep order
+        this.voltageSweep.run = this.startNewRun();
+
+        this.updateSweepControls();
+        this.logMessage(`Voltage sweep started: ${config.start.toFixed(2)}V → ${config.stop.toFixed(2)}V, ` +
+            `step ${config.step.toFixed(2)}V, dwell ${config.dwell}ms, ${config.direction} (${this.voltageSweep.points.length} points)`);
+        this.emit('sweepstart', { runId: this.voltageSweep.run.id, config: { ...config }, points: this.voltageSweep.points.length });
+
+        this.runSweepStep();
+        return { run: this.voltageSweep.run };
+    }
+
+    runSweepStep() {
+        if (this.voltageSweep.status !== 'running') return;
+
+        if (this.voltageSweep.index >= this.voltageSweep.points.length) {
+            this.finishVoltageSweep();
+            return;
+        }
+
+        // Step the voltage, then let it settle for the dwell time before measuring
+        const error = this.applyVoltage(this.voltageSweep.points[this.voltageSweep.index]);
+        if (error) {
+            this.logMessage(error);
+            this.abortVoltageSweep();
+            return;
+        }
+
+        this.voltageSweep.timerId = setTimeout(() => {
+            this.voltageSweep.timerId = null;
+            this.takePrecisionMeasurement();
+            this.voltageSweep.index++;
+            this.updateSweepProgress();
+            this.emit('sweepprogress', { runId: this.voltageSweep.run.id, completed: this.voltageSweep.index, total: this.voltageSweep.points.length });
+            this.runSweepStep();
+        }, this.voltageSweep.config.dwell);
+    }
+
+    pauseVoltageSweep() {
+        if (this.voltageSweep.status !== 'running') return;
+
+        clearTimeout(this.voltageSweep.timerId);
+        this.voltageSweep.timerId = null;
+        this.voltageSweep.status = 'paused';
+
+        this.updateSweepControls();
+        this.logMessage(`Voltage sweep paused at point ${this.voltageSweep.index + 1}/${this.voltageSweep.points.length}`);
+    }
+
+    resumeVoltageSweep() {
+        if (this.voltageSweep.status !== 'paused') return;
+
+        if (!this.state.isLightOn) {
+            this.logMessage('Sweep not resumed - switch on the light first');
+            return;
+        }
+
+        this.voltageSweep.status = 'running';
+        this.updateSweepControls();
+        this.logMessage(`Voltage sweep resumed at point ${this.voltageSweep.index + 1}/${this.voltageSweep.points.length}`);
+
+        this.runSweepStep();
+    }
+
+    abortVoltageSweep() {
+        if (this.voltageSweep.status === 'idle') return;
+
+        const completed = this.voltageSweep.index;
+        this.resetSweepState();
+        this.logMessage(`Voltage sweep aborted after ${completed}/${this.voltageSweep.points.length} points`);
+        this.emit('sweepend', { runId: this.voltageSweep.run.id, status: 'aborted', completed, total: this.voltageSweep.points.length });
+    }
+
+    finishVoltageSweep() {
+        const total = this.voltageSweep.points.length;
+        this.resetSweepState();
+        this.logMessage(`Voltage sweep complete: ${total} points measured`);
+        this.emit('sweepend', { runId: this.voltageSweep.run.id, status: 'complete', completed: total, total });
+    }
+
+    resetSweepState() {
+        clearTimeout(this.voltageSweep.timerId);
+        this.voltageSweep.timerId = null;
+        this.voltageSweep.status = 'idle';
+        this.updateSweepControls();
+    }
+
+    updateSweepProgress() {
+        const total = this.voltageSweep.points.length;
+        const done = this.voltageSweep.index;
+        const percent = total > 0 ? (done / total) * 100 : 0;
+
+        this.elements.sweepProgress.value = percent;
+        this.elements.sweepProgressText.textContent = `${done} / ${total} points`;
+
+        // Log progress at every 25% so the log is not flooded
+        const quarter = Math.ceil(total / 4);
+        if (done < total && done % quarter === 0) {
+            this.logMessage(`Sweep progress: ${done}/${total} points (${percent.toFixed(0)}%)`);
+        }
+    }
+
+    updateSweepControls() {
+        const status = this.voltageSweep.status;
+        const isIdle = status === 'idle';
+
+        this.elements.sweepStartBtn.disabled = !isIdle;
+        this.elements.sweepPauseBtn.disabled = isIdle;
+        this.elements.sweepAbortBtn.disabled = isIdle;
+        this.elements.sweepPauseBtn.textContent = status === 'paused' ? '▶ Resume' : '⏸ Pause';
+
+        // Manual voltage changes would interfere with a sweep in progress
+        this.elements.voltageSlider.disabled = !isIdle;
+
+        [this.elements.sweepStart, this.elements.sweepStop, this.elements.sweepStep,
+            this.elements.sweepDwell, this.elements.sweepDirection].forEach(input => {
+            input.disabled = !isIdle;
+        });
+
+        const labels = {
+            idle: ['status status--info', 'Idle'],
+            running: ['status status--success', 'Running'],
+            paused: ['status status--warning', 'Paused']
+        };
+        this.elements.sweepStatus.className = labels[status][0];
+        this.elements.sweepStatus.textContent = labels[status][1];
+
+        if (isIdle) {
+            this.elements.sweepProgress.value = 0;
+            this.elements.sweepProgressText.textContent = 'Not running';
+        }
+    }
+
+    getCurrentAnalysisPoints() {
+        // Every stored measurement taken under the current material, wavelength, intensity and area
+        const signature = this.getRunSignature();
+        return this.toAnalysisPoints(this.experimentData.filter(d => this.getMeasurementSignature(d) === signature));
+    }
+
+    getRunAnalysisPoints(run) {
+        return this.toAnalysisPoints(this.experimentData.filter(d => d.runId === run.id));
+    }
+
+    addMillikanPointFromRun(run) {
+        if (this.millikan.points.some(p => p.runId === run.id)) return false;
+
+        const estimate = this.estimateStoppingPotential(this.getRunAnalysisPoints(run));
+        if (!estimate) {
+            this.logMessage(`${run.name}: no cut-off found in the measured range - skipped`);
+            return false;
+        }
+
+        this.millikan.points.push({
+            runId: run.id,
+            wavelength: run.wavelength,
+            frequency: this.constants.speedOfLight / (run.wavelength * 1e-9), // Hz
+            stoppingPotential: estimate.value,
+            uncertainty: estimate.uncertainty,
+            material: run.material
+        });
+        return true;
+    }
+
+    collectMillikanFromRuns() {
+        // Only one cathode can be analysed at a time
+        const material = this.state.currentMaterial.name;
+        const runs = this.allExperimentRuns.filter(r => r.material === material);
+
+        if (this.millikan.points.some(p => p.material !== material)) {
+            this.millikan.points = [];
+        }
+
+        const added = runs.filter(run => this.addMillikanPointFromRun(run)).length;
+        this.logMessage(`Millikan: added ${added} stopping potential(s) from ${material} runs`);
+        this.updateMillikanAnalysis();
+    }
+
+    startMillikanSweep() {
+        if (this.millikan.sweeping) return;
+
+        if (!this.state.isLightOn) {
+            this.logMessage('Wavelength sweep not started - switch on the light first');
+            return;
+        }
+        if (this.voltageSweep.status !== 'idle') {
+            this.logMessage('Wavelength sweep not started - a voltage sweep is in progress');
+            return;
+        }
+        if (this.linearity.sweeping) {
+            this.logMessage('Wavelength sweep not started - a linearity sweep is in progress');
+            return;
+        }
+        if (this.state.sourceType === 'blackbody' || this.state.sourceType === 'custom') {
+            this.logMessage('Wavelength sweep not started - broadband sources have no single wavelength to step');
+            return;
+        }
+
+        const start = parseInt(this.elements.millikanStart.value);
+        const stop = parseInt(this.elements.millikanStop.value);
+        const step = parseInt(this.elements.millikanStep.value);
+        const voltageStep = parseFloat(this.elements.millikanVoltageStep.value);
+        const minWavelength = this.state.wavelengthMin;
+        const maxWavelength = this.state.wavelengthMax;
+
+        if ([start, stop, step, voltageStep].some(isNaN) || step <= 0 || voltageStep <= 0 ||
+            start < minWavelength || stop > maxWavelength || start >= stop) {
+            this.logMessage(`Wavelength sweep not started - use ${minWavelength}-${maxWavelength} nm with positive steps`);
+            return;
+        }
+
+        // With the mercury lamp the sweep steps through the filters, as in the real h/e lab
+        const steps = [];
+        if (this.state.sourceType === 'mercury') {
+            Object.keys(this.mercuryFilters).forEach(filter => {
+                const apply = () => {
+                    this.setMercuryFilter(filter);
+                    return null;
+                };
+                steps.push({ label: `${filter} nm filter`, apply });
+            });
+        } else {
+            for (let wavelength = start; wavelength <= stop; wavelength += step) {
+                steps.push({ label: `${wavelength} nm`, apply: () => this.applyWavelength(wavelength) });
+            }
+        }
+
+        // Retarding scan from slightly positive down to the most negative slider voltage
+        const minVoltage = parseFloat(this.elements.voltageSlider.min);
+        const voltages = [];
+        for (let v = 0.5; v >= minVoltage - 1e-9; v -= voltageStep) {
+            voltages.push(Math.round(v * 100) / 100);
+        }
+
+        if (this.millikan.points.some(p => p.material !== this.state.currentMaterial.name)) {
+            this.millikan.points = [];
+        }
+
+        const sourceType = this.state.sourceType;
+        const originalWavelength = this.state.wavelength;
+        const originalFilter = this.state.mercuryFilter;
+        const originalVoltage = this.state.voltage;
+        this.millikan.sweeping = true;
+        this.elements.millikanSweep.disabled = true;
+        this.logMessage(`Millikan wavelength sweep started: ${steps.length} wavelengths, ${voltages.length} voltages each`);
+
+        let index = 0;
+        let failure = null;
+        const measureNextWavelength = () => {
+            // Cancelled by resetExperiment()
+            if (!this.millikan.sweeping) return;
+
+            // Points measured under another source would carry the wrong wavelength labels
+            if (!failure && index < steps.length && this.state.sourceType !== sourceType) {
+                failure = 'the light source was changed';
+            }
+            if (index >= steps.length || !this.state.isLightOn || failure) {
+                this.millikan.sweeping = false;
+                this.elements.millikanSweep.disabled = false;
+                if (this.state.sourceType === sourceType) {
+                    if (sourceType === 'mercury') {
+                        this.setMercuryFilter(originalFilter);
+                    } else {
+                        this.applyWavelength(originalWavelength);
+                    }
+                }
+                this.applyVoltage(originalVoltage);
+                if (failure) {
+                    this.logMessage(`Millikan wavelength sweep stopped at ${steps[index].label} - ` +
+                        `${failure.charAt(0).toLowerCase()}${failure.slice(1)}`);
+                } else {
+                    this.logMessage(index >= steps.length
+                        ? 'Millikan wavelength sweep complete'
+                        : `Millikan wavelength sweep stopped after ${index}/${steps.length} wavelengths`);
+                }
+                this.updateMillikanAnalysis();
+                return;
+            }
+
+            failure = steps[index].apply();
+            if (!failure) {
+                const run = this.startNewRun(`Millikan: ${this.state.currentMaterial.symbol}, ${steps[index].label}`);
+                for (const voltage of voltages) {
+                    failure = this.applyVoltage(voltage);
+                    if (failure) break;
+                    this.takePrecisionMeasurement();
+                }
+                if (!failure) {
+                    this.addMillikanPointFromRun(run);
+                    this.updateMillikanAnalysis();
+                    index++;
+                }
+            }
+            // Yield to the browser between wavelengths so the UI stays responsive
+            setTimeout(measureNextWavelength, 0);
+        };
+        measureNextWavelength();
+    }
+
+    clearMillikanData() {
+        this.millikan.points = [];
+        this.updateMillikanAnalysis();
+        this.logMessage('Millikan data cleared');
+    }
+
+    updateMillikanAnalysis() {
+        const points = [...this.millikan.points].sort((a, b) => a.frequency - b.frequency);
+        const frequencies = points.map(p => p.frequency * 1e-12); // THz
+
+        this.millikanChart.data.datasets[0].data = points.map((p, i) => ({ x: frequencies[i], y: p.stoppingPotential }));
+        this.millikanChart.data.datasets[1].data = [];
+        this.residualChart.data.datasets[0].data = [];
+        this.millikan.fit = null;
+        this.elements.millikanPointCount.textContent = points.length;
+
+        const distinctFrequencies = new Set(frequencies).size;
+        if (points.length >= 3 && distinctFrequencies >= 2) {
+            // Fit in THz for numerical conditioning, then convert the slope to V·s
+            const fit = this.weightedLinearFit(frequencies, points.map(p => p.stoppingPotential),
+                points.map(p => Math.max(p.uncertainty, 1e-6)));
+
+            this.millikan.fit = {
+                hOverE: fit.slope * 1e-12,                     // V·s
+                hOverEError: fit.slopeError * 1e-12,
+                workFunction: -fit.intercept,                   // eV
+                workFunctionError: fit.interceptError,
+                reducedChiSquared: fit.reducedChiSquared,
+                count: points.length
+            };
+
+            const fMin = frequencies[0];
+            const fMax = frequencies[frequencies.length - 1];
+            this.millikanChart.data.datasets[1].data = [
+                { x: fMin, y: fit.slope * fMin + fit.intercept },
+                { x: fMax, y: fit.slope * fMax + fit.intercept }
+            ];
+            this.residualChart.data.datasets[0].data = fit.residuals.map((r, i) => ({ x: frequencies[i], y: r * 1000 }));
+        }
+
+        this.millikanChart.update('none');
+        this.residualChart.update('none');
+        this.updateMillikanDisplay();
+        this.updateWorksheetProgress();
+    }
+
+    updateMillikanDisplay() {
+        const fit = this.millikan.fit;
+
+        if (!fit) {
+            this.elements.millikanHOverE.textContent = '—';
+            this.elements.millikanPlanck.textContent = '—';
+            this.elements.millikanWorkFunction.textContent = '—';
+            this.elements.millikanChi2.textContent = '—';
+            return;
+        }
+
+        const acceptedHOverE = this.constants.planckConstant; // V·s, since h in eV·s divided by e
+        const relativeError = (fit.hOverE - acceptedHOverE) / acceptedHOverE * 100;
+        const planck = fit.hOverE * this.constants.elementaryCharge;        // J·s
+        const planckError = fit.hOverEError * this.constants.elementaryCharge;
+
+        this.elements.millikanHOverE.textContent =
+            `(${(fit.hOverE * 1e15).toFixed(3)} ± ${(fit.hOverEError * 1e15).toFixed(3)})×10⁻¹⁵ V·s (${relativeError >= 0 ? '+' : ''}${relativeError.toFixed(2)}%)`;
+        this.elements.millikanPlanck.textContent =
+            `(${(planck * 1e34).toFixed(3)} ± ${(planckError * 1e34).toFixed(3)})×10⁻³⁴ J·s`;
+        this.elements.millikanWorkFunction.textContent =
+            `${fit.workFunction.toFixed(3)} ± ${fit.workFunctionError.toFixed(3)} eV`;
+        this.elements.millikanChi2.textContent = isNaN(fit.reducedChiSquared) ? '—' : fit.reducedChiSquared.toFixed(2);
+    }
+
+    getLinearityVariableInfo(variable) {
+        return variable === 'area'
+            ? { label: 'Area', unit: 'cm²', slider: this.elements.areaSlider, apply: value => this.applyArea(value), decimals: 2 }
+            : { label: 'Intensity', unit: 'W/m²', slider: this.elements.intensitySlider, apply: value => this.applyIntensity(value), decimals: 1 };
+    }
+
+    addLinearityPointFromRun(run, variable, saturationVoltage, withStoppingPotential) {
+        // I_sat is the pooled reading at the saturation voltage; its error includes the display resolution
+        const summary = this.getVoltageSummary(run).find(s => Math.abs(s.voltage - saturationVoltage) < 1e-6);
+        if (!summary) return false;
+
+        const counts = this.instrument.ammeterCounts;
+        const quantization = counts > 0 ? this.getAmmeterRange(summary.mean) / counts / Math.sqrt(12) : 0;
+        const estimate = withStoppingPotential ? this.estimateStoppingPotential(this.getRunAnalysisPoints(run)) : null;
+        if (withStoppingPotential && !estimate) {
+            this.logMessage(`${run.name}: no cut-off found in the measured range - V_s not recorded`);
+        }
+
+        this.linearity.points.push({
+            runId: run.id,
+            variable,
+            x: variable === 'area' ? run.area : run.intensity,
+            intensity: run.intensity,
+            area: run.area,
+            saturationVoltage,
+            saturationCurrent: summary.mean,
+            saturationError: Math.sqrt(summary.standardError ** 2 + quantization ** 2),
+            stoppingPotential: estimate ? estimate.value : null,
+            stoppingPotentialError: estimate ? estimate.uncertainty : null,
+            material: run.material,
+            wavelength: run.wavelength
+        });
+        return true;
+    }
+
+    startLinearitySweep() {
+        if (this.linearity.sweeping) return;
+
+        if (!this.state.isLightOn) {
+            this.logMessage('Linearity sweep not started - switch on the light first');
+            return;
+        }
+        if (this.voltageSweep.status !== 'idle' || this.millikan.sweeping) {
+            this.logMessage('Linearity sweep not started - another sweep is in progress');
+            return;
+        }
+
+        const variable = this.elements.linearityVariable.value === 'area' ? 'area' : 'intensity';
+        const ivSweeps = this.elements.linearityMode.value === 'iv';
+        const info = this.getLinearityVariableInfo(variable);
+        const start = parseFloat(this.elements.linearityStart.value);
+        const stop = parseFloat(this.elements.linearityStop.value);
+        const step = parseFloat(this.elements.linearityStep.value);
+        const saturationVoltage = parseFloat(this.elements.linearityVoltage.value);
+        const voltageStep = parseFloat(this.elements.linearityVoltageStep.value);
+        const min = parseFloat(info.slider.min);
+        const max = parseFloat(info.slider.max);
+        const minVoltage = parseFloat(this.elements.voltageSlider.min);
+        const maxVoltage = parseFloat(this.elements.voltageSlider.max);
+
+        if ([start, stop, step].some(isNaN) || step <= 0 || start < min || stop > max || start >= stop) {
+            this.logMessage(`Linearity sweep not started - use ${info.label.toLowerCase()} ${min}-${max} ${info.unit} with a positive step`);
+            return;
+        }
+        if (isNaN(saturationVoltage) || saturationVoltage < minVoltage || saturationVoltage > maxVoltage) {
+            this.logMessage(`Linearity sweep not started - saturation voltage must be ${minVoltage} to ${maxVoltage} V`);
+            return;
+        }
+        if (ivSweeps && (isNaN(voltageStep) || voltageStep <= 0)) {
+            this.logMessage('Linearity sweep not started - the voltage step must be positive');
+            return;
+        }
+
+        const values = [];
+        for (let value = start; value <= stop + 1e-9; value += step) {
+            values.push(Math.round(value * 100) / 100);
+        }
+
+        // Saturation first, then (for I-V sweeps) down through the cut-off to the most negative voltage
+        const voltages = [saturationVoltage];
+        if (ivSweeps) {
+            for (let v = saturationVoltage - voltageStep; v >= minVoltage - 1e-9; v -= voltageStep) {
+                voltages.push(Math.round(v * 100) / 100);
+            }
+        }
+
+        // Points taken under another variable, cathode or wavelength do not belong on the same line
+        if (this.linearity.points.some(p => p.variable !== variable || p.material !== this.state.currentMaterial.name ||
+            p.wavelength !== this.state.wavelength)) {
+            this.linearity.points = [];
+        }
+        this.linearity.variable = variable;
+
+        const originalIntensity = this.state.intensity;
+        const originalArea = this.state.area;
+        const originalVoltage = this.state.voltage;
+        this.linearity.sweeping = true;
+        this.linearity.stopRequested = false;
+        this.elements.linearitySweep.disabled = true;
+        this.elements.linearityAbort.disabled = false;
+        this.logMessage(`Linearity sweep started: ${values.length} ${info.label.toLowerCase()} steps, ${voltages.length} voltage(s) each`);
+
+        let index = 0;
+        let voltageIndex = 0;
+        let run = null;
+        let failure = null;
+        const measureNextVoltage = () => {
+            // Cancelled by resetExperiment()
+            if (!this.linearity.sweeping) return;
+
+            if (index >= values.length || !this.state.isLightOn || this.linearity.stopRequested || failure) {
+                this.linearity.sweeping = false;
+                this.elements.linearitySweep.disabled = false;
+                this.elements.linearityAbort.disabled = true;
+                this.applyIntensity(originalIntensity);
+                this.applyArea(originalArea);
+                this.applyVoltage(originalVoltage);
+                if (failure) {
+                    this.logMessage(`Linearity sweep stopped at ${values[index].toFixed(info.decimals)} ${info.unit} - ` +
+                        `${failure.charAt(0).toLowerCase()}${failure.slice(1)}`);
+                } else {
+                    this.logMessage(index >= values.length
+                        ? 'Linearity sweep complete'
+                        : `Linearity sweep stopped after ${index}/${values.length} steps`);
+                }
+                this.updateLinearityAnalysis();
+                return;
+            }
+
+            if (voltageIndex === 0) {
+                failure = info.apply(values[index]);
+                if (!failure) {
+                    run = this.startNewRun(`Linearity: ${this.state.currentMaterial.symbol}, ${values[index].toFixed(info.decimals)} ${info.unit}`);
+                }
+            }
+            if (!failure) {
+                failure = this.applyVoltage(voltages[voltageIndex]);
+            }
+            if (!failure) {
+                this.takePrecisionMeasurement();
+                voltageIndex++;
+                if (voltageIndex >= voltages.length) {
+                    this.addLinearityPointFromRun(run, variable, saturationVoltage, ivSweeps);
+                    this.updateLinearityAnalysis();
+                    voltageIndex = 0;
+                    index++;
+                }
+            }
+            // Yield to the browser after every voltage so an I-V step does not block the UI
+            setTimeout(measureNextVoltage, 0);
+        };
+        measureNextVoltage();
+    }
+
+    clearLinearityData() {
+        this.linearity.points = [];
+        this.updateLinearityAnalysis();
+        this.logMessage('Linearity data cleared');
+    }
+
+    updateLinearityAnalysis() {
+        const info = this.getLinearityVariableInfo(this.linearity.variable);
+        const points = [...this.linearity.points].sort((a, b) => a.x - b.x);
+        const xs = points.map(p => p.x);
+        const xMin = xs[0];
+        const xMax = xs[xs.length - 1];
+        const fitLine = fit => [
+            { x: xMin, y: fit.slope * xMin + fit.intercept },
+            { x: xMax, y: fit.slope * xMax + fit.intercept }
+        ];
+
+        this.linearity.fit = null;
+        this.linearity.stoppingFit = null;
+        this.elements.linearityPointCount.textContent = points.length;
+
+        // I_sat should be proportional to the photon flux, so a straight line through ~0
+        this.linearityCurrentChart.data.datasets[0].data = points.map(p => ({ x: p.x, y: p.saturationCurrent }));
+        this.linearityCurrentChart.data.datasets[1].data = [];
+        if (points.length >= 3 && new Set(xs).size >= 2) {
+            const fit = this.weightedLinearFit(xs, points.map(p => p.saturationCurrent),
+                points.map(p => Math.max(p.saturationError, 1e-9)));
+            this.linearity.fit = {
+                slope: fit.slope,
+                slopeError: fit.slopeError,
+                intercept: fit.intercept,
+                interceptError: fit.interceptError,
+                reducedChiSquared: fit.reducedChiSquared,
+                count: points.length
+            };
+            this.linearityCurrentChart.data.datasets[1].data = fitLine(fit);
+        }
+
+        // V_s should not depend on intensity: report the weighted mean and the fitted slope
+        const stopping = points.filter(p => p.stoppingPotential !== null);
+        const stoppingXs = stopping.map(p => p.x);
+        this.linearityStoppingChart.data.datasets[0].data = stopping.map(p => ({ x: p.x, y: p.stoppingPotential }));
+        this.linearityStoppingChart.data.datasets[1].data = [];
+        if (stopping.length >= 3 && new Set(stoppingXs).size >= 2) {
+            const sigmas = stopping.map(p => Math.max(p.stoppingPotentialError, 1e-6));
+            const weights = sigmas.map(s => 1 / (s * s));
+            const weightSum = weights.reduce((a, b) => a + b, 0);
+            const fit = this.weightedLinearFit(stoppingXs, stopping.map(p => p.stoppingPotential), sigmas);
+            this.linearity.stoppingFit = {
+                mean: stopping.reduce((sum, p, i) => sum + weights[i] * p.stoppingPotential, 0) / weightSum,
+                meanError: 1 / Math.sqrt(weightSum),
+                slope: fit.slope,
+                slopeError: fit.slopeError,
+                count: stopping.length
+            };
+            this.linearityStoppingChart.data.datasets[1].data = fitLine(fit);
+        }
+
+        const axisTitle = `${info.label} (${info.unit})`;
+        this.linearityCurrentChart.options.scales.x.title.text = axisTitle;
+        this.linearityCurrentChart.options.plugins.title.text = `Saturation Current vs ${info.label}`;
+        this.linearityStoppingChart.options.scales.x.title.text = axisTitle;
+        this.linearityStoppingChart.options.plugins.title.text = `Stopping Potential vs ${info.label}`;
+        this.linearityCurrentChart.update('none');
+        this.linearityStoppingChart.update('none');
+        this.updateLinearityDisplay();
+    }
+
+    updateLinearityDisplay() {
+        const { unit } = this.getLinearityVariableInfo(this.linearity.variable);
+        const fit = this.linearity.fit;
+        const stopping = this.linearity.stoppingFit;
+
+        if (fit) {
+            this.elements.linearitySlope.textContent = `${fit.slope.toFixed(4)} ± ${fit.slopeError.toFixed(4)} μA per ${unit}`;
+            this.elements.linearityIntercept.textContent = `${fit.intercept.toFixed(4)} ± ${fit.interceptError.toFixed(4)} μA`;
+            this.elements.linearityChi2.textContent = isNaN(fit.reducedChiSquared) ? '—' : fit.reducedChiSquared.toFixed(2);
+        } else {
+            this.elements.linearitySlope.textContent = '—';
+            this.elements.linearityIntercept.textContent = '—';
+            this.elements.linearityChi2.textContent = '—';
+        }
+
+        if (stopping) {
+            this.elements.linearityStoppingMean.textContent = `${stopping.mean.toFixed(3)} ± ${stopping.meanError.toFixed(3)} V`;
+            this.elements.linearityStoppingSlope.textContent =
+                `${(stopping.slope * 1000).toFixed(2)} ± ${(stopping.slopeError * 1000).toFixed(2)} mV per ${unit}`;
+        } else {
+            this.elements.linearityStoppingMean.textContent = '—';
+            this.elements.linearityStoppingSlope.textContent = '—';
+        }
+    }
+
+    exportLinearityCsv() {
+        if (this.linearity.points.length === 0) {
+            this.logMessage('No linearity data to export - run a linearity sweep first');
+            return;
+        }
+
+        const fit = this.linearity.fit;
+        const stopping = this.linearity.stoppingFit;
+        const lines = [
+            `# Linearity sweep over ${this.linearity.variable}`,
+            fit
+                ? `# I_sat fit: slope ${fit.slope.toFixed(6)} +- ${fit.slopeError.toFixed(6)} uA per unit, intercept ${fit.intercept.toFixed(6)} +- ${fit.interceptError.toFixed(6)} uA, reduced chi2 ${fit.reducedChiSquared.toFixed(3)}`
+                : '# I_sat fit: not enough points',
+            stopping
+                ? `# V_s: weighted mean ${stopping.mean.toFixed(6)} +- ${stopping.meanError.toFixed(6)} V, slope ${stopping.slope.toFixed(6)} +- ${stopping.slopeError.toFixed(6)} V per unit`
+                : '# V_s: not measured',
+            [
+                'Run',
+                'Material',
+                'Wavelength_nm',
+                'Intensity_W_per_m2',
+                'Area_cm2',
+                'Incident_Power_mW',
+                'Saturation_Voltage_V',
+                'Saturation_Current_uA',
+                'Saturation_Current_Error_uA',
+                'Stopping_Potential_V',
+                'Stopping_Potential_Error_V'
+            ].join(',')
+        ];
+
+        [...this.linearity.points].sort((a, b) => a.x - b.x).forEach(p => {
+            const run = this.allExperimentRuns.find(r => r.id === p.runId);
+            lines.push([
+                this.csvField(run ? run.name : `Run ${p.runId}`),
+                this.csvField(p.material),
+                p.wavelength,
+                p.intensity,
+                p.area,
+                (p.intensity * p.area * 0.1).toFixed(6),   // W/m² × cm² → mW
+                p.saturationVoltage,
+                p.saturationCurrent.toFixed(6),
+                p.saturationError.toFixed(9),
+                p.stoppingPotential === null ? '' : p.stoppingPotential.toFixed(6),
+                p.stoppingPotentialError === null ? '' : p.stoppingPotentialError.toFixed(6)
+            ].join(','));
+        });
+
+        this.downloadFile(lines.join('\n') + '\n', `photoelectric_linearity_${Date.now()}.csv`, 'text/csv;charset=utf-8;');
+        this.logMessage(`Exported linearity CSV with ${this.linearity.points.length} points`);
+    }
+
+    readMonteCarloAttenuation() {
+        // Fraction of the beam the ND filter lets through, as { attenuation } or { error }
+        const input = this.elements.monteCarloDensity;
+        const density = parseFloat(input.value);
+        if (isNaN(density) || density < parseFloat(input.min) || density > parseFloat(input.max)) {
+            return { error: `the ND filter optical density must be ${input.min} to ${input.max}` };
+        }
+        return { attenuation: Math.pow(10, -density) };
+    }
+
+    startMonteCarlo() {
+        if (this.monteCarlo.timerId !== null) return;
+        const { error } = this.readMonteCarloAttenuation();
+        if (error) {
+            this.logMessage(`Photon counting not started - ${error}`);
+            return;
+        }
+
+        this.monteCarlo.timerId = setInterval(() => this.runMonteCarloBatch(), 1000 / this.monteCarlo.rate);
+        this.elements.monteCarloToggle.textContent = '⏹ Stop Counting';
+        this.logMessage(`Single-photon counting started through an OD ${this.elements.monteCarloDensity.value} filter`);
+        this.runMonteCarloBatch();
+    }
+
+    stopMonteCarlo() {
+        if (this.monteCarlo.timerId === null) return;
+
+        clearInterval(this.monteCarlo.timerId);
+        this.monteCarlo.timerId = null;
+        this.elements.monteCarloToggle.textContent = '▶ Start Counting';
+        this.logMessage(`Single-photon counting stopped with ${this.getMonteCarloTotal('emitted')} electrons counted`);
+    }
+
+    runMonteCarloBatch(duration = 1 / this.monteCarlo.rate, voltage = this.state.voltage) {
+        // Simulate `duration` seconds of attenuated beam at `voltage`; false if it could not be run
+        const { attenuation, error } = this.readMonteCarloAttenuation();
+        if (error) {
+            this.stopMonteCarlo();
+            this.logMessage(`Photon counting stopped - ${error}`);
+            return false;
+        }
+        if (!this.state.isLightOn) {
+            this.updateMonteCarloDisplay();
+            return true;
+        }
+
+        const trueVoltage = this.getTrueVoltage(voltage);
+        const expected = this.calculatePhysics(trueVoltage).photonFlux * attenuation * duration;
+        if (expected > this.monteCarlo.maxPhotonsPerBatch) {
+            this.stopMonteCarlo();
+            this.logMessage('Photon counting stopped - too many photons to follow one by one; use a denser ND filter');
+            return false;
+        }
+
+        const result = this.simulatePhotonEvents(duration, trueVoltage, attenuation);
+        this.recordMonteCarloBatch(result, voltage, duration);
+        this.updateMonteCarloDisplay();
+        return true;
+    }
+
+    recordMonteCarloBatch({ photons, events }, voltage, duration) {
+        const monteCarlo = this.monteCarlo;
+        const collected = events.filter(e => e.collected).length;
+
+        events.forEach(({ kineticEnergy, collected: reached }) => {
+            const bin = Math.floor(kineticEnergy / monteCarlo.binWidth);
+            ['emitted', 'collected'].forEach(key => {
+                while (monteCarlo.histogram[key].length <= bin) monteCarlo.histogram[key].push(0);
+            });
+            monteCarlo.histogram.emitted[bin]++;
+            if (reached) monteCarlo.histogram.collected[bin]++;
+            monteCarlo.maxKineticEnergy = Math.max(monteCarlo.maxKineticEnergy, kineticEnergy);
+        });
+
+        // Counts at each setpoint rebuild the I-V curve
+        const key = Math.round(voltage * 100) / 100;
+        let tally = monteCarlo.tallies.find(t => t.voltage === key);
+        if (!tally) {
+            tally = { voltage: key, time: 0, photons: 0, emitted: 0, collected: 0 };
+            monteCarlo.tallies.push(tally);
+        }
+        tally.time += duration;
+        tally.photons += photons;
+        tally.emitted += events.length;
+        tally.collected += collected;
+
+        // Rates are averaged over the last second of beam time
+        monteCarlo.recent.push({ duration, photons, emitted: events.length, collected });
+        let time = monteCarlo.recent.reduce((sum, b) => sum + b.duration, 0);
+        while (monteCarlo.recent.length > 1 && time - monteCarlo.recent[0].duration >= 1 - 1e-9) {
+            time -= monteCarlo.recent.shift().duration;
+        }
+    }
+
+    getMonteCarloTotal(key) {
+        return this.monteCarlo.histogram[key].reduce((sum, n) => sum + n, 0);
+    }
+
+    updateMonteCarloDisplay() {
+        const monteCarlo = this.monteCarlo;
+        const { emitted, collected } = monteCarlo.histogram;
+        const total = this.getMonteCarloTotal('emitted');
+        this.elements.monteCarloCount.textContent = total;
+
+        // Histogram out to just past the fastest electron counted
+        const bins = emitted.length + 1;
+        this.monteCarloHistogramChart.data.labels = Array.from({ length: bins },
+            (_, i) => ((i + 0.5) * monteCarlo.binWidth).toFixed(3));
+        this.monteCarloHistogramChart.data.datasets[0].data = Array.from({ length: bins }, (_, i) => emitted[i] || 0);
+        this.monteCarloHistogramChart.data.datasets[1].data = Array.from({ length: bins }, (_, i) => collected[i] || 0);
+        this.monteCarloHistogramChart.update('none');
+
+        const time = monteCarlo.recent.reduce((sum, b) => sum + b.duration, 0);
+        const rate = key => monteCarlo.recent.reduce((sum, b) => sum + b[key], 0) / time;
+        const { attenuation } = this.readMonteCarloAttenuation();
+        if (time > 0 && attenuation) {
+            const collectionRate = rate('collected');
+            this.elements.monteCarloPhotonRate.textContent = `${rate('photons').toFixed(0)} s⁻¹`;
+            this.elements.monteCarloEmissionRate.textContent = `${rate('emitted').toFixed(1)} s⁻¹`;
+            this.elements.monteCarloCollectionRate.textContent = `${collectionRate.toFixed(1)} s⁻¹`;
+            // What the counted electrons amount to without the filter
+            const current = collectionRate / attenuation * this.constants.elementaryCharge * 1e6;
+            this.elements.monteCarloCurrent.textContent = `${current.toExponential(3)} μA`;
+        } else {
+            this.elements.monteCarloPhotonRate.textContent = '—';
+            this.elements.monteCarloEmissionRate.textContent = '—';
+            this.elements.monteCarloCollectionRate.textContent = '—';
+            this.elements.monteCarloCurrent.textContent = '—';
+        }
+
+        // KE_max gives the work function away during a challenge
+        const maxKineticEnergy = this.challenge ? null : this.calculatePhysics().spectralMaxKineticEnergy;
+        this.elements.monteCarloMaxEnergy.textContent = total === 0
+            ? '—'
+            : `${monteCarlo.maxKineticEnergy.toFixed(3)} eV` +
+                (maxKineticEnergy === null ? '' : ` (KE_max ${maxKineticEnergy.toFixed(3)} eV)`);
+
+        this.updateMonteCarloIvChart();
+    }
+
+    updateMonteCarloIvChart() {
+        // Collection rate at each voltage the counts were taken at
+        const tallies = [...this.monteCarlo.tallies].sort((a, b) => a.voltage - b.voltage);
+        this.monteCarloIvChart.data.datasets[0].data = tallies.map(t => ({ x: t.voltage, y: t.collected / t.time }));
+
+        // The model current converted to electrons/s through the same filter
+        const { attenuation } = this.readMonteCarloAttenuation();
+        const model = [];
+        if (tallies.length >= 2 && attenuation && this.state.isLightOn && !this.challenge) {
+            const first = tallies[0].voltage;
+            const last = tallies[tallies.length - 1].voltage;
+            const lamp = this.getLampOutput();
+            for (let i = 0; i <= 100; i++) {
+                const voltage = first + (last - first) * i / 100;
+                const physics = this.calculatePhysics(this.getTrueVoltage(voltage));
+                const rate = (physics.current - physics.reverseCurrent - physics.leakageCurrent) * lamp * 1e-6 /
+                    this.constants.elementaryCharge * attenuation;
+                model.push({ x: voltage, y: rate });
+            }
+        }
+        this.monteCarloIvChart.data.datasets[1].data = model;
+        this.monteCarloIvChart.update('none');
+    }
+
+    startMonteCarloScan() {
+        if (this.monteCarlo.scanning) return;
+        if (!this.state.isLightOn) {
+            this.logMessage('Count scan not started - switch on the light first');
+            return;
+        }
+
+        const { config, error } = this.readSweepConfig();
+        if (error) {
+            this.logMessage(`Count scan not started - ${error.charAt(0).toLowerCase()}${error.slice(1)}`);
+            return;
+        }
+        const dwell = parseFloat(this.elements.monteCarloDwell.value);
+        if (isNaN(dwell) || dwell <= 0 || dwell > 60) {
+            this.logMessage('Count scan not started - the count time must be more than 0 and at most 60 s');
+            return;
+        }
+        const attenuation = this.readMonteCarloAttenuation();
+        if (attenuation.error) {
+            this.logMessage(`Count scan not started - ${attenuation.error}`);
+            return;
+        }
+
+        // Live counting would mix the slider voltage into the scan
+        this.stopMonteCarlo();
+        const voltages = this.buildSweepPoints(config);
+        const batch = 1 / this.monteCarlo.rate;
+        this.monteCarlo.scanning = true;
+        this.elements.monteCarloScan.disabled = true;
+        this.logMessage(`Count scan started: ${voltages.length} voltages, ${dwell} s each`);
+
+        let index = 0;
+        let counted = 0; // s of beam time so far at the current voltage
+        const countNextBatch = () => {
+            // Cancelled by resetExperiment()
+            if (!this.monteCarlo.scanning) return;
+
+            const completed = index >= voltages.length;
+            const failed = !completed && this.state.isLightOn &&
+                !this.runMonteCarloBatch(Math.min(batch, dwell - counted), voltages[index]);
+
+            if (completed || failed || !this.state.isLightOn) {
+                this.monteCarlo.scanning = false;
+                this.elements.monteCarloScan.disabled = false;
+                this.logMessage(completed
+                    ? `Count scan complete: ${this.getMonteCarloTotal('emitted')} electrons counted`
+                    : 'Count scan stopped');
+                return;
+            }
+
+            counted += batch;
+            if (counted >= dwell - 1e-9) {
+                index++;
+                counted = 0;
+            }
+            // Yield to the browser after every batch so the UI stays responsive
+            setTimeout(countNextBatch, 0);
+        };
+        countNextBatch();
+    }
+
+    clearMonteCarloData() {
+        this.resetMonteCarloData();
+        this.updateMonteCarloDisplay();
+        this.logMessage('Photon counts cleared');
+    }
+
+    resetMonteCarloData() {
+        Object.assign(this.monteCarlo, {
+            histogram: { emitted: [], collected: [] },
+            tallies: [],
+            recent: [],
+            maxKineticEnergy: 0
+        });
+    }
+
+    toggleLight() {
+        this.state.isLightOn = !this.state.isLightOn;
+        
+        // A fresh switch-on starts the lamp warm-up, and its drift, from the beginning
+        this.lamp.onSince = this.state.isLightOn ? Date.now() : null;
+        this.lamp.driftPhases = [Math.random(), Math.random()].map(f => f * 2 * Math.PI);
+        
+        if (this.state.isLightOn) {
+            this.elements.switchLight.textContent = '💡 Light ON - Taking Measurements';
+            this.elements.switchLight.classList.add('active');
+            this.logMessage('Light source activated - Beginning high-precision measurements');
+            
+            // Start taking measurements
+            this.takePrecisionMeasurement();
+        } else {
+            this.elements.switchLight.textContent = '💡 Switch On Light';
+            this.elements.switchLight.classList.remove('active');
+            this.logMessage('Light source deactivated');
+            
+            // A sweep cannot measure in the dark
+            this.pauseVoltageSweep();
+            
+            // Clear particles
+            this.photonParticles = [];
+            this.electronParticles = [];
+        }
+        
+        // Force immediate redraw
+        this.drawSetupDiagram();
+        this.emit('lightchange', { on: this.state.isLightOn });
+    }
+
+    stopExperimentActivity() {
+        // Halt sweeps and switch the light off without touching settings or data
+        this.abortVoltageSweep();
+        this.millikan.sweeping = false;
+        this.elements.millikanSweep.disabled = false;
+        this.linearity.sweeping = false;
+        this.elements.linearitySweep.disabled = false;
+        this.elements.linearityAbort.disabled = true;
+        this.stopMonteCarlo();
+        this.monteCarlo.scanning = false;
+        this.elements.monteCarloScan.disabled = false;
+        this.state.isLightOn = false;
+        this.lamp.onSince = null;
+        this.stopAcquisition();
+        this.photonParticles = [];
+        this.electronParticles = [];
+        this.elements.switchLight.textContent = '💡 Switch On Light';
+        this.elements.switchLight.classList.remove('active');
+    }
+
+    resetExperiment() {
+        // Keep the discarded measurements reachable from the recent sessions list
+        if (this.experimentData.length > 0) {
+            this.saveSession(`Before reset ${new Date().toLocaleString()}`);
+        }
+        
+        this.stopExperimentActivity();
+        if (this.challenge) {
+            this.endChallenge();
+        }
+        this.state.measurementCount = 0;
+        this.experimentData = [];
+        this.instrumentEpoch = Date.now();
+        
+        // Reset UI
+        this.elements.measurementCount.textContent = '0';
+        this.updateDataTable();
+        
+        // Clear charts
+        this.clearGraph();
+        this.acquisition.samples = [];
+        this.updateStripChart();
+        this.millikan.points = [];
+        this.updateMillikanAnalysis();
+        this.linearity.points = [];
+        this.updateLinearityAnalysis();
+        this.resetMonteCarloData();
+        this.updateMonteCarloDisplay();
+        
+        // Reset controls to defaults
+        this.state.wavelength = 400;
+        this.state.wavelengthMin = 100;
+        this.state.wavelengthMax = 700;
+        this.state.wavelengthAxis = 'wavelength';
+        this.state.energyDiagramView = 'textbook';
+        this.state.intensity = 5;
+        this.state.area = 0.10;
+        this.state.voltage = 0;
+        this.state.currentMaterial = this.materials[0];
+        this.state.sourceType = 'monochromatic';
+        
+        this.elements.intensitySlider.value = 5;
+        this.elements.areaSlider.value = 0.10;
+        this.elements.voltageSlider.value = 0;
+        this.elements.materialSelect.value = 0;
+        this.elements.energyDiagramView.value = 'textbook';
+        this.applyLightSource();
+        
+        this.updateAllCalculations();
+        this.logMessage('Experiment reset to default parameters');
+    }
+
+    clearGraph() {
+        // Measurements stay in experimentData; only the plotted runs are dropped
+        this.allExperimentRuns = [];
+        this.currentRun = null;
+        this.ivChart.data.datasets = [];
+        this.updateChartOverlays();
+        this.renderRunManager();
+        this.logMessage('I-V graph cleared');
+    }
+
+    getMeasurementParameters() {
+        // The hidden sample's work function is not recorded during a challenge
+        const parameters = super.getMeasurementParameters();
+        if (this.challenge) {
+            parameters.workFunction = null;
+        }
+        return parameters;
+    }
+
+    getRunSignature() {
+        return this.getMeasurementSignature(this.getMeasurementParameters());
+    }
+
+    startNewRun(name) {
+        const material = this.state.currentMaterial;
+        const id = ++this.runCounter;
+
+        const run = {
+            id,
+            name: name || `Run ${id}: ${material.symbol}, ${this.state.wavelength} nm, ${this.state.intensity.toFixed(1)} W/m²`,
+            material: material.name,
+            color: material.color,
+            wavelength: this.state.wavelength,
+            intensity: this.state.intensity,
+            area: this.state.area,
+            signature: this.getRunSignature(),
+            visible: true,
+            points: [],
+            startedAt: Date.now()
+        };
+
+        this.currentRun = run;
+        this.addRun(run);
+
+        this.logMessage(`Started ${run.name}`);
+        return run;
+    }
+
+    addRun(run) {
+        this.allExperimentRuns.push(run);
+
+        // Runs go before the theory and fit overlays
+        const datasets = this.ivChart.data.datasets;
+        const firstOverlay = datasets.findIndex(d => d.runId === undefined);
+        datasets.splice(firstOverlay === -1 ? datasets.length : firstOverlay, 0, this.createRunDataset(run));
+        this.ivChart.update('none');
+        this.renderRunManager();
+    }
+
+    createRunDataset(run) {
+        // Runs of the same material share its color, so tell them apart by marker
+        const pointStyles = ['circle', 'triangle', 'rect', 'rectRot', 'star', 'crossRot'];
+        const sameMaterial = this.allExperimentRuns.filter(r => r.material === run.material);
+        const pointStyle = pointStyles[sameMaterial.indexOf(run) % pointStyles.length];
+
+        return {
+            runId: run.id,
+            label: run.name,
+            data: run.points,
+            backgroundColor: run.color,
+            borderColor: run.color,
+            borderWidth: 2,
+            pointRadius: 4,
+            pointHoverRadius: 6,
+            pointStyle,
+            showLine: true,
+            tension: 0.3,
+            hidden: !run.visible
+        };
+    }
+
+    getRunDataset(run) {
+        return this.ivChart.data.datasets.find(d => d.runId === run.id);
+    }
+
+    setRunVisibility(run, visible) {
+        run.visible = visible;
+        this.getRunDataset(run).hidden = !visible;
+        this.ivChart.update('none');
+        this.renderRunManager();
+    }
+
+    renameRun(run, name) {
+        const trimmed = name.trim();
+        if (!trimmed || trimmed === run.name) return;
+
+        this.logMessage(`Run renamed: "${run.name}" → "${trimmed}"`);
+        run.name = trimmed;
+        this.getRunDataset(run).label = trimmed;
+        this.ivChart.update('none');
+    }
+
+    deleteRun(run) {
+        this.allExperimentRuns = this.allExperimentRuns.filter(r => r !== run);
+        this.ivChart.data.datasets = this.ivChart.data.datasets.filter(d => d.runId !== run.id);
+
+        // Deleting a run also discards its measurements
+        this.experimentData = this.experimentData.filter(d => d.runId !== run.id);
+        this.state.measurementCount = this.experimentData.length;
+        this.elements.measurementCount.textContent = this.state.measurementCount;
+
+        if (this.currentRun === run) {
+            this.currentRun = null;
+        }
+
+        this.updateChartOverlays();
+        this.renderRunManager();
+        this.updateDataTable();
+        this.logMessage(`Deleted ${run.name}`);
+
+        // Drop any stopping potential derived from the deleted run
+        if (this.millikan.points.some(p => p.runId === run.id)) {
+            this.millikan.points = this.millikan.points.filter(p => p.runId !== run.id);
+            this.updateMillikanAnalysis();
+        }
+        if (this.linearity.points.some(p => p.runId === run.id)) {
+            this.linearity.points = this.linearity.points.filter(p => p.runId !== run.id);
+            this.updateLinearityAnalysis();
+        }
+    }
+
+    renderRunManager() {
+        const list = this.elements.runList;
+        list.innerHTML = '';
+        this.updateTableRunFilter();
+        this.updateSpectrumRunOptions();
+
+        if (this.allExperimentRuns.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'run-empty';
+            empty.textContent = 'No runs yet - measurements start a run automatically';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.allExperimentRuns.forEach(run => {
+            const item = document.createElement('li');
+            item.className = 'run-item' + (run === this.currentRun ? ' run-item--current' : '');
+
+            const visible = document.createElement('input');
+            visible.type = 'checkbox';
+            visible.checked = run.visible;
+            visible.title = 'Show on graph';
+            visible.addEventListener('change', () => this.setRunVisibility(run, visible.checked));
+
+            const swatch = document.createElement('span');
+            swatch.className = 'run-swatch';
+            swatch.style.background = run.color;
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'form-control run-name';
+            name.value = run.name;
+            name.title = 'Rename run';
+            name.addEventListener('change', () => this.renameRun(run, name.value));
+
+            const count = document.createElement('span');
+            count.className = 'run-count';
+            count.textContent = `${run.points.length} pts`;
+
+            const remove = document.createElement('button');
+            remove.className = 'btn btn--sm btn--outline';
+            remove.textContent = '✕';
+            remove.title = 'Delete run';
+            remove.addEventListener('click', () => this.deleteRun(run));
+
+            item.append(visible, swatch, name, count, remove);
+            list.appendChild(item);
+        });
+    }
+
+    exportAllData() {
+        if (this.experimentData.length === 0) {
+            alert('No experimental data to export. Please switch on the light and take measurements first.');
+            return;
+        }
+
+        // Create comprehensive CSV with all measurement details
+        const csvContent = this.buildDataCsv(this.experimentData);
+
+        this.downloadFile(csvContent, `photoelectric_data_${Date.now()}.csv`, 'text/csv;charset=utf-8;');
+
+        this.logMessage(`Successfully exported ${this.experimentData.length} measurement sets to CSV file`);
+    }
+
+    async importExperimentData(file) {
+        const text = await file.text();
+        const isJson = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+        const { entries, error } = isJson ? this.parseDataJson(text) : this.parseDataCsv(text);
+        if (error) {
+            this.logMessage(`Data import failed - ${file.name}: ${error}`);
+            return;
+        }
+
+        const imported = [];
+        const rejected = [];
+        entries.forEach(({ row, raw }) => {
+            const { measurement, error: rowError } = this.normalizeMeasurement(raw);
+            if (rowError) {
+                rejected.push(`row ${row}: ${rowError}`);
+            } else {
+                imported.push(measurement);
+            }
+        });
+
+        // Report a handful of malformed rows individually, then summarize
+        rejected.slice(0, 5).forEach(message => this.logMessage(`Data import: skipped ${message}`));
+        if (rejected.length > 5) {
+            this.logMessage(`Data import: ${rejected.length - 5} more malformed row(s) skipped`);
+        }
+
+        if (imported.length === 0) {
+            this.logMessage(`Data import failed - ${file.name} has no valid measurements`);
+            return;
+        }
+
+        // One run per parameter set, appended to what is already on the graph
+        const runs = new Map();
+        imported.forEach(measurement => {
+            const key = [measurement.material, measurement.wavelength, measurement.intensity, measurement.area].join('|');
+            if (!runs.has(key)) {
+                const material = this.materials.find(m => m.name === measurement.material);
+                const id = ++this.runCounter;
+                const run = {
+                    id,
+                    name: `Run ${id}: ${material ? material.symbol : measurement.material}, ${measurement.wavelength} nm, ${measurement.intensity.toFixed(1)} W/m² (${file.name})`,
+                    material: measurement.material,
+                    color: material ? material.color : '#888888',
+                    wavelength: measurement.wavelength,
+                    intensity: measurement.intensity,
+                    area: measurement.area,
+                    signature: this.getMeasurementSignature(measurement),
+                    visible: true,
+                    points: [],
+                    startedAt: measurement.timestamp,
+                    imported: file.name
+                };
+                runs.set(key, run);
+                this.addRun(run);
+            }
+
+            const run = runs.get(key);
+            measurement.runId = run.id;
+            measurement.imported = file.name;
+            run.points.push({
+                x: measurement.voltage,
+                y: measurement.mean,
+                standardDeviation: measurement.standardDeviation,
+                standardError: measurement.standardError
+            });
+            this.experimentData.push(measurement);
+        });
+
+        this.state.measurementCount = this.experimentData.length;
+        this.elements.measurementCount.textContent = this.state.measurementCount;
+        this.ivChart.update();
+        this.renderRunManager();
+        this.updateDataTable();
+        this.updateAllCalculations();
+
+        this.logMessage(`Imported ${imported.length} measurement(s) in ${runs.size} run(s) from ${file.name}`);
+    }
+
+    openExportDialog() {
+        this.elements.exportDialog.classList.remove('hidden');
+        this.elements.exportFormat.focus();
+    }
+
+    closeExportDialog() {
+        this.elements.exportDialog.classList.add('hidden');
+    }
+
+    exportData(format) {
+        if (this.experimentData.length === 0) {
+            alert('No experimental data to export. Please switch on the light and take measurements first.');
+            return;
+        }
+
+        switch (format) {
+            case 'json':
+                this.exportJsonData();
+                break;
+            case 'summary':
+                this.exportSummaryCsv();
+                break;
+            case 'latex':
+                this.exportPgfplotsTable();
+                break;
+            default:
+                this.exportAllData();
+        }
+    }
+
+    exportJsonData() {
+        const runs = this.allExperimentRuns.map(run => {
+            const measurements = this.experimentData.filter(d => d.runId === run.id);
+            return {
+                id: run.id,
+                name: run.name,
+                material: run.material,
+                workFunction: measurements.length > 0 ? this.getMeasurementWorkFunction(measurements[0]) : null,
+                wavelength: run.wavelength,
+                intensity: run.intensity,
+                area: run.area,
+                measurementCount: measurements.length,
+                stoppingPotential: this.estimateStoppingPotential(this.getRunAnalysisPoints(run))
+            };
+        });
+
+        const data = {
+            format: 'photoee-data',
+            version: 1,
+            exported: new Date().toISOString(),
+            metadata: {
+                generator: 'Advanced Photoelectric Effect Simulator',
+                units: {
+                    voltage: 'V',
+                    current: 'uA',
+                    wavelength: 'nm',
+                    intensity: 'W/m^2',
+                    area: 'cm^2',
+                    workFunction: 'eV'
+                },
+                constants: { ...this.constants },
+                instrument: { ...this.instrument },
+                analysisMethod: this.state.analysisMethod
+            },
+            runs,
+            measurements: this.experimentData.map(d => ({ ...d, workFunction: this.getMeasurementWorkFunction(d) }))
+        };
+
+        this.downloadFile(JSON.stringify(data, null, 2), `photoelectric_data_${Date.now()}.json`, 'application/json');
+        this.logMessage(`Exported ${this.experimentData.length} measurement sets to JSON`);
+    }
+
+    getVoltageSummary(run) {
+        // Pool every measurement set taken at the same voltage within a run
+        return this.aggregateMeasurements(this.experimentData.filter(d => d.runId === run.id), 0).map(bin => ({
+            ...bin,
+            workFunction: this.getMeasurementWorkFunction(bin.members[0])
+        }));
+    }
+
+    exportSummaryCsv() {
+        const headers = [
+            'Run',
+            'Material',
+            'Work_Function_eV',
+            'Wavelength_nm',
+            'Intensity_W_per_m2',
+            'Area_cm2',
+            'Applied_Voltage_V',
+            'Measurement_Sets',
+            'Readings',
+            'Mean_Current_uA',
+            'Standard_Deviation_uA',
+            'Standard_Error_uA'
+        ];
+
+        let csvContent = headers.join(',') + '\n';
+        let rows = 0;
+
+        this.allExperimentRuns.forEach(run => {
+            this.getVoltageSummary(run).forEach(summary => {
+                const row = [
+                    this.csvField(run.name),
+                    this.csvField(run.material),
+                    summary.workFunction.toFixed(6),
+                    run.wavelength,
+                    run.intensity,
+                    run.area,
+                    summary.voltage.toFixed(6),
+                    summary.sets,
+                    summary.readings,
+                    summary.mean.toFixed(6),
+                    summary.standardDeviation.toFixed(6),
+                    summary.standardError.toFixed(9)
+                ];
+                csvContent += row.join(',') + '\n';
+                rows++;
+            });
+        });
+
+        this.downloadFile(csvContent, `photoelectric_summary_${Date.now()}.csv`, 'text/csv;charset=utf-8;');
+        this.logMessage(`Exported summary CSV with ${rows} voltage rows`);
+    }
+
+    exportPgfplotsTable() {
+        const escapeLatex = text => text
+            .replace(/\\/g, '\\textbackslash{}')
+            .replace(/([{}$&#%_])/g, '\\$1')
+            .replace(/\^/g, '\\^{}')
+            .replace(/~/g, '\\~{}')
+            .replace(/²/g, '$^2$')
+            .replace(/μ/g, '$\\mu$');
+
+        // pgfplots macro names may only contain letters
+        const tableName = index => {
+            let letters = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+            }
+            return `\\photoeeRun${letters}`;
+        };
+
+        const runs = this.allExperimentRuns.filter(run => this.experimentData.some(d => d.runId === run.id));
+        const lines = [
+            `% Photoelectric I-V data exported ${new Date().toISOString()}`,
+            '% Requires \\usepackage{pgfplots} and \\usepackage{pgfplotstable}',
+            '% Columns: V = applied voltage (V), I = mean current (uA), dI = standard error (uA)',
+            ''
+        ];
+
+        runs.forEach((run, index) => {
+            lines.push(`% ${run.name}`);
+            lines.push('\\pgfplotstableread{');
+            lines.push('V I dI');
+            this.getVoltageSummary(run).forEach(s => {
+                lines.push(`${s.voltage.toFixed(6)} ${s.mean.toFixed(6)} ${s.standardError.toExponential(4)}`);
+            });
+            lines.push(`}${tableName(index)}`);
+            lines.push('');
+        });
+
+        lines.push('\\begin{tikzpicture}');
+        lines.push('\\begin{axis}[xlabel={Applied voltage (V)}, ylabel={Current ($\\mu$A)}, legend pos=north west, grid=major]');
+        runs.forEach((run, index) => {
+            lines.push(`\\addplot+[error bars/.cd, y dir=both, y explicit] table[x=V, y=I, y error=dI] {${tableName(index)}};`);
+            lines.push(`\\addlegendentry{${escapeLatex(run.name)}}`);
+        });
+        lines.push('\\end{axis}');
+        lines.push('\\end{tikzpicture}');
+
+        this.downloadFile(lines.join('\n') + '\n', `photoelectric_pgfplots_${Date.now()}.tex`, 'application/x-tex');
+        this.logMessage(`Exported ${runs.length} run(s) as a pgfplots table`);
+    }
+
+    readFigureOptions() {
+        // Returns the figure settings from the export dialog, or null if any is out of range
+        const options = {
+            figure: this.elements.figureTarget.value,
+            format: this.elements.figureFormat.value,
+            width: parseInt(this.elements.figureWidth.value),
+            height: parseInt(this.elements.figureHeight.value),
+            scale: parseFloat(this.elements.figureScale.value),
+            fontSize: parseFloat(this.elements.figureFontSize.value),
+            fontFamily: this.elements.figureFontFamily.value,
+            errorBars: this.elements.figureErrorBars.checked
+        };
+
+        if (!(options.width >= 200 && options.width <= 4000 && options.height >= 150 && options.height <= 4000)) {
+            this.logMessage('Figure size must be 200-4000 × 150-4000 px');
+            return null;
+        }
+        if (!(options.fontSize >= 6 && options.fontSize <= 48)) {
+            this.logMessage('Figure font size must be between 6 and 48 px');
+            return null;
+        }
+        return options;
+    }
+
+    exportFigure() {
+        const options = this.readFigureOptions();
+        if (!options) return;
+
+        const draw = ctx => {
+            const figure = { ctx, ...options };
+            if (options.figure === 'energy') {
+                this.drawEnergyDiagram(this.calculatePhysics(), figure);
+            } else {
+                this.drawIvFigure(figure);
+            }
+        };
+        const filename = `photoelectric_${options.figure === 'energy' ? 'energy_diagram' : 'iv_curve'}_${Date.now()}`;
+
+        if (options.format === 'svg') {
+            const svg = new SvgContext(options.width, options.height);
+            draw(svg);
+            this.downloadFile(svg.toSvg(), `${filename}.svg`, 'image/svg+xml');
+        } else {
+            // Render at the requested multiple of the nominal size for print resolution
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(options.width * options.scale);
+            canvas.height = Math.round(options.height * options.scale);
+            const ctx = canvas.getContext('2d');
+            ctx.scale(options.scale, options.scale);
+            draw(ctx);
+
+            // Paint the background behind what was drawn
+            ctx.globalCompositeOperation = 'destination-over';
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, options.width, options.height);
+
+            canvas.toBlob(blob => this.downloadFile(blob, `${filename}.png`, 'image/png'), 'image/png');
+        }
+
+        this.logMessage(`Exported ${options.figure === 'energy' ? 'energy diagram' : 'I-V curve'} as ${options.format.toUpperCase()} (${options.width}×${options.height})`);
+    }
+
+    niceTicks(min, max, target = 6) {
+        // Round tick spacing to 1, 2 or 5 × 10^n
+        const rough = (max - min) / target;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= rough);
+        const ticks = [];
+        for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+            ticks.push(Math.abs(value) < step * 1e-9 ? 0 : value);
+        }
+        return { ticks, decimals: Math.max(0, -Math.floor(Math.log10(step))) };
+    }
+
+    drawIvFigure({ ctx, width, height, fontSize, fontFamily, errorBars }) {
+        const font = (scale = 1, weight = '') => `${weight} ${Math.round(fontSize * scale)}px ${fontFamily}`.trim();
+        // Bars asked for while the chart hides them are drawn at 1σ rather than zero length
+        const errorBarMode = this.state.errorBarMode === 'none' ? 'sd' : this.state.errorBarMode;
+        const series = this.allExperimentRuns
+            .filter(run => run.visible)
+            .map(run => ({
+                run,
+                pointStyle: this.getRunDataset(run).pointStyle,
+                points: this.getRunChartPoints(run).map(p => ({ x: p.x, y: p.y, error: this.getErrorBar(p, errorBarMode) }))
+            }))
+            .filter(s => s.points.length > 0);
+
+        // Axis ranges cover every point and error bar, with a little padding
+        const all = series.flatMap(s => s.points);
+        const range = (values, fallback) => {
+            if (values.length === 0) return fallback;
+            let low = Math.min(...values);
+            let high = Math.max(...values);
+            if (high - low < 1e-12) {
+                low -= 0.5;
+                high += 0.5;
+            }
+            const pad = (high - low) * 0.05;
+            return [low - pad, high + pad];
+        };
+        const [xMin, xMax] = range(all.map(p => p.x), [-3, 2]);
+        const [yMin, yMax] = range(all.flatMap(p => (errorBars ? [p.y - p.error, p.y + p.error] : [p.y])), [0, 1]);
+
+        const margin = { left: fontSize * 6, right: fontSize * 1.5, top: fontSize * 3, bottom: fontSize * 4 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const toX = x => margin.left + (x - xMin) / (xMax - xMin) * plotWidth;
+        const toY = y => margin.top + (yMax - y) / (yMax - yMin) * plotHeight;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Grid and tick labels
+        const xTicks = this.niceTicks(xMin, xMax);
+        const yTicks = this.niceTicks(yMin, yMax);
+        ctx.strokeStyle = 'rgba(94, 82, 64, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#134252';
+        ctx.font = font(0.9);
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        xTicks.ticks.forEach(value => {
+            ctx.beginPath();
+            ctx.moveTo(toX(value), margin.top);
+            ctx.lineTo(toX(value), margin.top + plotHeight);
+            ctx.stroke();
+            ctx.fillText(value.toFixed(xTicks.decimals), toX(value), margin.top + plotHeight + fontSize * 0.4);
+        });
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        yTicks.ticks.forEach(value => {
+            ctx.beginPath();
+            ctx.moveTo(margin.left, toY(value));
+            ctx.lineTo(margin.left + plotWidth, toY(value));
+            ctx.stroke();
+            ctx.fillText(value.toFixed(yTicks.decimals), margin.left - fontSize * 0.4, toY(value));
+        });
+
+        // Plot frame
         ctx.strokeStyle = '#134252';
-        ctx.lineWidth = 2;
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(margin.left, margin.top, plotWidth, plotHeight);
+
+        // Titles
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        ctx.font = font(1.2, 'bold');
+        ctx.fillText('Current vs Applied Voltage', margin.left + plotWidth / 2, fontSize * 1.8);
+        ctx.font = font();
+        ctx.fillText('Applied Voltage (V)', margin.left + plotWidth / 2, height - fontSize * 0.8);
+        ctx.save();
+        ctx.translate(fontSize * 1.4, margin.top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('Current (μA)', 0, 0);
+        ctx.restore();
+
+        // Data: connecting line, error bars, then markers on top
+        const markerSize = Math.max(3, fontSize / 3);
+        series.forEach(({ run, pointStyle, points }) => {
+            ctx.strokeStyle = run.color;
+            ctx.fillStyle = run.color;
+            ctx.lineWidth = 1.5;
+
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(toX(p.x), toY(p.y)) : ctx.lineTo(toX(p.x), toY(p.y))));
+            ctx.stroke();
+
+            if (errorBars) {
+                ctx.lineWidth = 1;
+                points.forEach(p => {
+                    const x = toX(p.x);
+                    const top = toY(p.y + p.error);
+                    const bottom = toY(p.y - p.error);
+                    ctx.beginPath();
+                    ctx.moveTo(x, top);
+                    ctx.lineTo(x, bottom);
+                    ctx.moveTo(x - markerSize, top);
+                    ctx.lineTo(x + markerSize, top);
+                    ctx.moveTo(x - markerSize, bottom);
+                    ctx.lineTo(x + markerSize, bottom);
+                    ctx.stroke();
+                });
+            }
+
+            points.forEach(p => this.drawFigureMarker(ctx, pointStyle, toX(p.x), toY(p.y), markerSize));
+        });
+
+        // Legend in the top-left corner of the plot
+        ctx.font = font(0.85);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        series.forEach(({ run, pointStyle }, index) => {
+            const y = margin.top + fontSize * (1 + index * 1.4);
+            ctx.fillStyle = run.color;
+            ctx.strokeStyle = run.color;
+            this.drawFigureMarker(ctx, pointStyle, margin.left + fontSize, y, markerSize);
+            ctx.fillStyle = '#134252';
+            ctx.fillText(run.name, margin.left + fontSize * 2, y);
+        });
+    }
+
+    drawFigureMarker(ctx, style, x, y, size) {
+        // Same marker shapes as the on-screen run datasets
         ctx.beginPath();
-        ctx.moveTo(margin, margin);
-        ctx.lineTo(margin, height - margin);
-        ctx.stroke();
+        switch (style) {
+            case 'triangle':
+                ctx.moveTo(x, y - size);
+                ctx.lineTo(x + size, y + size * 0.8);
+                ctx.lineTo(x - size, y + size * 0.8);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            case 'rect':
+                ctx.rect(x - size * 0.8, y - size * 0.8, size * 1.6, size * 1.6);
+                ctx.fill();
+                break;
+            case 'rectRot':
+                ctx.moveTo(x, y - size);
+                ctx.lineTo(x + size, y);
+                ctx.lineTo(x, y + size);
+                ctx.lineTo(x - size, y);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            case 'star':
+            case 'crossRot': {
+                const d = size * 0.75;
+                ctx.lineWidth = 1.5;
+                ctx.moveTo(x - d, y - d);
+                ctx.lineTo(x + d, y + d);
+                ctx.moveTo(x - d, y + d);
+                ctx.lineTo(x + d, y - d);
+                if (style === 'star') {
+                    ctx.moveTo(x - size, y);
+                    ctx.lineTo(x + size, y);
+                    ctx.moveTo(x, y - size);
+                    ctx.lineTo(x, y + size);
+                }
+                ctx.stroke();
+                break;
+            }
+            default:
+                ctx.arc(x, y, size, 0, Math.PI * 2);
+                ctx.fill();
+        }
+    }
+
+    downloadFile(content, filename, type) {
+        // Create and download file
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    startChallenge(randomized) {
+        if (this.challenge) return;
+        if (this.script.status !== 'idle') {
+            this.logMessage('Challenge not started - stop the procedure script first');
+            return;
+        }
+
+        // A stand-in for a random library material, so names, symbols and colours give nothing away
+        const base = this.materials[Math.floor(Math.random() * this.materials.length)];
+        const jitter = randomized ? (2 * Math.random() - 1) * this.challengeJitter : 0;
+        const material = {
+            ...base,
+            name: 'Unknown sample',
+            symbol: '?',
+            color: '#888888',
+            workFunction: Math.round((base.workFunction + jitter) * 1000) / 1000,
+            builtIn: false
+        };
+
+        this.challenge = { material, base, previousMaterial: this.state.currentMaterial, randomized, startedAt: Date.now() };
+        this.state.currentMaterial = material;
+        this.currentRun = null;
+
+        const guess = this.elements.challengeGuess;
+        guess.innerHTML = '';
+        this.materials.forEach(m => {
+            const option = document.createElement('option');
+            option.value = m.name;
+            option.textContent = `${m.name} (${m.symbol})`;
+            guess.appendChild(option);
+        });
+        this.elements.challengeWorkFunction.value = '';
+        this.elements.challengeResult.classList.add('hidden');
+
+        this.populateMaterialSelects();
+        this.updateChallengeControls();
+        this.updateAllCalculations();
+        this.logMessage(`Challenge started: the cathode is an unknown material${randomized ? ' with a randomised work function' : ''}`);
+    }
+
+    submitChallenge(guessName, measuredWorkFunction) {
+        // A null guess gives up and just reveals the answer
+        if (!this.challenge) return;
+        if (guessName !== null && isNaN(measuredWorkFunction)) {
+            this.logMessage('Challenge answer not submitted - enter your measured work function in eV');
+            return;
+        }
+
+        const { material, base } = this.challenge;
+        const lines = [];
+        if (guessName === null) {
+            lines.push(`It was ${base.name} (${base.symbol}), φ = ${material.workFunction.toFixed(3)} eV.`);
+            this.logMessage(`Challenge abandoned: the sample was ${base.name}, φ = ${material.workFunction.toFixed(3)} eV`);
+        } else {
+            // 50 points for the identification, 50 for φ: full marks within 0.05 eV, none beyond 0.5 eV
+            const identified = guessName === base.name;
+            const error = measuredWorkFunction - material.workFunction;
+            const workFunctionScore = Math.round(50 * Math.min(1, Math.max(0, (0.5 - Math.abs(error)) / 0.45)));
+            const score = (identified ? 50 : 0) + workFunctionScore;
+
+            lines.push(identified
+                ? `✓ Correct, the sample was ${base.name} (${base.symbol}).`
+                : `✗ The sample was ${base.name} (${base.symbol}), not ${guessName}.`);
+            lines.push(`Hidden φ = ${material.workFunction.toFixed(3)} eV, yours ${measuredWorkFunction.toFixed(3)} eV ` +
+                `(${error >= 0 ? '+' : ''}${error.toFixed(3)} eV).`);
+            lines.push(`Score: ${score}/100`);
+            this.logMessage(`Challenge submitted: ${guessName}, φ = ${measuredWorkFunction.toFixed(3)} eV - ` +
+                `sample was ${base.name}, φ = ${material.workFunction.toFixed(3)} eV, score ${score}/100`);
+        }
+
+        this.elements.challengeResult.textContent = lines.join(' ');
+        this.elements.challengeResult.classList.remove('hidden');
+        this.endChallenge();
+    }
+
+    endChallenge() {
+        // Back to the cathode selected before; measurements of the sample are kept
+        this.state.currentMaterial = this.challenge.previousMaterial;
+        this.challenge = null;
+        this.currentRun = null;
+        this.populateMaterialSelects();
+        this.updateChallengeControls();
+        this.updateAllCalculations();
+    }
+
+    updateChallengeControls() {
+        const active = Boolean(this.challenge);
+        this.elements.challengeSetup.classList.toggle('hidden', active);
+        this.elements.challengeAnswer.classList.toggle('hidden', !active);
+        this.elements.materialSelect.disabled = active;
+        this.elements.challengeStatus.className = active ? 'status status--warning' : 'status status--info';
+        this.elements.challengeStatus.textContent = active ? 'In progress' : 'Off';
+        this.updateScriptControls();
+    }
+
+    async loadWorksheetFile(file) {
+        let raw;
+        try {
+            raw = JSON.parse(await file.text());
+        } catch (error) {
+            this.logMessage(`Worksheet not loaded - ${file.name} is not valid JSON`);
+            return;
+        }
+
+        const { worksheet: definition, error } = this.normalizeWorksheet(raw);
+        if (error) {
+            this.logMessage(`Worksheet not loaded - ${file.name}: ${error}`);
+            return;
+        }
+
+        // Only measurements taken from now on count towards the steps
+        this.worksheet = { definition, startedAt: Date.now(), steps: {}, answers: {}, student: '' };
+        this.logMessage(`Worksheet loaded: ${definition.title} (${definition.steps.length} steps, ${definition.questions.length} questions)`);
+        this.renderWorksheet();
+        this.updateWorksheetProgress();
+        this.scheduleAutosave();
+    }
+
+    closeWorksheet() {
+        const title = this.worksheet.definition.title;
+        this.worksheet = null;
+        this.renderWorksheet();
+        this.logMessage(`Worksheet closed: ${title}`);
+        this.scheduleAutosave();
+    }
+
+    normalizeWorksheet(raw) {
+        // Validate a lab worksheet definition; returns { worksheet } or { error }
+        if (!raw || typeof raw !== 'object') return { error: 'worksheet is not a JSON object' };
+        if (raw.format !== undefined && raw.format !== 'photoee-worksheet') {
+            return { error: `unknown format "${raw.format}"` };
+        }
+
+        const title = String(raw.title || '').trim();
+        if (!title) return { error: 'title is required' };
+        if (!Array.isArray(raw.steps) || raw.steps.length === 0) return { error: 'at least one step is required' };
+
+        const ids = new Set();
+        const readId = (entry, fallback) => {
+            const id = String(entry.id || fallback);
+            if (ids.has(id)) return { error: `duplicate id "${id}"` };
+            ids.add(id);
+            return { id };
+        };
+
+        const steps = [];
+        for (const [index, entry] of raw.steps.entries()) {
+            if (!entry || typeof entry !== 'object') return { error: `step ${index + 1} is not an object` };
+            const { id, error: idError } = readId(entry, `step-${index + 1}`);
+            if (idError) return { error: idError };
+            const text = String(entry.text || '').trim();
+            if (!text) return { error: `step ${id}: text is required` };
+            const { require, error } = this.normalizeWorksheetRequirement(entry.require);
+            if (error) return { error: `step ${id}: ${error}` };
+            steps.push({ id, text, require });
+        }
+
+        const stepIds = new Set(steps.map(step => step.id));
+        const questions = [];
+        for (const [index, entry] of (raw.questions || []).entries()) {
+            if (!entry || typeof entry !== 'object') return { error: `question ${index + 1} is not an object` };
+            const { id, error: idError } = readId(entry, `question-${index + 1}`);
+            if (idError) return { error: idError };
+            const text = String(entry.text || '').trim();
+            if (!text) return { error: `question ${id}: text is required` };
+            if (!this.worksheetQuantities.includes(entry.quantity)) {
+                return { error: `question ${id}: quantity must be one of ${this.worksheetQuantities.join(', ')}` };
+            }
+
+            const question = { id, text, quantity: entry.quantity, unit: String(entry.unit || ''), conditions: {} };
+            const conditions = entry.conditions || {};
+            if (conditions.material !== undefined) {
+                const material = this.findMaterial(conditions.material);
+                if (!material) return { error: `question ${id}: unknown material "${conditions.material}"` };
+                question.conditions.material = material.name;
+            }
+            if (conditions.wavelength !== undefined) {
+                const wavelength = parseFloat(conditions.wavelength);
+                if (isNaN(wavelength) || wavelength <= 0) return { error: `question ${id}: wavelength must be positive` };
+                question.conditions.wavelength = wavelength;
+            }
+
+            // A plain number is an absolute tolerance, "5%" a relative one. Sessions save the
+            // normalized { absolute } or { relative } form, which reads back as the same
+            let rawTolerance = entry.tolerance === undefined ? '' : entry.tolerance;
+            if (rawTolerance && typeof rawTolerance === 'object') {
+                rawTolerance = rawTolerance.relative !== undefined ? `${rawTolerance.relative * 100}%` : rawTolerance.absolute;
+            }
+            const tolerance = String(rawTolerance).trim();
+            const amount = parseFloat(tolerance);
+            if (!/^\d*\.?\d+(e-?\d+)?%?$/i.test(tolerance) || !(amount > 0)) {
+                return { error: `question ${id}: tolerance must be a positive number or percentage` };
+            }
+            question.tolerance = tolerance.endsWith('%') ? { relative: amount / 100 } : { absolute: amount };
+
+            if (entry.after !== undefined) {
+                if (!stepIds.has(String(entry.after))) return { error: `question ${id}: unknown step "${entry.after}"` };
+                question.after = String(entry.after);
+            }
+            if (entry.maxAttempts !== undefined) {
+                if (!Number.isInteger(entry.maxAttempts) || entry.maxAttempts < 1) {
+                    return { error: `question ${id}: maxAttempts must be a positive whole number` };
+                }
+                question.maxAttempts = entry.maxAttempts;
+            }
+            questions.push(question);
+        }
+
+        const worksheet = { title, description: String(raw.description || '').trim(), steps, questions };
+        if (raw.signingKey) worksheet.signingKey = String(raw.signingKey);
+        return { worksheet };
+    }
+
+    normalizeWorksheetRequirement(raw) {
+        // { state: { material, wavelength, sourceType, lightOn },
+        //   measurements: { material, wavelength, count, voltages, wavelengths, voltageRange: [min, max] },
+        //   millikanPoints }
+        if (!raw || typeof raw !== 'object') return { error: 'require is missing' };
+
+        const count = (value, name) => {
+            // 0 is how a normalized requirement records "not checked"
+            if (value === undefined || value === 0) return { value: 0 };
+            return Number.isInteger(value) && value >= 1 ? { value } : { error: `${name} must be a positive whole number` };
+        };
+        const material = (value) => {
+            const found = this.findMaterial(value);
+            return found ? { value: found.name } : { error: `unknown material "${value}"` };
+        };
+        const wavelength = (value) => {
+            const parsed = parseFloat(value);
+            return parsed > 0 ? { value: parsed } : { error: 'wavelength must be positive' };
+        };
+        const require = {};
+
+        if (raw.state) {
+            const state = {};
+            if (raw.state.material !== undefined) {
+                const { value, error } = material(raw.state.material);
+                if (error) return { error };
+                state.material = value;
+            }
+            if (raw.state.wavelength !== undefined) {
+                const { value, error } = wavelength(raw.state.wavelength);
+                if (error) return { error };
+                state.wavelength = value;
+            }
+            if (raw.state.sourceType !== undefined) state.sourceType = String(raw.state.sourceType);
+            if (raw.state.lightOn !== undefined) state.lightOn = Boolean(raw.state.lightOn);
+            require.state = state;
+        }
+
+        if (raw.measurements) {
+            const wanted = {};
+            if (raw.measurements.material !== undefined) {
+                const { value, error } = material(raw.measurements.material);
+                if (error) return { error };
+                wanted.material = value;
+            }
+            if (raw.measurements.wavelength !== undefined) {
+                const { value, error } = wavelength(raw.measurements.wavelength);
+                if (error) return { error };
+                wanted.wavelength = value;
+            }
+            for (const key of ['count', 'voltages', 'wavelengths']) {
+                const { value, error } = count(raw.measurements[key], key);
+                if (error) return { error };
+                wanted[key] = value;
+            }
+            wanted.count = Math.max(1, wanted.count);
+
+            const range = raw.measurements.voltageRange;
+            if (range !== undefined) {
+                if (!Array.isArray(range) || range.length !== 2 || range.some(v => typeof v !== 'number') || range[0] >= range[1]) {
+                    return { error: 'voltageRange must be [min, max] in volts' };
+                }
+                wanted.voltageRange = range;
+            }
+            require.measurements = wanted;
+        }
+
+        if (raw.millikanPoints !== undefined) {
+            const { value, error } = count(raw.millikanPoints, 'millikanPoints');
+            if (error) return { error };
+            require.millikanPoints = value;
+        }
+
+        return Object.keys(require).length > 0 ? { require } : { error: 'require has nothing to check' };
+    }
 
-        // Energy scale markings
-        ctx.fillStyle = '#134252';
-        ctx.font = '12px sans-serif';
-        for (let i = 0; i <= maxEnergy; i += 1) {
-            const y = height - margin - (i * energyScale);
-            ctx.beginPath();
-            ctx.moveTo(margin - 8, y);
-            ctx.lineTo(margin + 8, y);
-            ctx.stroke();
-            
-            ctx.fillText(i.toFixed(0) + ' eV', 10, y + 4);
+    isWorksheetRequirementMet(require, includeState = true) {
+        const state = require.state;
+        if (state && includeState) {
+            if (state.material && this.state.currentMaterial.name !== state.material) return false;
+            if (state.wavelength !== undefined && Math.abs(this.state.wavelength - state.wavelength) > 0.5) return false;
+            if (state.sourceType && this.state.sourceType !== state.sourceType) return false;
+            if (state.lightOn !== undefined && this.state.isLightOn !== state.lightOn) return false;
         }
 
-        // Draw work function line with animation
-        const workFunctionY = height - margin - (physics.workFunction * energyScale);
-        const animatedAlpha = 0.8 + 0.2 * Math.sin(this.animationTime * 0.003);
-        
-        ctx.strokeStyle = `rgba(78, 205, 196, ${animatedAlpha})`;
-        ctx.lineWidth = 4;
-        ctx.beginPath();
-        ctx.moveTo(margin + 30, workFunctionY);
-        ctx.lineTo(width - margin - 30, workFunctionY);
-        ctx.stroke();
+        const wanted = require.measurements;
+        if (wanted) {
+            // Imported data and measurements from before the worksheet was loaded do not count
+            const matching = this.experimentData.filter(d => !d.imported && d.timestamp >= this.worksheet.startedAt &&
+                (!wanted.material || d.material === wanted.material) &&
+                (wanted.wavelength === undefined || Math.abs(d.wavelength - wanted.wavelength) <= 0.5));
+            const voltages = matching.map(d => d.voltage);
 
-        // Work function label
-        ctx.fillStyle = '#4ECDC4';
-        ctx.font = 'bold 16px sans-serif';
-        ctx.fillText(`φ = ${physics.workFunction.toFixed(2)} eV`, margin + 40, workFunctionY - 12);
+            if (matching.length < wanted.count) return false;
+            if (new Set(voltages).size < wanted.voltages) return false;
+            if (new Set(matching.map(d => d.wavelength)).size < wanted.wavelengths) return false;
+            if (wanted.voltageRange &&
+                (Math.min(...voltages) > wanted.voltageRange[0] || Math.max(...voltages) < wanted.voltageRange[1])) {
+                return false;
+            }
+        }
 
-        // Draw photon energy bar with smooth animation
-        const targetPhotonHeight = physics.photonEnergy * energyScale;
-        const photonBarX = margin + 150;
-        const barWidth = 80;
-        
-        // Animated photon energy bar
-        ctx.fillStyle = '#FF6B6B';
-        const photonGradient = ctx.createLinearGradient(0, height - margin, 0, height - margin - targetPhotonHeight);
-        photonGradient.addColorStop(0, '#FF6B6B');
-        photonGradient.addColorStop(1, '#FF8E8E');
-        ctx.fillStyle = photonGradient;
-        
-        ctx.fillRect(photonBarX, height - margin - targetPhotonHeight, barWidth, targetPhotonHeight);
+        return !require.millikanPoints || this.millikan.points.length >= require.millikanPoints;
+    }
 
-        // Photon energy label with wavelength color coding
-        const wavelengthColor = this.getWavelengthColor(this.state.wavelength);
-        ctx.fillStyle = wavelengthColor;
-        ctx.font = 'bold 14px sans-serif';
-        ctx.fillText(`E = hf = ${physics.photonEnergy.toFixed(2)} eV`, photonBarX, height - margin - targetPhotonHeight - 15);
-        ctx.font = '12px sans-serif';
-        ctx.fillText(`λ = ${this.state.wavelength} nm`, photonBarX, height - margin - targetPhotonHeight - 30);
+    updateWorksheetProgress() {
+        if (!this.worksheet) return;
 
-        // Draw kinetic energy bar if emission occurs
-        if (physics.isEmission && physics.maxKineticEnergy > 0) {
-            const keBarX = photonBarX + barWidth + 30;
-            const keHeight = physics.maxKineticEnergy * energyScale;
-            
-            // Animated kinetic energy bar
-            const keGradient = ctx.createLinearGradient(0, height - margin, 0, height - margin - keHeight);
-            keGradient.addColorStop(0, '#45B7D1');
-            keGradient.addColorStop(1, '#6BC5D8');
-            ctx.fillStyle = keGradient;
-            
-            ctx.fillRect(keBarX, height - margin - keHeight, barWidth, keHeight);
-            
-            // KE label
-            ctx.fillStyle = '#45B7D1';
-            ctx.font = 'bold 14px sans-serif';
-            ctx.fillText(`KE_max = ${physics.maxKineticEnergy.toFixed(2)} eV`, keBarX, height - margin - keHeight - 15);
+        // Steps are ticked off in order and stay done once reached
+        let changed = false;
+        for (const step of this.worksheet.definition.steps) {
+            if (this.worksheet.steps[step.id]) continue;
+            if (!this.isWorksheetRequirementMet(step.require)) break;
+
+            this.worksheet.steps[step.id] = Date.now();
+            changed = true;
+            this.logMessage(`Worksheet step complete: ${step.text}`);
         }
 
-        // Draw threshold indicator
-        const thresholdEnergy = physics.workFunction;
-        const thresholdY = height - margin - (thresholdEnergy * energyScale);
-        
-        ctx.strokeStyle = physics.isEmission ? '#45B7D1' : '#FF6B6B';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([8, 4]);
-        ctx.beginPath();
-        ctx.moveTo(margin + 30, thresholdY);
-        ctx.lineTo(width - margin - 30, thresholdY);
-        ctx.stroke();
-        ctx.setLineDash([]);
+        if (changed) {
+            this.renderWorksheet();
+        }
+    }
 
-        // Add Einstein's equation
-        ctx.fillStyle = '#134252';
-        ctx.font = 'bold 16px serif';
-        ctx.fillText('E = hf = φ + KE_max', margin + 30, height - 15);
+    getWorksheetExpectedValue(question) {
+        // The model's value under the question's conditions, whatever the controls are set to now
+        if (question.quantity === 'planckOverCharge') {
+            return this.constants.planckConstant; // h in eV·s is h/e in V·s
+        }
+
+        const saved = { currentMaterial: this.state.currentMaterial, wavelength: this.state.wavelength };
+        const { material, wavelength } = question.conditions;
+        if (material) {
+            this.state.currentMaterial = this.findMaterial(material) || saved.currentMaterial;
+        }
+        if (wavelength !== undefined) {
+            this.state.wavelength = wavelength;
+        }
+        const value = this.calculatePhysics()[question.quantity];
+        Object.assign(this.state, saved);
+        return value;
     }
 
-    getWavelengthColor(wavelength) {
-        // Convert wavelength to RGB color (visible spectrum approximation)
-        if (wavelength < 380) return '#8B00FF'; // Violet
-        if (wavelength < 440) return '#4B0082'; // Indigo
-        if (wavelength < 490) return '#0000FF'; // Blue
-        if (wavelength < 510) return '#00FF00'; // Green
-        if (wavelength < 580) return '#FFFF00'; // Yellow
-        if (wavelength < 645) return '#FF7F00'; // Orange
-        if (wavelength < 750) return '#FF0000'; // Red
-        return '#8B0000'; // Dark red
+    getWorksheetTolerance(question, expected) {
+        return question.tolerance.relative !== undefined
+            ? Math.abs(expected) * question.tolerance.relative
+            : question.tolerance.absolute;
     }
 
-    drawSetupDiagram() {
-        const canvas = this.elements.setupDiagram;
-        const ctx = this.setupCtx;
-        const width = canvas.width;
-        const height = canvas.height;
+    gradeWorksheetAnswer(question, value) {
+        const expected = this.getWorksheetExpectedValue(question);
+        return Math.abs(value - expected) <= this.getWorksheetTolerance(question, expected);
+    }
 
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
+    restoreWorksheetProgress(steps, answers) {
+        // Saved progress is only a claim: steps stay done only while the restored measurements still
+        // meet them, and answers are graded again from their values
+        const { definition } = this.worksheet;
+        for (const step of definition.steps) {
+            const completedAt = steps[step.id];
+            if (typeof completedAt !== 'number' || !this.isWorksheetRequirementMet(step.require, false)) break;
+            this.worksheet.steps[step.id] = completedAt;
+        }
 
-        // Draw experimental setup
-        this.drawLightSource(ctx, 80, height/2, width, height);
-        this.drawPhotocathode(ctx, 250, height/2);
-        this.drawCollector(ctx, 380, height/2);
-        this.drawMeters(ctx, width, height);
-        this.drawConnections(ctx, width, height);
+        definition.questions.forEach(question => {
+            const answer = answers[question.id];
+            if (!answer || typeof answer.value !== 'number' || !isFinite(answer.value)) return;
+            this.worksheet.answers[question.id] = {
+                value: answer.value,
+                correct: this.gradeWorksheetAnswer(question, answer.value),
+                attempts: Number.isInteger(answer.attempts) && answer.attempts >= 1 ? answer.attempts : 1
+            };
+        });
+    }
 
-        // Draw labels
-        ctx.fillStyle = '#134252';
-        ctx.font = '14px sans-serif';
-        ctx.fillText('Light Source', 50, 40);
-        ctx.fillText(`${this.state.currentMaterial.name} Cathode`, 200, 40);
-        ctx.fillText('Collector', 370, 40);
-        ctx.fillText(`λ = ${this.state.wavelength} nm`, 50, height - 20);
-        ctx.fillText(`I = ${this.state.intensity} W/m²`, 200, height - 20);
-        ctx.fillText(`V = ${this.state.voltage.toFixed(2)} V`, 370, height - 20);
+    isWorksheetQuestionOpen(question) {
+        const answer = this.worksheet.answers[question.id];
+        const unlocked = !question.after || Boolean(this.worksheet.steps[question.after]);
+        const attemptsLeft = !question.maxAttempts || !answer || answer.attempts < question.maxAttempts;
+        return unlocked && attemptsLeft && !(answer && answer.correct);
+    }
 
-        // Update animation particles
-        this.updateSetupAnimation();
+    isWorksheetQuestionClosed(question) {
+        // Answered correctly or out of attempts; only then may its expected value be shown
+        const answer = this.worksheet.answers[question.id];
+        return Boolean(answer) && (answer.correct || Boolean(question.maxAttempts && answer.attempts >= question.maxAttempts));
     }
 
-    drawLightSource(ctx, x, y, width, height) {
-        // Light source body
-        ctx.fillStyle = this.state.isLightOn ? '#FFD700' : '#CCCCCC';
-        ctx.beginPath();
-        ctx.arc(x, y, 25, 0, 2 * Math.PI);
-        ctx.fill();
-        ctx.strokeStyle = '#134252';
-        ctx.lineWidth = 2;
-        ctx.stroke();
+    dependsOnChallengeSample(question) {
+        // Without a material of its own, a question about the cathode is graded against the hidden sample
+        return Boolean(this.challenge) && !question.conditions.material &&
+            ['workFunction', 'maxKineticEnergy', 'thresholdWavelength', 'stoppingPotential'].includes(question.quantity);
+    }
 
-        // Light symbol
-        ctx.fillStyle = this.state.isLightOn ? '#FFA500' : '#999999';
-        ctx.font = 'bold 20px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('☀', x, y + 7);
-        ctx.textAlign = 'left';
+    checkWorksheetAnswer(question, text) {
+        if (!this.isWorksheetQuestionOpen(question)) return;
+        if (this.dependsOnChallengeSample(question)) {
+            this.logMessage(`Worksheet: "${question.text}" cannot be answered during the unknown-material challenge`);
+            return;
+        }
 
-        // Draw light beam if on
-        if (this.state.isLightOn) {
-            const wavelengthColor = this.getWavelengthColor(this.state.wavelength);
-            ctx.strokeStyle = wavelengthColor;
-            ctx.lineWidth = 8;
-            ctx.globalAlpha = 0.6;
-            
-            for (let i = 0; i < 5; i++) {
-                ctx.beginPath();
-                ctx.moveTo(x + 25, y - 20 + i * 10);
-                ctx.lineTo(x + 150, y - 20 + i * 10);
-                ctx.stroke();
+        const value = parseFloat(text);
+        if (isNaN(value)) {
+            this.logMessage(`Worksheet: enter a number to answer "${question.text}"`);
+            return;
+        }
+
+        const correct = this.gradeWorksheetAnswer(question, value);
+        const previous = this.worksheet.answers[question.id];
+        this.worksheet.answers[question.id] = {
+            value,
+            correct,
+            attempts: (previous ? previous.attempts : 0) + 1,
+            answeredAt: Date.now()
+        };
+
+        this.logMessage(`Worksheet answer to "${question.text}": ${value} ${correct ? 'accepted' : 'is outside the tolerance'}`);
+        this.renderWorksheet();
+        this.scheduleAutosave();
+    }
+
+    renderWorksheet() {
+        const worksheet = this.worksheet;
+        this.elements.worksheetEmpty.classList.toggle('hidden', Boolean(worksheet));
+        this.elements.worksheetContent.classList.toggle('hidden', !worksheet);
+        this.elements.worksheetClose.disabled = !worksheet;
+        if (!worksheet) return;
+
+        const { definition, steps, answers } = worksheet;
+        this.elements.worksheetTitle.textContent = definition.title;
+        this.elements.worksheetDescription.textContent = definition.description;
+        this.elements.worksheetStudent.value = worksheet.student;
+
+        const stepList = this.elements.worksheetSteps;
+        stepList.innerHTML = '';
+        definition.steps.forEach(step => {
+            const item = document.createElement('li');
+            item.className = steps[step.id] ? 'worksheet-step complete' : 'worksheet-step';
+            item.textContent = step.text;
+            if (steps[step.id]) {
+                item.title = `Completed ${new Date(steps[step.id]).toLocaleTimeString()}`;
             }
-            ctx.globalAlpha = 1;
+            stepList.appendChild(item);
+        });
+
+        // Keep half-typed answers across re-renders
+        const container = this.elements.worksheetQuestions;
+        const drafts = {};
+        container.querySelectorAll('input[data-question]').forEach(input => {
+            drafts[input.dataset.question] = input.value;
+        });
+        container.innerHTML = '';
+
+        definition.questions.forEach((question, index) => {
+            const answer = answers[question.id];
+            const open = this.isWorksheetQuestionOpen(question);
+            const inputId = `worksheet-answer-${index}`;
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'form-group worksheet-question';
+            if (answer) {
+                wrapper.classList.add(answer.correct ? 'correct' : 'incorrect');
+            }
+
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = inputId;
+            label.textContent = question.unit ? `${question.text} (${question.unit})` : question.text;
+
+            const row = document.createElement('div');
+            row.className = 'worksheet-answer';
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.id = inputId;
+            input.className = 'form-control';
+            input.dataset.question = question.id;
+            input.value = drafts[question.id] !== undefined ? drafts[question.id] : (answer ? answer.value : '');
+            input.disabled = !open;
+            const button = document.createElement('button');
+            button.className = 'btn btn--sm btn--secondary';
+            button.textContent = 'Check';
+            button.disabled = !open;
+            button.addEventListener('click', () => this.checkWorksheetAnswer(question, input.value));
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.checkWorksheetAnswer(question, input.value);
+                }
+            });
+            row.append(input, button);
+
+            const feedback = document.createElement('span');
+            feedback.className = 'worksheet-feedback';
+            if (question.after && !steps[question.after]) {
+                const step = definition.steps.find(s => s.id === question.after);
+                feedback.textContent = `Unlocks after: ${step.text}`;
+            } else if (answer && answer.correct) {
+                feedback.textContent = '✓ Correct';
+            } else if (answer) {
+                const left = question.maxAttempts ? question.maxAttempts - answer.attempts : null;
+                feedback.textContent = `✗ Not within tolerance (attempt ${answer.attempts}` +
+                    (left !== null ? `, ${left} left)` : ')');
+            }
+
+            wrapper.append(label, row, feedback);
+            container.appendChild(wrapper);
+        });
+
+        const stepsDone = definition.steps.filter(step => steps[step.id]).length;
+        const correct = definition.questions.filter(q => answers[q.id] && answers[q.id].correct).length;
+        this.elements.worksheetScore.textContent =
+            `Steps ${stepsDone}/${definition.steps.length} · Questions ${correct}/${definition.questions.length}`;
+    }
+
+    async signWorksheetReport(report, key) {
+        // HMAC with the instructor's key when the worksheet has one, otherwise a SHA-256 checksum
+        const encoder = new TextEncoder();
+        const data = encoder.encode(JSON.stringify(report));
+        let digest;
+        if (key) {
+            const cryptoKey = await crypto.subtle.importKey('raw', encoder.encode(key),
+                { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+            digest = await crypto.subtle.sign('HMAC', cryptoKey, data);
+        } else {
+            digest = await crypto.subtle.digest('SHA-256', data);
         }
+
+        return {
+            algorithm: key ? 'HMAC-SHA-256' : 'SHA-256',
+            value: [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('')
+        };
     }
 
-    drawPhotocathode(ctx, x, y) {
-        // Cathode plate
-        ctx.fillStyle = this.state.currentMaterial.color;
-        ctx.fillRect(x, y - 40, 20, 80);
-        ctx.strokeStyle = '#134252';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(x, y - 40, 20, 80);
+    async downloadWorksheetReport() {
+        if (!this.worksheet) return;
 
-        // Material label
-        ctx.fillStyle = '#134252';
-        ctx.font = '12px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText(this.state.currentMaterial.symbol, x + 10, y + 55);
-        ctx.textAlign = 'left';
+        const student = this.elements.worksheetStudent.value.trim();
+        if (!student) {
+            this.logMessage('Worksheet report not created - enter your name first');
+            this.elements.worksheetStudent.focus();
+            return;
+        }
+        if (!window.crypto || !crypto.subtle) {
+            this.logMessage('Worksheet report not created - signing needs the page to be served over https');
+            return;
+        }
+        this.worksheet.student = student;
+
+        const { definition, startedAt, steps, answers } = this.worksheet;
+        const toIso = (time) => time ? new Date(time).toISOString() : null;
+        const questions = definition.questions.map(question => {
+            const answer = answers[question.id];
+            // Expected values would give away open questions and the challenge sample
+            const shown = this.isWorksheetQuestionClosed(question) && !this.dependsOnChallengeSample(question);
+            const expected = shown ? this.getWorksheetExpectedValue(question) : null;
+            return {
+                id: question.id,
+                text: question.text,
+                unit: question.unit,
+                answer: answer ? answer.value : null,
+                attempts: answer ? answer.attempts : 0,
+                correct: Boolean(answer && answer.correct),
+                expected,
+                tolerance: shown ? this.getWorksheetTolerance(question, expected) : null
+            };
+        });
+
+        const report = {
+            format: 'photoee-worksheet-report',
+            version: 1,
+            worksheet: definition.title,
+            student,
+            startedAt: toIso(startedAt),
+            submittedAt: new Date().toISOString(),
+            steps: definition.steps.map(step => ({ id: step.id, text: step.text, completedAt: toIso(steps[step.id]) })),
+            questions,
+            score: {
+                steps: definition.steps.filter(step => steps[step.id]).length,
+                totalSteps: definition.steps.length,
+                questions: questions.filter(q => q.correct).length,
+                totalQuestions: questions.length
+            },
+            measurements: this.experimentData.filter(d => !d.imported && d.timestamp >= startedAt).length
+        };
+        const signature = await this.signWorksheetReport(report, definition.signingKey);
+
+        this.downloadFile(JSON.stringify({ report, signature }, null, 2), `photoee_worksheet_report_${Date.now()}.json`, 'application/json');
+        this.logMessage(`Worksheet report signed (${signature.algorithm}) for ${student}: ` +
+            `${report.score.steps}/${report.score.totalSteps} steps, ${report.score.questions}/${report.score.totalQuestions} questions`);
     }
 
-    drawCollector(ctx, x, y) {
-        // Collector plate
-        ctx.fillStyle = '#C0C0C0';
-        ctx.fillRect(x, y - 30, 15, 60);
-        ctx.strokeStyle = '#134252';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(x, y - 30, 15, 60);
+    serializeSession(name) {
+        const state = this.state;
+        const controls = {
+            // The hidden challenge sample is never written out
+            material: this.challenge ? this.challenge.previousMaterial.name : state.currentMaterial.name,
+            collectorMaterial: state.collectorMaterial.name
+        };
+        this.sessionControlKeys.forEach(key => {
+            controls[key] = state[key];
+        });
 
-        // Positive charge symbol
-        ctx.fillStyle = '#FF0000';
-        ctx.font = 'bold 16px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('+', x + 7.5, y + 5);
-        ctx.textAlign = 'left';
+        const settings = {};
+        this.sessionSettingKeys.forEach(key => {
+            settings[key] = this.elements[key].value;
+        });
+
+        return {
+            format: 'photoee-session',
+            version: this.sessionVersion,
+            name,
+            savedAt: new Date().toISOString(),
+            controls,
+            settings,
+            instrument: { ...this.instrument },
+            instrumentElapsed: Date.now() - this.instrumentEpoch, // ms of voltmeter drift so far
+            materials: this.materials.filter(m => !m.builtIn).map(m => this.serializeMaterial(m)),
+            measurements: this.experimentData,
+            chart: {
+                runs: this.allExperimentRuns,
+                currentRunId: this.currentRun ? this.currentRun.id : null,
+                runCounter: this.runCounter
+            },
+            millikan: this.millikan.points,
+            linearity: { variable: this.linearity.variable, points: this.linearity.points },
+            worksheet: this.worksheet,
+            log: this.logEntries
+        };
+    }
+
+    validateSession(raw) {
+        // Returns { session } or { error }
+        if (!raw || typeof raw !== 'object' || raw.format !== 'photoee-session') {
+            return { error: 'not a PhotoEE session file' };
+        }
+        if (raw.version !== this.sessionVersion) {
+            return { error: `unsupported session version ${raw.version}` };
+        }
+        if (!raw.controls || typeof raw.controls !== 'object') {
+            return { error: 'session has no control values' };
+        }
+        if (!Array.isArray(raw.measurements) || !raw.chart || !Array.isArray(raw.chart.runs)) {
+            return { error: 'session has no measurement or run data' };
+        }
+        return { session: raw };
+    }
+
+    isValidSessionRun(run) {
+        // A run is charted and analysed as-is, so every point needs numeric readings
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        return Boolean(run) && typeof run === 'object' && Number.isInteger(run.id) &&
+            typeof run.name === 'string' && typeof run.material === 'string' && typeof run.color === 'string' &&
+            run.wavelength > 0 && run.intensity >= 0 && run.area > 0 &&
+            Array.isArray(run.points) && run.points.every(point => Boolean(point) &&
+                isNumber(point.x) && isNumber(point.y) && point.standardDeviation >= 0 && point.standardError >= 0);
+    }
+
+    isValidMillikanPoint(point) {
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        return Boolean(point) && typeof point === 'object' && typeof point.material === 'string' &&
+            point.wavelength > 0 && point.frequency > 0 && isNumber(point.stoppingPotential) && point.uncertainty >= 0;
+    }
+
+    isValidLinearityPoint(point, variable) {
+        // V_s and its error are null when no cut-off was measured
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const isOptionalNumber = value => value === null || isNumber(value);
+        return Boolean(point) && typeof point === 'object' && point.variable === variable &&
+            typeof point.material === 'string' && isNumber(point.x) && point.wavelength > 0 &&
+            point.intensity >= 0 && point.area > 0 && isNumber(point.saturationVoltage) &&
+            isNumber(point.saturationCurrent) && point.saturationError >= 0 &&
+            isOptionalNumber(point.stoppingPotential) && isOptionalNumber(point.stoppingPotentialError);
+    }
+
+    applySession(session) {
+        this.session.restoring = true;
+        this.stopExperimentActivity();
+        if (this.challenge) {
+            this.endChallenge();
+        }
+
+        // Bring along custom materials the session was recorded with
+        let added = 0;
+        (session.materials || []).forEach(raw => {
+            const { material } = this.normalizeMaterial(raw);
+            if (material && !this.materials.some(m => m.name === material.name)) {
+                this.materials.push(material);
+                added++;
+            }
+        });
+        if (added > 0) {
+            this.saveCustomMaterials();
+        }
+
+        // Control values, skipping any whose type does not match the current state
+        const controls = session.controls;
+        this.sessionControlKeys.forEach(key => {
+            if (key in controls && typeof controls[key] === typeof this.state[key]) {
+                this.state[key] = controls[key];
+            }
+        });
+        if (this.state.customSpectrum && !Array.isArray(this.state.customSpectrum.points)) {
+            this.state.customSpectrum = null;
+        }
+        if (this.checkWavelengthRange(this.state.wavelengthMin, this.state.wavelengthMax)) {
+            this.state.wavelengthMin = 100;
+            this.state.wavelengthMax = 700;
+        }
+        if (!(this.state.wavelengthAxis in this.wavelengthAxes)) {
+            this.state.wavelengthAxis = 'wavelength';
+        }
+        if (!['textbook', 'band'].includes(this.state.energyDiagramView)) {
+            this.state.energyDiagramView = 'textbook';
+        }
+
+        const findMaterial = (name, fallback) => {
+            const material = this.materials.find(m => m.name === name);
+            if (!material) {
+                this.logMessage(`Material "${name}" not found - using ${fallback.name}`);
+            }
+            return material || fallback;
+        };
+        this.state.currentMaterial = findMaterial(controls.material, this.materials[0]);
+        this.state.collectorMaterial = findMaterial(controls.collectorMaterial, this.materials[4]);
+
+        Object.entries(session.settings || {}).forEach(([key, value]) => {
+            if (this.sessionSettingKeys.includes(key)) {
+                this.elements[key].value = value;
+            }
+        });
+
+        // Resume the voltmeter drift where it was left rather than from the time saved
+        if (session.instrument) {
+            const base = this.instrumentPresets.teaching;
+            const instrument = { preset: session.instrument.preset || 'custom' };
+            Object.keys(base).filter(key => key !== 'label').forEach(key => {
+                const value = session.instrument[key];
+                const valid = typeof value === typeof base[key] || (key === 'ammeterRange' && typeof value === 'number');
+                instrument[key] = valid ? value : base[key];
+            });
+            this.instrument = instrument;
+        }
+        this.instrumentEpoch = Date.now() - (session.instrumentElapsed || 0);
+
+        // Measurements, runs and their chart datasets. Malformed entries are dropped here rather than
+        // left to break the table, chart or exports later
+        const measurements = session.measurements.map(raw => {
+            const { measurement } = this.normalizeMeasurement(raw);
+            return measurement ? { ...raw, ...measurement } : null;
+        }).filter(Boolean);
+        const runs = session.chart.runs.filter(run => this.isValidSessionRun(run));
+        const millikanPoints = Array.isArray(session.millikan)
+            ? session.millikan.filter(point => this.isValidMillikanPoint(point))
+            : [];
+        const linearity = session.linearity || {};
+        const linearityVariable = linearity.variable === 'area' ? 'area' : 'intensity';
+        const linearityPoints = Array.isArray(linearity.points)
+            ? linearity.points.filter(point => this.isValidLinearityPoint(point, linearityVariable))
+            : [];
+        const skipped = session.measurements.length - measurements.length + session.chart.runs.length - runs.length +
+            (Array.isArray(session.millikan) ? session.millikan.length - millikanPoints.length : 0) +
+            (Array.isArray(linearity.points) ? linearity.points.length - linearityPoints.length : 0);
+
+        this.experimentData = measurements;
+        this.state.measurementCount = this.experimentData.length;
+        this.allExperimentRuns = [];
+        this.ivChart.data.datasets = [];
+        runs.forEach(run => {
+            this.allExperimentRuns.push(run);
+            this.ivChart.data.datasets.push(this.createRunDataset(run));
+        });
+        this.currentRun = this.allExperimentRuns.find(r => r.id === session.chart.currentRunId) || null;
+        this.runCounter = Math.max(session.chart.runCounter || 0, ...this.allExperimentRuns.map(r => r.id));
+        this.ivChart.update();
+
+        this.millikan.points = millikanPoints;
+        this.updateMillikanAnalysis();
+        this.linearity.variable = linearityVariable;
+        this.linearity.points = linearityPoints;
+        this.updateLinearityAnalysis();
+
+        // Worksheet progress, re-validated since the definition came from a file
+        this.worksheet = null;
+        if (session.worksheet && session.worksheet.definition) {
+            const { worksheet: definition } = this.normalizeWorksheet(session.worksheet.definition);
+            if (definition) {
+                this.worksheet = {
+                    definition,
+                    startedAt: typeof session.worksheet.startedAt === 'number' ? session.worksheet.startedAt : Date.now(),
+                    steps: {},
+                    answers: {},
+                    student: typeof session.worksheet.student === 'string' ? session.worksheet.student : ''
+                };
+                this.restoreWorksheetProgress(session.worksheet.steps || {}, session.worksheet.answers || {});
+            }
+        }
+        this.renderWorksheet();
+
+        // Previous log first, so the restore message follows it
+        this.elements.experimentLog.innerHTML = '';
+        this.logEntries = Array.isArray(session.log)
+            ? session.log.filter(entry => entry && typeof entry === 'object').slice(-20)
+            : [];
+        this.logEntries.forEach(entry => this.renderLogEntry(entry));
+        if (skipped > 0) {
+            this.logMessage(`Session: skipped ${skipped} malformed measurement(s), run(s), Millikan or linearity point(s)`);
+        }
+
+        this.updateControlsFromState();
+        this.updateInstrumentControls();
+        this.applyLightSource();
+        this.elements.measurementCount.textContent = this.state.measurementCount;
+        this.renderRunManager();
+        this.updateDataTable();
+
+        this.elements.sessionName.value = session.name || '';
+        this.session.restoring = false;
+    }
+
+    updateControlsFromState() {
+        // Mirror state into every experiment control, e.g. after a session is restored
+        const state = this.state;
+        this.populateMaterialSelects();
+
+        this.updateWavelengthSlider();
+        this.elements.intensitySlider.value = state.intensity;
+        this.elements.intensityValue.textContent = state.intensity.toFixed(1);
+        this.elements.areaSlider.value = state.area;
+        this.elements.areaValue.textContent = state.area.toFixed(2);
+        this.elements.voltageSlider.value = state.voltage;
+        this.elements.voltageValue.textContent = state.voltage.toFixed(2);
+
+        this.elements.currentModel.value = state.currentModel;
+        this.elements.cathodeTemperature.value = state.temperature;
+        this.elements.cathodeTemperature.disabled = state.currentModel !== 'physical';
+
+        this.elements.contactPotentialToggle.checked = state.contactPotential;
+        this.elements.reverseCurrentToggle.checked = state.reverseCurrent;
+        this.elements.strayLight.value = state.strayLightFraction * 100;
+        this.elements.leakageToggle.checked = state.leakageCurrent;
+        this.elements.leakageResistance.value = state.leakageResistance;
+        this.elements.lampWarmupToggle.checked = state.lampWarmup;
+        this.elements.lampWarmupTime.value = state.lampWarmupTime;
+        this.elements.lampDriftToggle.checked = state.lampDrift;
+        this.elements.lampDriftAmplitude.value = state.lampDriftAmplitude;
+
+        this.elements.mercuryFilter.value = state.mercuryFilter;
+        this.elements.filterLeakage.value = state.filterLeakage * 100;
+        this.elements.blackbodyTemperature.value = state.blackbodyTemperature;
+        this.elements.ledFwhm.value = state.ledFwhm;
+        this.elements.customSpectrumName.textContent = state.customSpectrum
+            ? `${state.customSpectrum.name} (${state.customSpectrum.points.length} points)`
+            : 'CSV rows: wavelength_nm,relative_power';
+
+        this.elements.analysisMethod.value = state.analysisMethod;
+        this.elements.errorBarMode.value = state.errorBarMode;
+        this.elements.theoryCurveToggle.checked = state.showTheoryCurve;
+        this.elements.fitModel.value = state.fitModel;
+        this.elements.binningToggle.checked = state.binning;
+        this.elements.binWidth.value = state.binWidth;
+        this.elements.energyDiagramView.value = state.energyDiagramView;
+    }
+
+    openSessionDatabase() {
+        // Resolves to null where IndexedDB is unavailable; sessions then go to localStorage
+        if (!this.session.database) {
+            this.session.database = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                const request = indexedDB.open('photoee', 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('sessions', { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+            });
+        }
+        return this.session.database;
+    }
+
+    sessionRequest(database, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const request = operation(database.transaction('sessions', mode).objectStore('sessions'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    readAutosavePreference() {
+        // Storage can be blocked (private modes, sandboxed frames); autosave is then on but cannot persist
+        try {
+            return localStorage.getItem('photoee.autosave') !== 'off';
+        } catch (error) {
+            return true;
+        }
+    }
+
+    getSessionIndex() {
+        // Summaries of stored sessions, newest first
+        try {
+            return JSON.parse(localStorage.getItem(this.sessionIndexKey) || '[]');
+        } catch (error) {
+            return [];
+        }
     }
 
-    drawMeters(ctx, width, height) {
-        // Ammeter
-        ctx.strokeStyle = '#134252';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.arc(width - 120, 80, 25, 0, 2 * Math.PI);
-        ctx.stroke();
-        
-        ctx.fillStyle = '#134252';
-        ctx.font = 'bold 16px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('A', width - 120, 85);
+    async writeStoredSession(id, session) {
+        const database = await this.openSessionDatabase();
+        if (database) {
+            await this.sessionRequest(database, 'readwrite', store => store.put({ id, session }));
+        } else {
+            localStorage.setItem(`${this.sessionIndexKey}.${id}`, JSON.stringify(session));
+        }
 
-        // Voltmeter
-        ctx.beginPath();
-        ctx.arc(width - 120, 180, 25, 0, 2 * Math.PI);
-        ctx.stroke();
-        ctx.fillText('V', width - 120, 185);
-        ctx.textAlign = 'left';
+        const summary = {
+            id,
+            name: session.name,
+            savedAt: session.savedAt,
+            measurements: session.measurements.length
+        };
+        const index = [summary, ...this.getSessionIndex().filter(entry => entry.id !== id)];
 
-        // Display readings
-        const physics = this.calculatePhysics();
-        ctx.font = '10px monospace';
-        ctx.fillText(`${physics.current.toFixed(3)}μA`, width - 140, 110);
-        ctx.fillText(`${this.state.voltage.toFixed(2)}V`, width - 140, 210);
+        // Only the newest named sessions are kept; the autosave slot is always kept
+        const named = index.filter(entry => entry.id !== 'autosave');
+        const dropped = named.slice(this.maxRecentSessions);
+        for (const entry of dropped) {
+            await this.removeStoredSession(entry.id, database);
+        }
+        localStorage.setItem(this.sessionIndexKey, JSON.stringify(index.filter(entry => !dropped.includes(entry))));
     }
 
-    drawConnections(ctx, width, height) {
-        // Connecting wires
-        ctx.strokeStyle = '#134252';
-        ctx.lineWidth = 2;
-        
-        // Wire from cathode to ammeter
-        ctx.beginPath();
-        ctx.moveTo(270, 120);
-        ctx.lineTo(270, 60);
-        ctx.lineTo(width - 145, 60);
-        ctx.lineTo(width - 145, 80);
-        ctx.stroke();
+    async readStoredSession(id) {
+        const database = await this.openSessionDatabase();
+        if (database) {
+            const record = await this.sessionRequest(database, 'readonly', store => store.get(id));
+            return record ? record.session : null;
+        }
+        return JSON.parse(localStorage.getItem(`${this.sessionIndexKey}.${id}`) || 'null');
+    }
 
-        // Wire from collector to voltmeter
-        ctx.beginPath();
-        ctx.moveTo(395, 150);
-        ctx.lineTo(width - 145, 150);
-        ctx.lineTo(width - 145, 180);
-        ctx.stroke();
+    async removeStoredSession(id, database) {
+        if (database) {
+            await this.sessionRequest(database, 'readwrite', store => store.delete(id));
+        } else {
+            localStorage.removeItem(`${this.sessionIndexKey}.${id}`);
+        }
     }
 
-    updateSetupAnimation() {
-        if (!this.state.isLightOn) return;
+    async saveSession(name) {
+        const trimmed = (name || '').trim() || `Session ${new Date().toLocaleString()}`;
+        const session = this.serializeSession(trimmed);
 
-        const ctx = this.setupCtx;
-        
-        // Update photon particles
-        if (Math.random() < 0.4) {
-            this.photonParticles.push({
-                x: 105,
-                y: 150 + (Math.random() - 0.5) * 40,
-                speed: 2 + Math.random(),
-                size: 3 + Math.random() * 2,
-                color: this.getWavelengthColor(this.state.wavelength)
-            });
+        // Saving under an existing name replaces that session
+        const existing = this.getSessionIndex().find(entry => entry.id !== 'autosave' && entry.name === trimmed);
+        const id = existing ? existing.id : `session-${Date.now()}`;
+
+        try {
+            await this.writeStoredSession(id, session);
+        } catch (error) {
+            this.logMessage('Session not saved - browser storage unavailable or full');
+            return;
         }
+        this.renderSessionList(id);
+        this.logMessage(`Saved session "${trimmed}" (${session.measurements.length} measurements)`);
+    }
 
-        // Update and draw photons
-        this.photonParticles = this.photonParticles.filter(photon => {
-            photon.x += photon.speed;
-            
-            // Draw photon
-            ctx.fillStyle = photon.color;
-            ctx.globalAlpha = 0.8;
-            ctx.beginPath();
-            ctx.arc(photon.x, photon.y, photon.size, 0, 2 * Math.PI);
-            ctx.fill();
-            ctx.globalAlpha = 1;
+    scheduleAutosave() {
+        // At most one autosave every two seconds while things are changing
+        if (!this.session.autosave || this.session.restoring || this.session.autosaveTimer) return;
 
-            // Check if photon hits cathode
-            if (photon.x >= 250) {
-                const physics = this.calculatePhysics();
-                if (physics.isEmission && Math.random() < 0.7) {
-                    // Create electron
-                    this.electronParticles.push({
-                        x: 270,
-                        y: photon.y,
-                        speed: 1.5 + Math.random(),
-                        size: 2,
-                        life: 60
-                    });
-                }
-                return false; // Remove photon
-            }
-            
-            return photon.x < 600;
-        });
+        this.session.autosaveTimer = setTimeout(() => {
+            this.session.autosaveTimer = null;
+            this.autosaveSession();
+        }, 2000);
+    }
 
-        // Update and draw electrons
-        this.electronParticles = this.electronParticles.filter(electron => {
-            electron.x += electron.speed;
-            electron.life--;
-            
-            // Draw electron
-            ctx.fillStyle = '#00FFFF';
-            ctx.globalAlpha = electron.life / 60;
-            ctx.beginPath();
-            ctx.arc(electron.x, electron.y, electron.size, 0, 2 * Math.PI);
-            ctx.fill();
-            ctx.globalAlpha = 1;
+    async autosaveSession() {
+        if (!this.session.autosave || this.session.restoring) return;
 
-            return electron.life > 0 && electron.x < 380;
-        });
+        try {
+            await this.writeStoredSession('autosave', this.serializeSession('Autosave'));
+            this.elements.sessionStatus.textContent = `Autosaved ${new Date().toLocaleTimeString()}`;
+        } catch (error) {
+            this.elements.sessionStatus.textContent = 'Autosave failed - storage full?';
+        }
+        this.renderSessionList();
     }
 
-    toggleLight() {
-        this.state.isLightOn = !this.state.isLightOn;
-        
-        if (this.state.isLightOn) {
-            this.elements.switchLight.textContent = '💡 Light ON - Taking Measurements';
-            this.elements.switchLight.classList.add('active');
-            this.logMessage('Light source activated - Beginning high-precision measurements');
-            
-            // Start taking measurements
-            this.takePrecisionMeasurement();
-        } else {
-            this.elements.switchLight.textContent = '💡 Switch On Light';
-            this.elements.switchLight.classList.remove('active');
-            this.logMessage('Light source deactivated');
-            
-            // Clear particles
-            this.photonParticles = [];
-            this.electronParticles = [];
+    async restoreAutosave() {
+        try {
+            const hasAutosave = this.getSessionIndex().some(entry => entry.id === 'autosave');
+            const session = this.session.autosave && hasAutosave ? await this.readStoredSession('autosave') : null;
+            const { session: valid } = this.validateSession(session);
+            if (valid) {
+                this.applySession(valid);
+                this.logMessage(`Restored autosaved session from ${new Date(valid.savedAt).toLocaleString()}`);
+            }
+        } catch (error) {
+            this.logMessage(`Could not restore the autosaved session: ${error.message}`);
         }
-        
-        // Force immediate redraw
-        this.drawSetupDiagram();
+        this.session.restoring = false;
+        this.renderSessionList();
     }
 
-    resetExperiment() {
-        this.state.isLightOn = false;
-        this.state.measurementCount = 0;
-        this.experimentData = [];
-        this.photonParticles = [];
-        this.electronParticles = [];
-        
-        // Reset UI
-        this.elements.switchLight.textContent = '💡 Switch On Light';
-        this.elements.switchLight.classList.remove('active');
-        this.elements.measurementCount.textContent = '0';
-        this.elements.dataTableBody.innerHTML = '';
-        
-        // Clear chart
-        this.clearGraph();
-        
-        // Reset controls to defaults
-        this.state.wavelength = 400;
-        this.state.intensity = 5;
-        this.state.area = 0.10;
-        this.state.voltage = 0;
-        this.state.currentMaterial = this.materials[0];
-        
-        this.elements.wavelengthSlider.value = 400;
-        this.elements.intensitySlider.value = 5;
-        this.elements.areaSlider.value = 0.10;
-        this.elements.voltageSlider.value = 0;
-        this.elements.materialSelect.value = 0;
-        
-        this.updateAllCalculations();
-        this.logMessage('Experiment reset to default parameters');
+    async loadStoredSession(id) {
+        if (!id) return;
+
+        let stored;
+        try {
+            stored = await this.readStoredSession(id);
+        } catch (error) {
+            stored = null;
+        }
+
+        const { session, error } = this.validateSession(stored);
+        if (error) {
+            this.logMessage(`Session not loaded - ${error}`);
+            return;
+        }
+
+        this.applySession(session);
+        this.logMessage(`Loaded session "${session.name}" saved ${new Date(session.savedAt).toLocaleString()}`);
+        this.scheduleAutosave();
     }
 
-    clearGraph() {
-        this.ivChart.data.datasets[0].data = [];
-        this.ivChart.update();
-        this.logMessage('I-V graph cleared');
+    async deleteStoredSession(id) {
+        const entry = this.getSessionIndex().find(e => e.id === id);
+        if (!entry) return;
+
+        try {
+            await this.removeStoredSession(id, await this.openSessionDatabase());
+        } catch (error) {
+            this.logMessage(`Session "${entry.name}" could not be deleted`);
+            return;
+        }
+        localStorage.setItem(this.sessionIndexKey, JSON.stringify(this.getSessionIndex().filter(e => e.id !== id)));
+        this.renderSessionList();
+        this.logMessage(`Deleted session "${entry.name}"`);
     }
 
-    exportAllData() {
-        if (this.experimentData.length === 0) {
-            alert('No experimental data to export. Please switch on the light and take measurements first.');
+    downloadSession() {
+        const name = this.elements.sessionName.value.trim() || 'PhotoEE session';
+        const session = this.serializeSession(name);
+        this.downloadFile(JSON.stringify(session), `photoee_session_${Date.now()}.json`, 'application/json');
+        this.logMessage(`Saved session file "${name}" (${session.measurements.length} measurements)`);
+    }
+
+    async openSessionFile(file) {
+        let raw;
+        try {
+            raw = JSON.parse(await file.text());
+        } catch (error) {
+            this.logMessage(`Session not loaded - ${file.name} is not valid JSON`);
             return;
         }
 
-        // Create comprehensive CSV with all measurement details
-        const headers = [
-            'Timestamp',
-            'Material',
-            'Work_Function_eV',
-            'Wavelength_nm',
-            'Photon_Energy_eV',
-            'Intensity_W_per_m2',
-            'Area_cm2',
-            'Applied_Voltage_V',
-            'Mean_Current_uA',
-            'Standard_Deviation_uA',
-            'Standard_Error_uA',
-            'Measurements_Count',
-            'Individual_Readings'
-        ];
+        const { session, error } = this.validateSession(raw);
+        if (error) {
+            this.logMessage(`Session not loaded - ${file.name}: ${error}`);
+            return;
+        }
 
-        let csvContent = headers.join(',') + '\n';
+        this.applySession(session);
+        this.logMessage(`Opened session file ${file.name} (${this.experimentData.length} measurements)`);
+        this.scheduleAutosave();
+    }
 
-        this.experimentData.forEach(data => {
-            const photonEnergy = (this.constants.planckConstant * this.constants.speedOfLight / (data.wavelength * 1e-9));
-            const row = [
-                new Date(data.timestamp).toISOString(),
-                data.material,
-                this.state.currentMaterial.workFunction.toFixed(6),
-                data.wavelength,
-                photonEnergy.toFixed(6),
-                data.intensity,
-                data.area,
-                data.voltage.toFixed(6),
-                data.mean.toFixed(6),
-                data.standardDeviation.toFixed(6),
-                data.standardError.toFixed(6),
-                data.measurements,
-                '"' + data.individualReadings.map(r => r.toFixed(6)).join(';') + '"'
-            ];
-            csvContent += row.join(',') + '\n';
-        });
+    renderSessionList(selectedId = this.elements.sessionRecent.value) {
+        const select = this.elements.sessionRecent;
+        const index = this.getSessionIndex();
+        select.innerHTML = '';
 
-        // Create and download file
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', `photoelectric_data_${Date.now()}.csv`);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+        if (index.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No saved sessions';
+            select.appendChild(option);
+        }
 
-        this.logMessage(`Successfully exported ${this.experimentData.length} measurement sets to CSV file`);
+        // Autosave first, then named sessions newest first
+        const sorted = [...index].sort((a, b) => (a.id === 'autosave' ? -1 : b.id === 'autosave' ? 1 : 0));
+        sorted.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = `${entry.name} - ${new Date(entry.savedAt).toLocaleString()} (${entry.measurements} pts)`;
+            select.appendChild(option);
+        });
+
+        if (index.some(entry => entry.id === selectedId)) {
+            select.value = selectedId;
+        }
+        this.elements.sessionLoad.disabled = index.length === 0;
+        this.elements.sessionDelete.disabled = index.length === 0;
     }
 
     startAnimationLoop() {
@@ -911,15 +6633,26 @@ class PhotoelectricSimulator {
     }
 
     logMessage(message) {
+        const entry = { time: new Date().toLocaleTimeString(), message };
+        this.logEntries.push(entry);
+        this.logEntries = this.logEntries.slice(-20);
+        this.renderLogEntry(entry);
+        this.scheduleAutosave();
+    }
+
+    renderLogEntry({ time: timestamp, message }) {
         const logElement = this.elements.experimentLog;
-        const timestamp = new Date().toLocaleTimeString();
         
+        // Messages can carry names from imported files, so they are set as text, never as markup
         const logEntry = document.createElement('div');
         logEntry.className = 'log-entry';
-        logEntry.innerHTML = `
-            <span class="log-time">${timestamp}</span>
-            <span class="log-message">${message}</span>
-        `;
+        const time = document.createElement('span');
+        time.className = 'log-time';
+        time.textContent = timestamp;
+        const text = document.createElement('span');
+        text.className = 'log-message';
+        text.textContent = message;
+        logEntry.append(time, text);
         
         logElement.appendChild(logEntry);
         logElement.scrollTop = logElement.scrollHeight;
@@ -931,7 +6664,193 @@ class PhotoelectricSimulator {
     }
 }
 
+// Records Canvas 2D drawing calls as SVG, so figures drawn for the screen
+// can also be exported as vector graphics. Covers the subset of the API the
+// simulator's figure code uses.
+class SvgContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.shapes = [];
+        this.gradients = [];
+        this.path = '';
+        this.stack = [];
+        this.transform = '';
+        this.lineDash = [];
+        this.strokeStyle = '#000000';
+        this.fillStyle = '#000000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+    }
+
+    save() {
+        const { strokeStyle, fillStyle, lineWidth, font, textAlign, textBaseline, globalAlpha, transform, lineDash } = this;
+        this.stack.push({ strokeStyle, fillStyle, lineWidth, font, textAlign, textBaseline, globalAlpha, transform, lineDash });
+    }
+
+    restore() {
+        if (this.stack.length > 0) {
+            Object.assign(this, this.stack.pop());
+        }
+    }
+
+    translate(x, y) {
+        this.transform += ` translate(${this.number(x)} ${this.number(y)})`;
+    }
+
+    rotate(angle) {
+        this.transform += ` rotate(${this.number(angle * 180 / Math.PI)})`;
+    }
+
+    scale(x, y) {
+        this.transform += ` scale(${x} ${y})`;
+    }
+
+    setLineDash(segments) {
+        this.lineDash = segments;
+    }
+
+    clearRect() {
+        // Figures only ever clear the whole drawing area
+        this.shapes = [];
+    }
+
+    beginPath() {
+        this.path = '';
+    }
+
+    moveTo(x, y) {
+        this.path += `M${this.number(x)} ${this.number(y)}`;
+    }
+
+    lineTo(x, y) {
+        this.path += `${this.path ? 'L' : 'M'}${this.number(x)} ${this.number(y)}`;
+    }
+
+    closePath() {
+        this.path += 'Z';
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.path += `h${this.number(width)}v${this.number(height)}h${this.number(-width)}Z`;
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        const point = angle => `${this.number(x + radius * Math.cos(angle))} ${this.number(y + radius * Math.sin(angle))}`;
+        const sweep = counterclockwise ? 0 : 1;
+        const span = Math.abs(endAngle - startAngle);
+
+        this.lineTo(x + radius * Math.cos(startAngle), y + radius * Math.sin(startAngle));
+        if (span >= 2 * Math.PI - 1e-9) {
+            // A full circle needs two half arcs
+            const middle = startAngle + (counterclockwise ? -Math.PI : Math.PI);
+            this.path += `A${this.number(radius)} ${this.number(radius)} 0 0 ${sweep} ${point(middle)}`;
+            this.path += `A${this.number(radius)} ${this.number(radius)} 0 0 ${sweep} ${point(startAngle)}`;
+        } else {
+            this.path += `A${this.number(radius)} ${this.number(radius)} 0 ${span > Math.PI ? 1 : 0} ${sweep} ${point(endAngle)}`;
+        }
+    }
+
+    stroke() {
+        this.addShape(`<path d="${this.path}" fill="none" ${this.strokeAttributes()}`);
+    }
+
+    fill() {
+        this.addShape(`<path d="${this.path}" fill="${this.paint(this.fillStyle)}"`);
+    }
+
+    fillRect(x, y, width, height) {
+        this.addShape(`<rect x="${this.number(x)}" y="${this.number(y)}" width="${this.number(width)}" height="${this.number(height)}" fill="${this.paint(this.fillStyle)}"`);
+    }
+
+    strokeRect(x, y, width, height) {
+        this.addShape(`<rect x="${this.number(x)}" y="${this.number(y)}" width="${this.number(width)}" height="${this.number(height)}" fill="none" ${this.strokeAttributes()}`);
+    }
+
+    fillText(text, x, y) {
+        const { size, weight, family } = this.parseFont();
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        const baseline = { middle: 'middle', top: 'hanging', hanging: 'hanging', bottom: 'text-after-edge' }[this.textBaseline];
+
+        this.addShape(`<text x="${this.number(x)}" y="${this.number(y)}" font-family="${this.escape(family)}" font-size="${size}"` +
+            (weight ? ` font-weight="${weight}"` : '') +
+            ` text-anchor="${anchor}"` + (baseline ? ` dominant-baseline="${baseline}"` : '') +
+            ` fill="${this.paint(this.fillStyle)}"`, this.escape(String(text)));
+    }
+
+    measureText(text) {
+        // No layout engine here, so approximate an average glyph width
+        return { width: String(text).length * this.parseFont().size * 0.55 };
+    }
+
+    createLinearGradient(x0, y0, x1, y1) {
+        const gradient = {
+            id: `gradient${this.gradients.length + 1}`,
+            x0, y0, x1, y1,
+            stops: [],
+            addColorStop(offset, color) {
+                this.stops.push({ offset, color });
+            }
+        };
+        this.gradients.push(gradient);
+        return gradient;
+    }
+
+    parseFont() {
+        const match = /^(?:(bold|normal|\d{3})\s+)?([\d.]+)px\s+(.+)$/.exec(this.font.trim());
+        return match
+            ? { weight: match[1] || '', size: parseFloat(match[2]), family: match[3] }
+            : { weight: '', size: 10, family: 'sans-serif' };
+    }
+
+    paint(style) {
+        return typeof style === 'string' ? style : `url(#${style.id})`;
+    }
+
+    strokeAttributes() {
+        return `stroke="${this.paint(this.strokeStyle)}" stroke-width="${this.lineWidth}"` +
+            (this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : '');
+    }
+
+    addShape(openTag, content = null) {
+        const transform = this.transform ? ` transform="${this.transform.trim()}"` : '';
+        const opacity = this.globalAlpha < 1 ? ` opacity="${this.globalAlpha}"` : '';
+        this.shapes.push(content === null
+            ? `${openTag}${transform}${opacity}/>`
+            : `${openTag}${transform}${opacity}>${content}</text>`);
+    }
+
+    number(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    toSvg(background = '#ffffff') {
+        const gradients = this.gradients.map(g =>
+            `<linearGradient id="${g.id}" gradientUnits="userSpaceOnUse" x1="${this.number(g.x0)}" y1="${this.number(g.y0)}" x2="${this.number(g.x1)}" y2="${this.number(g.y1)}">` +
+            g.stops.map(s => `<stop offset="${s.offset}" stop-color="${s.color}"/>`).join('') +
+            '</linearGradient>');
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            gradients.length > 0 ? `<defs>${gradients.join('')}</defs>` : '',
+            `<rect width="100%" height="100%" fill="${background}"/>`,
+            ...this.shapes,
+            '</svg>'
+        ].filter(Boolean).join('\n');
+    }
+}
+
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    new PhotoelectricSimulator();
+    // Exposed for lab procedures run from the browser console
+    window.sim = new PhotoelectricSimulator();
 });
\ No newline at end of file
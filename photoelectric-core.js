@@ -0,0 +1,1341 @@
+// Photoelectric effect physics core
+// DOM-free physics, instrument model, measurement statistics and data files. The browser UI
+// (app.js) extends this class; in Node it is loaded with require() for the test suite.
+
+class PhotoelectricCore {
+    constructor() {
+        // Physical constants
+        this.constants = {
+            planckConstant: 4.136e-15, // eV·s
+            speedOfLight: 2.998e8,     // m/s
+            elementaryCharge: 1.602e-19, // C
+            boltzmannConstant: 1.381e-23 // J/K
+        };
+
+        // Materials database with enhanced properties
+        // qe: peak quantum efficiency and the excess energy (eV) over which it is reached
+        this.materials = [
+            { name: "Cesium", symbol: "Cs", workFunction: 2.10, color: "#FF6B6B", qe: { max: 0.20, scale: 1.0 } },
+            { name: "Sodium", symbol: "Na", workFunction: 2.28, color: "#4ECDC4", qe: { max: 0.05, scale: 1.5 } },
+            { name: "Potassium", symbol: "K", workFunction: 2.30, color: "#45B7D1", qe: { max: 0.08, scale: 1.2 } },
+            { name: "Aluminum", symbol: "Al", workFunction: 4.08, color: "#96CEB4", qe: { max: 0.010, scale: 2.0 } },
+            { name: "Copper", symbol: "Cu", workFunction: 4.70, color: "#FFEAA7", qe: { max: 0.005, scale: 2.0 } },
+            { name: "Silver", symbol: "Ag", workFunction: 4.73, color: "#DDA0DD", qe: { max: 0.003, scale: 2.5 } },
+            { name: "Gold", symbol: "Au", workFunction: 5.10, color: "#FFD700", qe: { max: 0.002, scale: 2.5 } }
+        ];
+        this.materials.forEach(material => {
+            material.builtIn = true;
+        });
+
+        // Mercury lamp emission lines (nm) with their share of the lamp power
+        this.mercuryLines = [
+            { wavelength: 253.7, power: 0.30 },
+            { wavelength: 296.7, power: 0.05 },
+            { wavelength: 302.2, power: 0.04 },
+            { wavelength: 313.2, power: 0.10 },
+            { wavelength: 334.1, power: 0.02 },
+            { wavelength: 365.0, power: 0.20 },
+            { wavelength: 404.7, power: 0.12 },
+            { wavelength: 435.8, power: 0.22 },
+            { wavelength: 546.1, power: 0.25 },
+            { wavelength: 577.0, power: 0.08 },
+            { wavelength: 579.1, power: 0.08 }
+        ];
+
+        // Interference filters for the h/e experiment (center and FWHM in nm)
+        this.mercuryFilters = {
+            '365': { center: 365.0, fwhm: 10, peakTransmission: 0.5 },
+            '405': { center: 404.7, fwhm: 10, peakTransmission: 0.5 },
+            '436': { center: 435.8, fwhm: 10, peakTransmission: 0.5 },
+            '546': { center: 546.1, fwhm: 10, peakTransmission: 0.5 },
+            '577': { center: 578.0, fwhm: 10, peakTransmission: 0.5 }
+        };
+
+        // Instrument presets (currents in pA, voltages in mV, resistance in MΩ)
+        this.instrumentPresets = {
+            ideal: {
+                label: 'Ideal (noise-free)',
+                shotNoise: false,
+                johnsonNoise: false,
+                integrationTime: 1,         // ms per reading
+                feedbackResistance: 100,    // MΩ
+                temperature: 300,           // K
+                darkCurrent: 0,             // pA
+                ammeterCounts: 0,           // display counts, 0 = unlimited resolution
+                ammeterRange: 'auto',       // 'auto' or full scale in μA
+                voltmeterOffset: 0,         // mV
+                voltmeterDrift: 0           // mV/min
+            },
+            teaching: {
+                label: 'Teaching lab',
+                shotNoise: true,
+                johnsonNoise: true,
+                integrationTime: 1,
+                feedbackResistance: 100,
+                temperature: 300,
+                darkCurrent: 20,
+                ammeterCounts: 2000,
+                ammeterRange: 'auto',
+                voltmeterOffset: 20,
+                voltmeterDrift: 5
+            },
+            research: {
+                label: 'Research grade',
+                shotNoise: true,
+                johnsonNoise: true,
+                integrationTime: 10,
+                feedbackResistance: 10000,
+                temperature: 300,
+                darkCurrent: 0.1,
+                ammeterCounts: 2000000,
+                ammeterRange: 'auto',
+                voltmeterOffset: 0.5,
+                voltmeterDrift: 0.1
+            }
+        };
+
+        // Active instrument model
+        this.instrument = { preset: 'teaching', ...this.instrumentPresets.teaching };
+        this.instrumentEpoch = Date.now();
+
+        // Readings averaged into one measurement set
+        this.readingsPerMeasurement = 1000;
+
+        // Experiment parameters
+        this.state = {
+            currentMaterial: this.materials[0],
+            wavelength: 400,        // nm
+            intensity: 5,           // W/m²
+            area: 0.10,            // cm²
+            voltage: 0,            // V
+            currentModel: 'physical', // physical | textbook
+            temperature: 300,      // K, cathode temperature
+            collectorMaterial: this.materials[4],
+            contactPotential: false,
+            reverseCurrent: false,
+            strayLightFraction: 0.02, // share of the beam reaching the collector
+            leakageCurrent: false,
+            leakageResistance: 100, // GΩ
+            lampWarmup: false,     // lamp output rises from 60% after switch-on
+            lampWarmupTime: 20,    // s, warm-up time constant
+            lampDrift: false,      // slow wander of the lamp output
+            lampDriftAmplitude: 2, // %
+            sourceType: 'monochromatic', // monochromatic | mercury | blackbody | led | custom
+            mercuryFilter: '365',
+            filterLeakage: 0.00001, // out-of-band filter transmission (OD 5 blocking)
+            blackbodyTemperature: 3000, // K
+            ledFwhm: 20,           // nm
+            customSpectrum: null,  // { name, points: [{ wavelength, power }] }
+            analysisMethod: 'zero-crossing',
+            binning: false,        // merge repeated voltages into bins
+            binWidth: 0.01         // V
+        };
+
+        // Lamp output history: switch-on time and the phases of its drift
+        this.lamp = {
+            onSince: null,
+            driftPhases: [0, 0]
+        };
+
+        // Column layout of the measurement CSV, shared by export and import
+        this.csvColumns = [
+            'Timestamp',
+            'Material',
+            'Work_Function_eV',
+            'Wavelength_nm',
+            'Photon_Energy_eV',
+            'Intensity_W_per_m2',
+            'Area_cm2',
+            'Applied_Voltage_V',
+            'Mean_Current_uA',
+            'Standard_Deviation_uA',
+            'Standard_Error_uA',
+            'Measurements_Count',
+            'Individual_Readings'
+        ];
+    }
+
+    // Physics
+
+    calculatePhysics(voltage = this.state.voltage) {
+        // Calculate frequency from wavelength: f = c/λ
+        const frequency = this.constants.speedOfLight / (this.state.wavelength * 1e-9); // Hz
+        
+        // Calculate photon energy: E = hf
+        const photonEnergy = this.constants.planckConstant * frequency; // eV
+        
+        // Work function
+        const workFunction = this.state.currentMaterial.workFunction;
+        
+        // Maximum kinetic energy: KE_max = hf - φ
+        const maxKineticEnergy = Math.max(0, photonEnergy - workFunction);
+        
+        // Threshold wavelength: λ₀ = hc/φ
+        const thresholdWavelength = (this.constants.planckConstant * this.constants.speedOfLight) / workFunction * 1e9; // nm
+        
+        // Stopping potential: V_s = (hf - φ)/e = KE_max (in eV), at the source's nominal wavelength
+        const stoppingPotential = maxKineticEnergy;
+        
+        // Contact potential: electrons must also climb from the cathode's to the collector's work function
+        const contactPotential = this.state.contactPotential
+            ? this.state.collectorMaterial.workFunction - workFunction
+            : 0; // V
+        
+        // Integrate the photocurrent over every spectral component of the source
+        const spectrum = this.getSourceSpectrum();
+        const peakWeight = Math.max(...spectrum.map(c => c.weight));
+        let photonFlux = 0;
+        let saturationCurrent = 0;
+        let emissionCurrent = 0;
+        let reverseCurrent = 0;
+        let spectralMaxKineticEnergy = 0;
+        let isEmission = false;
+        
+        spectrum.forEach(({ wavelength, weight }) => {
+            const componentEnergy = this.getPhotonEnergy(wavelength);
+            photonFlux += this.getPhotonFlux(componentEnergy, weight);
+            
+            // Components too weak to matter do not count towards "emission possible"
+            if (componentEnergy > workFunction && weight >= 1e-6 * peakWeight) {
+                isEmission = true;
+                spectralMaxKineticEnergy = Math.max(spectralMaxKineticEnergy, componentEnergy - workFunction);
+            }
+            
+            const emission = this.calculateEmissionCurrent(this.state.currentMaterial, componentEnergy,
+                voltage - contactPotential, weight);
+            saturationCurrent += emission.saturationCurrent;
+            emissionCurrent += emission.current;
+            
+            // Stray light on the collector sends electrons back to the cathode, against the applied field
+            if (this.state.reverseCurrent) {
+                const anodeEmission = this.calculateEmissionCurrent(this.state.collectorMaterial, componentEnergy,
+                    contactPotential - voltage, weight * this.state.strayLightFraction);
+                reverseCurrent -= anodeEmission.current;
+            }
+        });
+        
+        // Ohmic leakage across the tube insulation
+        const leakageCurrent = this.state.leakageCurrent
+            ? voltage / (this.state.leakageResistance * 1e9) * 1e6 // μA
+            : 0;
+        
+        // Effective QE: electrons emitted per incident photon across the whole spectrum
+        const quantumEfficiency = photonFlux > 0
+            ? saturationCurrent * 1e-6 / (this.constants.elementaryCharge * photonFlux)
+            : 0;
+        const current = emissionCurrent + reverseCurrent + leakageCurrent;
+
+        return {
+            frequency,
+            photonEnergy,
+            workFunction,
+            maxKineticEnergy,
+            thresholdWavelength,
+            stoppingPotential,
+            spectralMaxKineticEnergy,
+            spectrum,
+            photonFlux,
+            quantumEfficiency,
+            saturationCurrent,
+            contactPotential,
+            reverseCurrent,
+            leakageCurrent,
+            current,
+            isEmission
+        };
+    }
+
+    getSourceSpectrum() {
+        // Spectral components as { wavelength (nm), weight }, where weight is the
+        // share of the source power (intensity × area) reaching the cathode
+        switch (this.state.sourceType) {
+            case 'mercury':
+                return this.getMercurySpectrum();
+            case 'blackbody':
+                return this.getBlackbodySpectrum();
+            case 'led':
+                return this.getLedSpectrum();
+            case 'custom':
+                if (this.state.customSpectrum) {
+                    return this.getCustomSpectrum();
+                }
+                break;
+        }
+        return [{ wavelength: this.state.wavelength, weight: 1 }];
+    }
+
+    getMercurySpectrum() {
+        const filter = this.mercuryFilters[this.state.mercuryFilter];
+        const total = this.mercuryLines.reduce((sum, line) => sum + line.power, 0);
+
+        return this.mercuryLines.map(line => {
+            let transmission = 1;
+            if (filter) {
+                // Gaussian passband plus a flat out-of-band leakage
+                const offset = line.wavelength - filter.center;
+                transmission = this.state.filterLeakage +
+                    filter.peakTransmission * Math.exp(-4 * Math.LN2 * offset * offset / (filter.fwhm * filter.fwhm));
+            }
+            return { wavelength: line.wavelength, weight: line.power / total * Math.min(1, transmission) };
+        });
+    }
+
+    getBlackbodySpectrum() {
+        // Planck's law in 10 nm bins, as a fraction of the total radiated power σT⁴/π
+        const T = this.state.blackbodyTemperature;
+        const h = this.constants.planckConstant * this.constants.elementaryCharge; // J·s
+        const c = this.constants.speedOfLight;
+        const k = this.constants.boltzmannConstant;
+        const stefanBoltzmann = 5.670e-8; // W/m²K⁴
+        const binWidth = 10; // nm
+
+        const spectrum = [];
+        for (let wavelength = 100; wavelength <= 3000; wavelength += binWidth) {
+            const lambda = wavelength * 1e-9;
+            const radiance = 2 * h * c * c / Math.pow(lambda, 5) / Math.expm1(h * c / (lambda * k * T));
+            spectrum.push({
+                wavelength,
+                weight: radiance * binWidth * 1e-9 * Math.PI / (stefanBoltzmann * Math.pow(T, 4))
+            });
+        }
+        return spectrum;
+    }
+
+    getLedSpectrum() {
+        // Gaussian line centred on the wavelength slider, sampled over ±3σ
+        const sigma = this.state.ledFwhm / (2 * Math.sqrt(2 * Math.LN2));
+        const samples = 25;
+        const spectrum = [];
+        for (let i = 0; i < samples; i++) {
+            const offset = (i / (samples - 1) * 2 - 1) * 3 * sigma;
+            spectrum.push({ wavelength: this.state.wavelength + offset, weight: Math.exp(-offset * offset / (2 * sigma * sigma)) });
+        }
+        // A broad line in the deep UV would otherwise reach zero wavelength
+        return this.normalizeSpectrum(spectrum.filter(p => p.wavelength > 0));
+    }
+
+    getCustomSpectrum() {
+        // Each sample stands for the band halfway to its neighbours
+        const points = this.state.customSpectrum.points;
+        const spectrum = points.map((point, i) => {
+            const lower = i > 0 ? (point.wavelength - points[i - 1].wavelength) / 2 : 0;
+            const upper = i < points.length - 1 ? (points[i + 1].wavelength - point.wavelength) / 2 : 0;
+            return { wavelength: point.wavelength, weight: point.power * (lower + upper) };
+        });
+        return this.normalizeSpectrum(spectrum);
+    }
+
+    normalizeSpectrum(spectrum) {
+        const total = spectrum.reduce((sum, c) => sum + c.weight, 0);
+        return spectrum.map(c => ({ wavelength: c.wavelength, weight: total > 0 ? c.weight / total : 0 }));
+    }
+
+    getNominalWavelength(spectrum) {
+        // The component carrying the most power
+        return spectrum.reduce((best, c) => (c.weight > best.weight ? c : best)).wavelength;
+    }
+
+    getSourceDescription() {
+        const state = this.state;
+        switch (state.sourceType) {
+            case 'mercury': {
+                const leakage = `${parseFloat((state.filterLeakage * 100).toPrecision(2))}% leakage`;
+                return `Hg lamp, ${state.mercuryFilter === 'none' ? 'no filter' : `${state.mercuryFilter} nm filter (${leakage})`}`;
+            }
+            case 'blackbody':
+                return `Blackbody ${state.blackbodyTemperature} K`;
+            case 'led':
+                return `LED ${state.wavelength} nm, ${state.ledFwhm} nm FWHM`;
+            case 'custom':
+                return state.customSpectrum ? `Custom spectrum (${state.customSpectrum.name})` : 'Custom spectrum (none loaded)';
+            default:
+                return 'Monochromatic';
+        }
+    }
+
+    sampleSpectrumWavelength(spectrum, quantile = Math.random()) {
+        // Photon numbers scale with power × λ, so weight the draw accordingly
+        const counts = spectrum.map(c => c.weight * c.wavelength);
+        const total = counts.reduce((sum, n) => sum + n, 0);
+        let target = quantile * total;
+        for (let i = 0; i < spectrum.length; i++) {
+            target -= counts[i];
+            if (target <= 0) return spectrum[i].wavelength;
+        }
+        return spectrum[spectrum.length - 1].wavelength;
+    }
+
+    getSpectrumSampler(spectrum) {
+        // sampleSpectrumWavelength() for many photons, with the cumulative photon numbers summed once
+        const cumulative = [];
+        let total = 0;
+        spectrum.forEach(c => {
+            total += c.weight * c.wavelength;
+            cumulative.push(total);
+        });
+
+        return (quantile = Math.random()) => {
+            const target = quantile * total;
+            let low = 0;
+            let high = spectrum.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (cumulative[mid] >= target) {
+                    high = mid;
+                } else {
+                    low = mid + 1;
+                }
+            }
+            return spectrum[low].wavelength;
+        };
+    }
+
+    getPhotonEnergy(wavelength) {
+        // E = hc/λ in eV
+        return this.constants.planckConstant * this.constants.speedOfLight / (wavelength * 1e-9);
+    }
+
+    getPhotonFlux(photonEnergy, illumination = 1) {
+        // Photon flux: Φ = P / E_photon, with the area converted from cm² to m²
+        return (this.state.intensity * this.state.area * 1e-4 * illumination) /
+            (photonEnergy * this.constants.elementaryCharge); // photons/s
+    }
+
+    calculateEmissionCurrent(material, photonEnergy, voltage, illumination = 1) {
+        // Photocurrent from an electrode made of `material` receiving a fraction `illumination`
+        // of the source power; positive voltage accelerates its electrons
+        const excessEnergy = photonEnergy - material.workFunction;
+        
+        if (this.state.currentModel === 'textbook') {
+            // Textbook model: saturation current proportional to intensity and area
+            if (excessEnergy <= 0) {
+                return { current: 0, saturationCurrent: 0, quantumEfficiency: 0 };
+            }
+            
+            const saturationCurrent = this.state.intensity * this.state.area * 0.001 * illumination; // μA
+            let current = 0;
+            if (voltage >= 0) {
+                // Saturation region
+                current = saturationCurrent;
+            } else if (voltage >= -excessEnergy) {
+                // Retarding region - exponential relationship
+                const factor = voltage / excessEnergy;
+                current = saturationCurrent * Math.exp(factor);
+            }
+            return { current, saturationCurrent, quantumEfficiency: 0 };
+        }
+        
+        // Physical model: I_sat = e·Φ·QE(λ), shaped by the thermally smeared energy distribution
+        const kT = this.getThermalEnergy();
+        if (excessEnergy < -30 * kT) {
+            // Far below threshold even the thermal tail is negligible
+            return { current: 0, saturationCurrent: 0, quantumEfficiency: 0 };
+        }
+        const totalYield = this.integrateEnergyDistribution(0, excessEnergy, kT);
+        
+        const quantumEfficiency = this.calculateQuantumEfficiency(material, totalYield, photonEnergy);
+        const photonFlux = this.getPhotonFlux(photonEnergy, illumination);
+        const saturationCurrent = this.constants.elementaryCharge * photonFlux * quantumEfficiency * 1e6; // μA
+        
+        let current = saturationCurrent;
+        if (voltage < 0) {
+            // Only electrons with normal energy above e|V| reach the other electrode
+            current = totalYield > 0
+                ? saturationCurrent * this.integrateEnergyDistribution(-voltage, excessEnergy, kT) / totalYield
+                : 0;
+        }
+        return { current, saturationCurrent, quantumEfficiency };
+    }
+
+    getThermalEnergy() {
+        // kT in eV
+        return this.constants.boltzmannConstant * this.state.temperature / this.constants.elementaryCharge;
+    }
+
+    electronEnergyDistribution(energy, excessEnergy, kT) {
+        // Normal-energy distribution of photoelectrons from a Fermi-Dirac smeared
+        // cathode (DuBridge): n(E) ∝ kT·ln(1 + exp((hf - φ - E)/kT))
+        if (energy < 0) return 0;
+        if (kT <= 0) return Math.max(excessEnergy - energy, 0);
+
+        const x = (excessEnergy - energy) / kT;
+        // Numerically stable softplus
+        return kT * (x > 0 ? x + Math.log1p(Math.exp(-x)) : Math.log1p(Math.exp(x)));
+    }
+
+    integrateEnergyDistribution(lower, excessEnergy, kT) {
+        // ∫ n(E) dE from lower to ∞ (the Fowler yield function when lower = 0)
+        if (kT <= 0) {
+            const width = Math.max(excessEnergy - lower, 0);
+            return width * width / 2;
+        }
+
+        // The distribution falls off as exp(-E/kT) beyond the cut-off
+        const upper = Math.max(excessEnergy, 0) + 30 * kT;
+        if (lower >= upper) return 0;
+
+        // Simpson's rule
+        const intervals = 200;
+        const h = (upper - lower) / intervals;
+        let sum = this.electronEnergyDistribution(lower, excessEnergy, kT) +
+            this.electronEnergyDistribution(upper, excessEnergy, kT);
+        for (let i = 1; i < intervals; i++) {
+            sum += (i % 2 === 0 ? 2 : 4) * this.electronEnergyDistribution(lower + i * h, excessEnergy, kT);
+        }
+        return sum * h / 3;
+    }
+
+    sampleElectronEnergy(material, photonEnergy, quantile = Math.random()) {
+        // Normal kinetic energy (eV) of one photoelectron, drawn from the current model itself:
+        // the fraction with energy above E is I(-E)/I_sat, so invert that by bisection
+        const saturation = this.calculateEmissionCurrent(material, photonEnergy, 0).current;
+        if (!(saturation > 0)) return 0;
+
+        let low = 0;
+        let high = Math.max(photonEnergy - material.workFunction, 0) + 30 * this.getThermalEnergy();
+        for (let i = 0; i < 20; i++) {
+            const mid = (low + high) / 2;
+            if (this.calculateEmissionCurrent(material, photonEnergy, -mid).current / saturation > quantile) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    getElectronEnergySampler(material, photonEnergy, points = 128) {
+        // The same draw as sampleElectronEnergy() for many electrons at one photon energy: I(-E)/I_sat
+        // is tabulated once and inverted by interpolation. A node just past the cut-off keeps the
+        // textbook model's step there from being smeared into energies above KE_max
+        const saturation = this.calculateEmissionCurrent(material, photonEnergy, 0).current;
+        if (!(saturation > 0)) return () => 0;
+
+        const cutoff = Math.max(photonEnergy - material.workFunction, 0);
+        const tail = 30 * this.getThermalEnergy();
+        const belowCutoff = Math.round(points * 0.75);
+        const energies = [];
+        for (let i = 0; i <= belowCutoff; i++) {
+            energies.push(cutoff * i / belowCutoff);
+        }
+        energies.push(cutoff * (1 + 1e-9));
+        for (let i = 1; i <= points - belowCutoff; i++) {
+            energies.push(cutoff + tail * i / (points - belowCutoff));
+        }
+        const fractions = energies.map(energy =>
+            this.calculateEmissionCurrent(material, photonEnergy, -energy).current / saturation);
+        const last = fractions.length - 1;
+
+        return (quantile = Math.random()) => {
+            if (quantile >= fractions[0]) return energies[0];
+            if (quantile <= fractions[last]) return energies[last];
+
+            // Fractions fall from 1 at E = 0: find the pair of nodes that brackets the quantile
+            let low = 0;
+            let high = last;
+            while (high - low > 1) {
+                const mid = (low + high) >> 1;
+                if (fractions[mid] > quantile) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            const t = (fractions[low] - quantile) / (fractions[low] - fractions[high]);
+            return energies[low] + t * (energies[high] - energies[low]);
+        };
+    }
+
+    getQuantumYield(material, photonEnergy) {
+        // Electrons freed per photon under whichever current model is in use: I_sat / (e·Φ)
+        const photonFlux = this.getPhotonFlux(photonEnergy);
+        if (!(photonFlux > 0)) return 0;
+        const { saturationCurrent } = this.calculateEmissionCurrent(material, photonEnergy, 0);
+        return saturationCurrent * 1e-6 / (this.constants.elementaryCharge * photonFlux);
+    }
+
+    simulatePhotonEvents(duration, voltage = this.state.voltage, attenuation = 1, time = Date.now()) {
+        // Event-by-event photocurrent over `duration` seconds of a beam attenuated by `attenuation`:
+        // photons arrive as a Poisson process, each frees an electron with the model's quantum yield,
+        // and an electron is collected if its normal kinetic energy beats the retarding potential
+        const physics = this.calculatePhysics(voltage);
+        const material = this.state.currentMaterial;
+        const sampleWavelength = this.getSpectrumSampler(this.getSourceSpectrum());
+        const rate = physics.photonFlux * attenuation * this.getLampOutput(time); // photons/s
+        const barrier = physics.contactPotential - voltage; // eV needed to reach the collector
+        const yields = new Map();
+        const samplers = new Map();
+        const draws = new Map();
+        const events = [];
+        let photons = 0;
+        if (!(rate > 0)) return { rate: 0, photons, events };
+
+        // Exponential waiting times between arrivals
+        const nextArrival = () => -Math.log(1 - Math.random()) / rate;
+        for (let t = nextArrival(); t < duration; t += nextArrival()) {
+            photons++;
+            const wavelength = sampleWavelength();
+            const photonEnergy = this.getPhotonEnergy(wavelength);
+            if (!yields.has(wavelength)) {
+                yields.set(wavelength, this.getQuantumYield(material, photonEnergy));
+            }
+            if (Math.random() >= yields.get(wavelength)) continue;
+
+            // A table costs about six bisection draws, so spectral lines that free only a few
+            // electrons in this batch are drawn directly
+            const drawn = (draws.get(wavelength) || 0) + 1;
+            draws.set(wavelength, drawn);
+            if (drawn === 6) {
+                samplers.set(wavelength, this.getElectronEnergySampler(material, photonEnergy));
+            }
+            const kineticEnergy = samplers.has(wavelength)
+                ? samplers.get(wavelength)()
+                : this.sampleElectronEnergy(material, photonEnergy);
+            events.push({ time: t, wavelength, kineticEnergy, collected: kineticEnergy > barrier });
+        }
+        return { rate, photons, events };
+    }
+
+    calculateQuantumEfficiency(material, totalYield, photonEnergy) {
+        // A tabulated QE curve is used as measured, interpolated linearly in wavelength
+        if (material.qeCurve) {
+            const wavelength = this.constants.planckConstant * this.constants.speedOfLight / photonEnergy * 1e9; // nm
+            const curve = material.qeCurve;
+            if (wavelength < curve[0].wavelength || wavelength > curve[curve.length - 1].wavelength) return 0;
+
+            const upper = curve.findIndex(p => p.wavelength >= wavelength);
+            const a = curve[Math.max(upper - 1, 0)];
+            const b = curve[upper];
+            const tabulated = upper === 0
+                ? curve[0].qe
+                : a.qe + (b.qe - a.qe) * (wavelength - a.wavelength) / (b.wavelength - a.wavelength);
+
+            // The curve still needs the threshold: near φ it is scaled by the Fowler yield (thermal tail
+            // included) and only applies in full from 0.1 eV above threshold
+            const onset = 0.1; // eV
+            return tabulated * Math.min(1, totalYield / (onset * onset / 2));
+        }
+
+        // Otherwise QE rises as (hf - φ)² near threshold (Fowler's law) and levels off at the material's peak QE
+        const qe = material.qe || { max: 0.01, scale: 1.5 };
+        const knee = qe.scale * qe.scale / 2;
+        return qe.max * totalYield / (totalYield + knee);
+    }
+
+    // Instrument model
+
+    getTrueVoltage(reading) {
+        // The voltmeter reads high by its offset plus a drift that grows since the preset was applied
+        const minutes = (Date.now() - this.instrumentEpoch) / 60000;
+        const error = (this.instrument.voltmeterOffset + this.instrument.voltmeterDrift * minutes) / 1000; // V
+        return reading - error;
+    }
+
+    getLampOutput(time = Date.now()) {
+        // Relative lamp output: a warm-up from 60% and a slow, bounded wander around full output
+        const seconds = this.lamp.onSince === null ? 0 : Math.max(0, time - this.lamp.onSince) / 1000;
+        let output = 1;
+        if (this.state.lampWarmup) {
+            output *= 1 - 0.4 * Math.exp(-seconds / this.state.lampWarmupTime);
+        }
+        if (this.state.lampDrift) {
+            const [slow, fast] = this.lamp.driftPhases;
+            output *= 1 + this.state.lampDriftAmplitude / 100 *
+                (0.7 * Math.sin(2 * Math.PI * seconds / 300 + slow) + 0.3 * Math.sin(2 * Math.PI * seconds / 70 + fast));
+        }
+        return output;
+    }
+
+    getObservedCurrent(physics, time = Date.now()) {
+        // The photocurrent follows the lamp output; leakage through the insulation does not
+        const photocurrent = physics.current - physics.leakageCurrent;
+        return photocurrent * this.getLampOutput(time) + physics.leakageCurrent;
+    }
+
+    getAmmeterRange(current) {
+        if (this.instrument.ammeterRange !== 'auto') {
+            return this.instrument.ammeterRange;
+        }
+
+        // Autorange picks the most sensitive decade that fits the expected current
+        const ranges = [0.002, 0.02, 0.2, 2, 20, 200, 2000]; // μA full scale
+        const expected = Math.abs(current) + this.instrument.darkCurrent * 1e-6;
+        return ranges.find(r => r >= expected * 1.05) || ranges[ranges.length - 1];
+    }
+
+    isAmmeterOverloaded(current) {
+        return this.instrument.ammeterRange !== 'auto' &&
+            Math.abs(current) + this.instrument.darkCurrent * 1e-6 > this.instrument.ammeterRange;
+    }
+
+    simulateCurrentReading(current) {
+        const inst = this.instrument;
+        const e = this.constants.elementaryCharge;
+        const integrationTime = inst.integrationTime * 1e-3; // s
+
+        // Photocurrent plus dark current, in amperes
+        let amps = (current + inst.darkCurrent * 1e-6) * 1e-6;
+
+        // Shot noise: the number of electrons collected per reading is Poisson distributed
+        if (inst.shotNoise && amps !== 0) {
+            const meanElectrons = Math.abs(amps) * integrationTime / e;
+            amps = Math.sign(amps) * this.samplePoisson(meanElectrons) * e / integrationTime;
+        }
+
+        // Johnson noise of the feedback resistor over the reading bandwidth
+        if (inst.johnsonNoise) {
+            const bandwidth = 1 / (2 * integrationTime);
+            const sigma = Math.sqrt(4 * this.constants.boltzmannConstant * inst.temperature * bandwidth /
+                (inst.feedbackResistance * 1e6));
+            amps += sigma * this.sampleGaussian();
+        }
+
+        let reading = amps * 1e6; // μA
+
+        // Ammeter resolution and full-scale clipping
+        const range = this.getAmmeterRange(current);
+        if (inst.ammeterCounts > 0) {
+            const resolution = range / inst.ammeterCounts;
+            reading = Math.round(reading / resolution) * resolution;
+        }
+        return Math.max(-range, Math.min(range, reading));
+    }
+
+    sampleGaussian() {
+        // Box-Muller transform
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    samplePoisson(mean) {
+        if (mean <= 0) return 0;
+
+        // Knuth's method for small means, normal approximation otherwise
+        if (mean < 30) {
+            const limit = Math.exp(-mean);
+            let count = 0;
+            let product = Math.random();
+            while (product > limit) {
+                count++;
+                product *= Math.random();
+            }
+            return count;
+        }
+        return Math.max(0, Math.round(mean + Math.sqrt(mean) * this.sampleGaussian()));
+    }
+
+    // Measurements
+
+    getMeasurementParameters() {
+        // Everything apart from the applied voltage that feeds calculatePhysics()
+        const state = this.state;
+        return {
+            material: state.currentMaterial.name,
+            workFunction: state.currentMaterial.workFunction,
+            wavelength: state.wavelength,
+            intensity: state.intensity,
+            area: state.area,
+            currentModel: state.currentModel,
+            temperature: state.temperature,
+            collectorMaterial: state.collectorMaterial.name,
+            contactPotential: state.contactPotential,
+            strayLightFraction: state.reverseCurrent ? state.strayLightFraction : 0,
+            leakageResistance: state.leakageCurrent ? state.leakageResistance : 0,
+            source: this.getSourceDescription()
+        };
+    }
+
+    getMeasurementSignature(data) {
+        return [data.material, data.wavelength, data.intensity, data.area, data.currentModel, data.temperature,
+            data.collectorMaterial, data.contactPotential, data.strayLightFraction, data.leakageResistance,
+            data.source].join('|');
+    }
+
+    summarizeReadings(readings) {
+        const mean = readings.reduce((a, b) => a + b, 0) / readings.length;
+        const variance = readings.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / readings.length;
+        const standardDeviation = Math.sqrt(variance);
+        return {
+            mean,
+            standardDeviation,
+            standardError: standardDeviation / Math.sqrt(readings.length)
+        };
+    }
+
+    measureCurrent(voltage = this.state.voltage, count = this.readingsPerMeasurement) {
+        // One measurement set of `count` readings; `current` is the expected reading, for overload checks
+        const trueVoltage = this.getTrueVoltage(voltage);
+        const current = this.getObservedCurrent(this.calculatePhysics(trueVoltage));
+        const readings = [];
+        for (let i = 0; i < count; i++) {
+            readings.push(this.simulateCurrentReading(current));
+        }
+
+        const measurement = {
+            voltage,
+            ...this.summarizeReadings(readings),
+            measurements: count,
+            individualReadings: readings,
+            timestamp: Date.now(),
+            ...this.getMeasurementParameters(),
+            trueVoltage,
+            instrument: this.instrument.preset
+        };
+        return { measurement, current };
+    }
+
+    // Analysis
+
+    aggregateMeasurements(measurements, binWidth = this.state.binWidth) {
+        // Pool measurement sets whose voltages share a bin (binWidth 0 = identical voltages only).
+        // The pooled spread includes the scatter between sets, so drift between passes shows up in the SE.
+        const bins = new Map();
+        measurements.forEach(d => {
+            const key = binWidth > 0 ? Math.round(d.voltage / binWidth) : d.voltage.toFixed(6);
+            if (!bins.has(key)) bins.set(key, []);
+            bins.get(key).push(d);
+        });
+
+        return [...bins.values()].map(sets => {
+            const readings = sets.reduce((sum, d) => sum + d.measurements, 0);
+            const mean = sets.reduce((sum, d) => sum + d.measurements * d.mean, 0) / readings;
+            const variance = sets.reduce((sum, d) =>
+                sum + d.measurements * (d.standardDeviation ** 2 + (d.mean - mean) ** 2), 0) / readings;
+            const standardDeviation = Math.sqrt(variance);
+
+            return {
+                voltage: sets.reduce((sum, d) => sum + d.measurements * d.voltage, 0) / readings,
+                sets: sets.length,
+                readings,
+                mean,
+                standardDeviation,
+                standardError: standardDeviation / Math.sqrt(readings),
+                timestamp: Math.max(...sets.map(d => d.timestamp)),
+                members: sets
+            };
+        }).sort((a, b) => a.voltage - b.voltage);
+    }
+
+    toAnalysisPoints(measurements) {
+        if (this.state.binning) {
+            return this.aggregateMeasurements(measurements).map(bin => ({ x: bin.voltage, y: bin.mean, sigma: bin.standardError }));
+        }
+        return measurements.map(d => ({ x: d.voltage, y: d.mean, sigma: d.standardError }));
+    }
+
+    weightedLinearFit(xs, ys, sigmas) {
+        // Weighted least squares for y = slope * x + intercept
+        const weights = sigmas.map(s => 1 / (s * s));
+        const S = weights.reduce((a, b) => a + b, 0);
+        const Sx = weights.reduce((a, w, i) => a + w * xs[i], 0);
+        const Sy = weights.reduce((a, w, i) => a + w * ys[i], 0);
+        const Sxx = weights.reduce((a, w, i) => a + w * xs[i] * xs[i], 0);
+        const Sxy = weights.reduce((a, w, i) => a + w * xs[i] * ys[i], 0);
+        const delta = S * Sxx - Sx * Sx;
+
+        const slope = (S * Sxy - Sx * Sy) / delta;
+        const intercept = (Sxx * Sy - Sx * Sxy) / delta;
+
+        const residuals = xs.map((x, i) => ys[i] - (slope * x + intercept));
+        const chiSquared = residuals.reduce((a, r, i) => a + weights[i] * r * r, 0);
+        const dof = xs.length - 2;
+        const reducedChiSquared = dof > 0 ? chiSquared / dof : NaN;
+
+        // Inflate the parameter errors when the scatter exceeds the stated uncertainties
+        const scale = dof > 0 ? Math.sqrt(Math.max(1, reducedChiSquared)) : 1;
+
+        return {
+            slope,
+            intercept,
+            slopeError: Math.sqrt(S / delta) * scale,
+            interceptError: Math.sqrt(Sxx / delta) * scale,
+            covariance: -Sx / delta * scale * scale,
+            residuals,
+            chiSquared,
+            reducedChiSquared
+        };
+    }
+
+    estimateStoppingPotential(points, method = this.state.analysisMethod) {
+        if (points.length < 3) return null;
+
+        // Walk down from the most positive voltage towards the cut-off
+        const sorted = [...points].sort((a, b) => b.x - a.x);
+        const currents = sorted.map(p => p.y);
+        const saturation = Math.max(...currents);
+        const baseline = Math.min(...currents);
+        const span = saturation - baseline;
+        if (span <= 0) return null;
+
+        // Currents below the detection limit are indistinguishable from the baseline
+        const sigmas = sorted.map(p => p.sigma || 0).sort((a, b) => a - b);
+        const noise = sigmas[Math.floor(sigmas.length / 2)];
+        const detectionLimit = baseline + Math.max(0.001 * span, 3 * noise);
+
+        // The last point carrying current and the first one that does not bracket the cut-off
+        const crossingIndex = sorted.findIndex((p, i) => i > 0 && sorted[i - 1].y >= detectionLimit && p.y < detectionLimit);
+        if (crossingIndex < 0) return null;
+
+        const context = {
+            sorted,
+            baseline,
+            span,
+            detectionLimit,
+            above: sorted[crossingIndex - 1],
+            below: sorted[crossingIndex]
+        };
+
+        const estimators = {
+            'zero-crossing': () => this.estimateByZeroCrossing(context),
+            'tangent': () => this.estimateByTangent(context),
+            'exponential': () => this.estimateByExponentialTail(context)
+        };
+
+        const estimate = estimators[method] ? estimators[method]() : null;
+        if (!estimate || !isFinite(estimate.value)) return null;
+
+        // 95% confidence interval assuming a normally distributed estimate
+        return {
+            method,
+            value: estimate.value,
+            uncertainty: estimate.uncertainty,
+            ciLow: estimate.value - 1.96 * estimate.uncertainty,
+            ciHigh: estimate.value + 1.96 * estimate.uncertainty,
+            pointsUsed: estimate.pointsUsed
+        };
+    }
+
+    estimateByZeroCrossing({ above, below, detectionLimit }) {
+        // Linear interpolation to where the current reaches the detection limit
+        const fraction = (above.y - detectionLimit) / (above.y - below.y);
+        const crossing = above.x + fraction * (below.x - above.x);
+        return {
+            value: -crossing,
+            // The crossing is only known to lie within the bracketing interval
+            uncertainty: Math.abs(above.x - below.x) / Math.sqrt(12),
+            pointsUsed: 2
+        };
+    }
+
+    estimateByTangent({ sorted, baseline, span }) {
+        // Fit a straight line to the steep part of the retarding region and extrapolate to the baseline
+        const region = sorted.filter(p => p.y > baseline + 0.1 * span && p.y < baseline + 0.6 * span);
+        if (region.length < 2) return null;
+
+        const fit = this.weightedLinearFit(region.map(p => p.x), region.map(p => p.y),
+            region.map(p => Math.max(p.sigma || 0, 1e-6 * span)));
+        if (fit.slope <= 0) return null;
+
+        const crossing = (baseline - fit.intercept) / fit.slope;
+
+        // Propagate the slope/intercept covariance into the intercept on the voltage axis
+        const variance = (fit.interceptError ** 2 + crossing ** 2 * fit.slopeError ** 2 +
+            2 * crossing * fit.covariance) / (fit.slope ** 2);
+
+        return {
+            value: -crossing,
+            uncertainty: Math.sqrt(Math.max(variance, 0)),
+            pointsUsed: region.length
+        };
+    }
+
+    estimateByExponentialTail({ sorted, baseline, span, detectionLimit, above, below }) {
+        // Fit ln(I - baseline) against V over the tail of the retarding region, then
+        // find where the fitted exponential meets the detection limit
+        const tail = sorted.filter(p => p.y >= detectionLimit && p.y <= baseline + 0.5 * span);
+        if (tail.length < 2) return null;
+
+        const fit = this.weightedLinearFit(
+            tail.map(p => p.x),
+            tail.map(p => Math.log(p.y - baseline)),
+            tail.map(p => Math.max(p.sigma || 0, 1e-6 * span) / (p.y - baseline))
+        );
+        if (fit.slope <= 0) return null;
+
+        const logLimit = Math.log(detectionLimit - baseline);
+        const crossing = (logLimit - fit.intercept) / fit.slope;
+
+        // The current has already vanished at the first point below the detection limit,
+        // so the cut-off cannot lie outside the bracketing interval
+        const low = Math.min(above.x, below.x);
+        const high = Math.max(above.x, below.x);
+        if (crossing < low || crossing > high) {
+            return {
+                value: -Math.min(Math.max(crossing, low), high),
+                uncertainty: (high - low) / Math.sqrt(12),
+                pointsUsed: tail.length
+            };
+        }
+
+        const variance = (fit.interceptError ** 2 + crossing ** 2 * fit.slopeError ** 2 +
+            2 * crossing * fit.covariance) / (fit.slope ** 2);
+
+        return {
+            value: -crossing,
+            uncertainty: Math.sqrt(Math.max(variance, 0)),
+            pointsUsed: tail.length
+        };
+    }
+
+    getFitShape(model, voltage, stoppingPotential) {
+        // Normalized retarding-field curve: 1 in saturation, 0 beyond the stopping potential
+        if (voltage >= 0) return 1;
+        if (voltage <= -stoppingPotential) return 0;
+        return model === 'exponential'
+            ? Math.exp(voltage / stoppingPotential)
+            : Math.pow(1 + voltage / stoppingPotential, 2);
+    }
+
+    fitPhotocurrentModel(points, model) {
+        // I(V) = I_sat·shape(V; V_s) + offset. For a fixed V_s the amplitude and offset follow from
+        // weighted linear least squares, so only V_s needs a one-dimensional search.
+        const maxStoppingPotential = -Math.min(...points.map(p => p.x)) * 1.2;
+        if (points.length < 4 || !(maxStoppingPotential > 0)) return null;
+
+        // Averaging cannot beat the ammeter's quantization (LSB/√12), so add it to each point's σ
+        const counts = this.instrument.ammeterCounts;
+        const weights = points.map(p => {
+            const quantization = counts > 0 ? this.getAmmeterRange(p.y) / counts / Math.sqrt(12) : 0;
+            return 1 / Math.max(p.sigma * p.sigma + quantization * quantization, 1e-18);
+        });
+
+        const solve = stoppingPotential => {
+            let S = 0, Ss = 0, Sss = 0, Sy = 0, Ssy = 0;
+            points.forEach((p, i) => {
+                const shape = this.getFitShape(model, p.x, stoppingPotential);
+                S += weights[i];
+                Ss += weights[i] * shape;
+                Sss += weights[i] * shape * shape;
+                Sy += weights[i] * p.y;
+                Ssy += weights[i] * shape * p.y;
+            });
+            const delta = S * Sss - Ss * Ss;
+            if (!(delta > 1e-12 * S * Sss)) return null; // every point in saturation or cut off
+
+            const amplitude = (S * Ssy - Ss * Sy) / delta;
+            const offset = (Sss * Sy - Ss * Ssy) / delta;
+            const chiSquared = points.reduce((sum, p, i) => {
+                const residual = p.y - amplitude * this.getFitShape(model, p.x, stoppingPotential) - offset;
+                return sum + weights[i] * residual * residual;
+            }, 0);
+            return {
+                stoppingPotential,
+                amplitude,
+                offset,
+                amplitudeError: Math.sqrt(S / delta),
+                offsetError: Math.sqrt(Sss / delta),
+                chiSquared
+            };
+        };
+        const chiSquaredAt = v => {
+            const result = v > 0 ? solve(v) : null;
+            return result ? result.chiSquared : Infinity;
+        };
+
+        // Coarse scan, then golden-section refinement around the best grid point
+        const steps = 200;
+        let bestStep = 0;
+        let bestChiSquared = Infinity;
+        for (let i = 1; i <= steps; i++) {
+            const chiSquared = chiSquaredAt(maxStoppingPotential * i / steps);
+            if (chiSquared < bestChiSquared) {
+                bestChiSquared = chiSquared;
+                bestStep = i;
+            }
+        }
+        if (bestStep === 0) return null;
+
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let low = maxStoppingPotential * (bestStep - 1) / steps;
+        let high = maxStoppingPotential * (bestStep + 1) / steps;
+        for (let i = 0; i < 40; i++) {
+            const a = high - ratio * (high - low);
+            const b = low + ratio * (high - low);
+            if (chiSquaredAt(a) < chiSquaredAt(b)) {
+                high = b;
+            } else {
+                low = a;
+            }
+        }
+        const best = solve((low + high) / 2) || solve(maxStoppingPotential * bestStep / steps);
+
+        // V_s uncertainty from the χ² curvature (Δχ² = 1)
+        const v = best.stoppingPotential;
+        const h = Math.max(v * 1e-3, 1e-5);
+        const curvature = (chiSquaredAt(v + h) - 2 * best.chiSquared + chiSquaredAt(v - h)) / (h * h);
+
+        const dof = points.length - 3;
+        const reducedChiSquared = dof > 0 ? best.chiSquared / dof : NaN;
+        const scale = dof > 0 ? Math.sqrt(Math.max(1, reducedChiSquared)) : 1;
+
+        return {
+            model,
+            saturationCurrent: best.amplitude,
+            saturationCurrentError: best.amplitudeError * scale,
+            stoppingPotential: v,
+            stoppingPotentialError: curvature > 0 ? Math.sqrt(2 / curvature) * scale : NaN,
+            offset: best.offset,
+            offsetError: best.offsetError * scale,
+            chiSquared: best.chiSquared,
+            reducedChiSquared,
+            dof
+        };
+    }
+
+    savitzkyGolayDerivative(points, window = 7, order = 2) {
+        // dy/dx at each point from a least-squares polynomial through its `window` nearest neighbours
+        // (Savitzky-Golay, generalised to uneven spacing). Points must be sorted by x with distinct x.
+        // The slope is a fixed linear combination Σ c·y, so its error follows from each point's σ.
+        if (points.length < Math.max(window, order + 2)) return [];
+        const half = Math.floor(window / 2);
+
+        return points.map((point, i) => {
+            // Near the ends the window stays full and shifts inwards
+            const start = Math.min(Math.max(i - half, 0), points.length - window);
+            const neighbours = points.slice(start, start + window);
+            const coefficients = this.getPolynomialSlopeCoefficients(neighbours.map(p => p.x - point.x), order);
+            if (!coefficients) return null;
+
+            const slope = neighbours.reduce((sum, p, j) => sum + coefficients[j] * p.y, 0);
+            const variance = neighbours.reduce((sum, p, j) => sum + Math.pow(coefficients[j] * (p.sigma || 0), 2), 0);
+            return { x: point.x, slope, error: Math.sqrt(variance) };
+        }).filter(Boolean);
+    }
+
+    getPolynomialSlopeCoefficients(offsets, order) {
+        // Weights c_j such that Σ c_j·y_j is the fitted polynomial's slope at offset 0: the slope is the
+        // linear coefficient, so solve (XᵀX)z = e₁ and take c_j = Σ_k z_k·d_j^k
+        const size = order + 1;
+        const matrix = Array.from({ length: size }, (_, row) =>
+            Array.from({ length: size }, (_, column) =>
+                offsets.reduce((sum, d) => sum + Math.pow(d, row + column), 0)));
+        const rhs = Array.from({ length: size }, (_, row) => (row === 1 ? 1 : 0));
+
+        // Gaussian elimination with partial pivoting
+        for (let column = 0; column < size; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < size; row++) {
+                if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) pivot = row;
+            }
+            if (!(Math.abs(matrix[pivot][column]) > 1e-14)) return null;
+            [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+            [rhs[column], rhs[pivot]] = [rhs[pivot], rhs[column]];
+
+            for (let row = column + 1; row < size; row++) {
+                const factor = matrix[row][column] / matrix[column][column];
+                for (let k = column; k < size; k++) matrix[row][k] -= factor * matrix[column][k];
+                rhs[row] -= factor * rhs[column];
+            }
+        }
+        const z = new Array(size).fill(0);
+        for (let row = size - 1; row >= 0; row--) {
+            let sum = rhs[row];
+            for (let k = row + 1; k < size; k++) sum -= matrix[row][k] * z[k];
+            z[row] = sum / matrix[row][row];
+        }
+
+        return offsets.map(d => z.reduce((sum, zk, k) => sum + zk * Math.pow(d, k), 0));
+    }
+
+    computeRetardingSpectrum(points, window = 7, order = 2) {
+        // Electron energy spectrum −dI/dV_R from the retarding part of an I-V curve: with the
+        // retarding potential V_R = −V, the electrons stopped between V_R and V_R + dV_R have energy eV_R
+        return this.savitzkyGolayDerivative(points, window, order)
+            .map(({ x, slope, error }) => ({ energy: -x, value: slope, error }))
+            .sort((a, b) => a.energy - b.energy);
+    }
+
+    modelRetardingSpectrum(low, high, samples = 200) {
+        // The same spectrum from the current model's I-V curve (ideal instrument), by central differences
+        const step = (high - low) / samples;
+        if (!(step > 0)) return [];
+        const h = step / 2;
+        return Array.from({ length: samples + 1 }, (_, i) => {
+            const voltage = low + i * step;
+            const slope = (this.calculatePhysics(voltage + h).current - this.calculatePhysics(voltage - h).current) / (2 * h);
+            return { energy: -voltage, value: slope };
+        }).sort((a, b) => a.energy - b.energy);
+    }
+
+    // Data files
+
+    getMeasurementWorkFunction(data) {
+        // Recorded with the measurement; older data falls back to the library entry of the same name
+        if (data.workFunction === null) return NaN; // withheld, as in the UI's unknown-material challenge
+        if (data.workFunction !== undefined) return data.workFunction;
+        const material = this.materials.find(m => m.name === data.material);
+        return material ? material.workFunction : NaN;
+    }
+
+    csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    buildDataCsv(measurements) {
+        // One row per measurement set in the csvColumns layout, readings joined with ';'
+        let csvContent = this.csvColumns.join(',') + '\n';
+
+        measurements.forEach(data => {
+            const photonEnergy = this.getPhotonEnergy(data.wavelength);
+            const row = [
+                new Date(data.timestamp).toISOString(),
+                this.csvField(data.material),
+                this.getMeasurementWorkFunction(data).toFixed(6),
+                data.wavelength,
+                photonEnergy.toFixed(6),
+                data.intensity,
+                data.area,
+                data.voltage.toFixed(6),
+                data.mean.toFixed(6),
+                data.standardDeviation.toFixed(6),
+                data.standardError.toFixed(6),
+                data.measurements,
+                '"' + data.individualReadings.map(r => r.toFixed(6)).join(';') + '"'
+            ];
+            csvContent += row.join(',') + '\n';
+        });
+
+        return csvContent;
+    }
+
+    parseDataCsv(text) {
+        // Returns { entries: [{ row, raw }] } or { error }; the layout is the one exportAllData() writes
+        const lines = text.split(/\r?\n/);
+        const header = this.parseCsvLine(lines[0] || '').map(h => h.trim());
+        const missing = this.csvColumns.filter(column => !header.includes(column));
+        if (missing.length > 0) {
+            return { error: `missing column(s) ${missing.join(', ')}` };
+        }
+
+        const entries = [];
+        lines.slice(1).forEach((line, index) => {
+            if (!line.trim()) return;
+            const fields = this.parseCsvLine(line);
+            const value = column => (fields[header.indexOf(column)] || '').trim();
+            const row = index + 2;
+
+            if (fields.length !== header.length) {
+                entries.push({ row, raw: { error: `expected ${header.length} fields, found ${fields.length}` } });
+                return;
+            }
+
+            const readings = value('Individual_Readings');
+            entries.push({
+                row,
+                raw: {
+                    timestamp: value('Timestamp'),
+                    material: value('Material'),
+                    workFunction: value('Work_Function_eV'),
+                    wavelength: value('Wavelength_nm'),
+                    intensity: value('Intensity_W_per_m2'),
+                    area: value('Area_cm2'),
+                    voltage: value('Applied_Voltage_V'),
+                    mean: value('Mean_Current_uA'),
+                    standardDeviation: value('Standard_Deviation_uA'),
+                    standardError: value('Standard_Error_uA'),
+                    measurements: value('Measurements_Count'),
+                    individualReadings: readings ? readings.split(';') : []
+                }
+            });
+        });
+
+        return { entries };
+    }
+
+    parseCsvLine(line) {
+        // Split on commas outside double quotes; "" inside quotes is a literal quote
+        const fields = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field);
+        return fields;
+    }
+
+    parseDataJson(text) {
+        // Accepts an array of measurements, or any object with a "measurements" array (e.g. a session file)
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { error: 'not valid JSON' };
+        }
+
+        const list = Array.isArray(data) ? data : data && data.measurements;
+        if (!Array.isArray(list)) {
+            return { error: 'no "measurements" array found' };
+        }
+        return { entries: list.map((raw, index) => ({ row: index + 1, raw })) };
+    }
+
+    normalizeMeasurement(raw) {
+        // Validate an imported measurement; returns { measurement } or { error }
+        if (!raw || typeof raw !== 'object') return { error: 'entry is not an object' };
+        if (raw.error) return { error: raw.error };
+
+        const number = key => (raw[key] === '' || raw[key] === null ? NaN : Number(raw[key]));
+        const timestamp = typeof raw.timestamp === 'number' ? raw.timestamp : Date.parse(raw.timestamp);
+        const material = String(raw.material || '').trim();
+        const [voltage, mean, standardDeviation, standardError, wavelength, intensity, area, count] =
+            ['voltage', 'mean', 'standardDeviation', 'standardError', 'wavelength', 'intensity', 'area', 'measurements'].map(number);
+
+        if (isNaN(timestamp)) return { error: 'invalid timestamp' };
+        if (!material) return { error: 'material is missing' };
+        if (!isFinite(voltage)) return { error: 'invalid voltage' };
+        if (!isFinite(mean)) return { error: 'invalid mean current' };
+        if (!(standardDeviation >= 0) || !(standardError >= 0)) return { error: 'invalid standard deviation or error' };
+        if (!(wavelength > 0) || !(intensity >= 0) || !(area > 0)) return { error: 'invalid wavelength, intensity or area' };
+        if (!Number.isInteger(count) || count < 1) return { error: 'invalid measurement count' };
+
+        const readings = Array.isArray(raw.individualReadings) ? raw.individualReadings.map(Number) : [];
+        if (readings.some(r => !isFinite(r))) return { error: 'non-numeric individual reading' };
+        if (readings.length > 0 && readings.length !== count) {
+            return { error: `${readings.length} readings but a count of ${count}` };
+        }
+
+        const measurement = {
+            voltage,
+            mean,
+            standardDeviation,
+            standardError,
+            measurements: count,
+            individualReadings: readings,
+            timestamp,
+            material,
+            wavelength,
+            intensity,
+            area
+        };
+
+        // Keep the recorded work function, which may differ from today's library value
+        const workFunction = number('workFunction');
+        if (isFinite(workFunction)) measurement.workFunction = workFunction;
+
+        return { measurement };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhotoelectricCore };
+}
\ No newline at end of file
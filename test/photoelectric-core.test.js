@@ -0,0 +1,303 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PhotoelectricCore } = require('../photoelectric-core.js');
+
+// A core with a noise-free instrument, so readings equal the model current
+function createCore(state = {}) {
+    const core = new PhotoelectricCore();
+    core.instrument = { preset: 'ideal', ...core.instrumentPresets.ideal };
+    Object.assign(core.state, state);
+    return core;
+}
+
+function material(core, symbol) {
+    return core.materials.find(m => m.symbol === symbol);
+}
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+// hc in eV·nm with the simulator's constants
+const HC = 4.136e-15 * 2.998e8 * 1e9;
+
+test('threshold wavelength is hc/φ in nanometres for every built-in material', () => {
+    const core = createCore();
+    const expected = { Cs: 590.46, Na: 543.85, K: 539.12, Al: 303.91, Cu: 263.82, Ag: 262.15, Au: 243.13 };
+
+    core.materials.forEach(m => {
+        core.state.currentMaterial = m;
+        const { thresholdWavelength } = core.calculatePhysics();
+        assertClose(thresholdWavelength, expected[m.symbol], 0.01, `${m.name} threshold`);
+        assertClose(thresholdWavelength, HC / m.workFunction, 1e-9, `${m.name} hc/φ`);
+    });
+});
+
+test('emission starts at the threshold wavelength', () => {
+    const core = createCore({ currentModel: 'textbook' });
+    core.state.currentMaterial = material(core, 'Na');
+    const threshold = core.calculatePhysics().thresholdWavelength;
+
+    core.state.wavelength = threshold - 1;
+    assert.equal(core.calculatePhysics().isEmission, true);
+    core.state.wavelength = threshold + 1;
+    const below = core.calculatePhysics();
+    assert.equal(below.isEmission, false);
+    assert.equal(below.current, 0);
+    assert.equal(below.stoppingPotential, 0);
+});
+
+test('a tabulated QE curve sets in at the threshold, not across the whole table', () => {
+    const core = createCore();
+    const sodium = material(core, 'Na');
+    const custom = { ...sodium, qe: undefined, qeCurve: [{ wavelength: 300, qe: 0.02 }, { wavelength: 700, qe: 0.02 }] };
+    core.state.currentMaterial = custom;
+    const qeAt = wavelength => {
+        core.state.wavelength = wavelength;
+        return core.calculatePhysics().quantumEfficiency;
+    };
+    const threshold = core.calculatePhysics().thresholdWavelength;
+
+    assertClose(qeAt(400), 0.02, 1e-12, 'well above threshold the tabulated QE applies in full');
+    assert.ok(qeAt(threshold + 40) < 1e-3 * 0.02, 'below threshold only the thermal tail is left');
+    assert.ok(qeAt(threshold - 5) < qeAt(threshold - 15), 'QE rises through the onset');
+    assert.ok(qeAt(threshold - 15) < 0.02);
+});
+
+test('stopping potential is hf − φ', () => {
+    const core = createCore();
+    [['Cs', 400], ['Na', 300], ['Cu', 200], ['Au', 150]].forEach(([symbol, wavelength]) => {
+        core.state.currentMaterial = material(core, symbol);
+        core.state.wavelength = wavelength;
+        const physics = core.calculatePhysics();
+        assertClose(physics.photonEnergy, HC / wavelength, 1e-9, `${symbol} photon energy`);
+        assertClose(physics.stoppingPotential, HC / wavelength - material(core, symbol).workFunction, 1e-9,
+            `${symbol} at ${wavelength} nm`);
+    });
+});
+
+test('textbook current saturates, falls through the retarding region and cuts off at −V_s', () => {
+    const core = createCore({ currentModel: 'textbook', wavelength: 400 });
+    const stoppingPotential = core.calculatePhysics().stoppingPotential;
+    const current = voltage => core.calculatePhysics(voltage).current;
+    const saturation = core.state.intensity * core.state.area * 0.001;
+
+    [0, 1, 5].forEach(v => assertClose(current(v), saturation, 1e-12, `saturation at ${v} V`));
+    assert.equal(current(-stoppingPotential - 0.01), 0);
+
+    let previous = 0;
+    for (let v = -stoppingPotential; v <= 0; v += 0.05) {
+        const value = current(v);
+        assert.ok(value >= previous, `current rises with voltage at ${v.toFixed(2)} V`);
+        assert.ok(value <= saturation);
+        previous = value;
+    }
+});
+
+test('physical-model current is monotonic and vanishes past the stopping potential', () => {
+    const core = createCore({ wavelength: 350 });
+    const physics = core.calculatePhysics();
+    const saturation = physics.saturationCurrent;
+    assert.ok(saturation > 0);
+
+    let previous = -Infinity;
+    for (let v = -3; v <= 2; v += 0.1) {
+        const value = core.calculatePhysics(v).current;
+        assert.ok(value >= previous - 1e-15, `current rises with voltage at ${v.toFixed(1)} V`);
+        previous = value;
+    }
+    assert.ok(core.calculatePhysics(-physics.stoppingPotential - 0.3).current < 1e-4 * saturation);
+    assertClose(core.calculatePhysics(2).current, saturation, 1e-12, 'saturated at +2 V');
+});
+
+test('sampled electron energies follow the model and stop at KE_max', () => {
+    // At 0 K the normal-energy distribution is triangular, so P(KE > E) = (1 − E/KE_max)²
+    const core = createCore({ temperature: 0 });
+    const cesium = material(core, 'Cs');
+    const photonEnergy = core.getPhotonEnergy(400);
+    const maxKineticEnergy = photonEnergy - cesium.workFunction;
+
+    [0.99, 0.75, 0.5, 0.25, 0.01].forEach(quantile => {
+        const energy = core.sampleElectronEnergy(cesium, photonEnergy, quantile);
+        assertClose(energy, maxKineticEnergy * (1 - Math.sqrt(quantile)), 1e-5, `quantile ${quantile}`);
+    });
+    assert.equal(core.sampleElectronEnergy(cesium, core.getPhotonEnergy(700), 0.5), 0);
+
+    core.state.currentModel = 'textbook';
+    assert.ok(core.sampleElectronEnergy(cesium, photonEnergy, 1e-6) <= maxKineticEnergy + 1e-5);
+});
+
+test('tabulated electron energies match the bisection draw', () => {
+    const core = createCore();
+    const cesium = material(core, 'Cs');
+    const photonEnergy = core.getPhotonEnergy(400);
+    const quantiles = [0.999, 0.9, 0.5, 0.368, 0.367, 0.1, 0.01, 1e-6];
+
+    ['physical', 'textbook'].forEach(model => {
+        core.state.currentModel = model;
+        const sample = core.getElectronEnergySampler(cesium, photonEnergy);
+        quantiles.forEach(quantile => {
+            assertClose(sample(quantile), core.sampleElectronEnergy(cesium, photonEnergy, quantile), 5e-3,
+                `${model} model, quantile ${quantile}`);
+        });
+    });
+
+    // The textbook model's step at the cut-off must not leak electrons past KE_max
+    assert.ok(core.getElectronEnergySampler(cesium, photonEnergy)(1e-6) <= photonEnergy - cesium.workFunction + 1e-6);
+    assert.equal(core.getElectronEnergySampler(cesium, core.getPhotonEnergy(700))(0.5), 0);
+});
+
+test('single-photon events reproduce the photon rate, quantum yield and collected fraction', () => {
+    const core = createCore({ temperature: 0 });
+    core.state.currentMaterial = material(core, 'Cs');
+    const photonEnergy = core.getPhotonEnergy(core.state.wavelength);
+    const maxKineticEnergy = photonEnergy - core.state.currentMaterial.workFunction;
+    const physics = core.calculatePhysics();
+
+    // About 20 000 photons; counts should agree with their expectations to within 5σ
+    const attenuation = 2e4 / physics.photonFlux;
+    const { rate, photons, events } = core.simulatePhotonEvents(1, -0.5, attenuation);
+    assertClose(rate, 2e4, 1e-6, 'photon rate');
+    assertClose(photons, 2e4, 5 * Math.sqrt(2e4), 'photon count');
+
+    const quantumYield = core.getQuantumYield(core.state.currentMaterial, photonEnergy);
+    assertClose(quantumYield, physics.quantumEfficiency, 1e-12, 'quantum yield');
+    const expected = photons * quantumYield;
+    assertClose(events.length, expected, 5 * Math.sqrt(expected), 'emitted electrons');
+    assert.ok(events.every(e => e.kineticEnergy >= 0 && e.kineticEnergy <= maxKineticEnergy + 1e-5));
+
+    const fraction = Math.pow(1 - 0.5 / maxKineticEnergy, 2);
+    const collected = events.filter(e => e.collected).length;
+    assertClose(collected / events.length, fraction, 5 * Math.sqrt(fraction * (1 - fraction) / events.length),
+        'collected fraction at −0.5 V');
+    assert.ok(events.every(e => e.collected === e.kineticEnergy > 0.5));
+});
+
+test('saturation current scales with intensity and area but V_s does not', () => {
+    const core = createCore({ wavelength: 350 });
+    const base = core.calculatePhysics();
+
+    core.state.intensity *= 2;
+    const brighter = core.calculatePhysics();
+    assertClose(brighter.saturationCurrent / base.saturationCurrent, 2, 1e-9, 'double intensity');
+    assert.equal(brighter.stoppingPotential, base.stoppingPotential);
+
+    core.state.area *= 3;
+    assertClose(core.calculatePhysics().saturationCurrent / base.saturationCurrent, 6, 1e-9, 'triple area');
+});
+
+test('measurement statistics of a set of readings', () => {
+    const core = createCore();
+    const stats = core.summarizeReadings([1, 2, 3, 4]);
+    assert.equal(stats.mean, 2.5);
+    assertClose(stats.standardDeviation, Math.sqrt(1.25), 1e-12, 'population SD');
+    assertClose(stats.standardError, Math.sqrt(1.25) / 2, 1e-12, 'SE');
+
+    core.state.voltage = 1;
+    const { measurement, current } = core.measureCurrent(1, 50);
+    assert.equal(measurement.measurements, 50);
+    assert.equal(measurement.individualReadings.length, 50);
+    assertClose(measurement.mean, current, 1e-12 * current, 'noise-free mean');
+    assertClose(measurement.standardDeviation, 0, 1e-12 * current, 'noise-free SD');
+    assert.equal(measurement.material, 'Cesium');
+    assert.equal(measurement.workFunction, 2.10);
+});
+
+test('stopping potential estimated from a simulated I-V scan', () => {
+    const core = createCore({ currentModel: 'textbook', wavelength: 400 });
+    const expected = core.calculatePhysics().stoppingPotential;
+    const points = [];
+    for (let v = 1; v >= -2; v -= 0.02) {
+        points.push({ x: v, y: core.calculatePhysics(v).current, sigma: 0 });
+    }
+
+    const estimate = core.estimateStoppingPotential(points, 'zero-crossing');
+    assert.ok(estimate);
+    assertClose(estimate.value, expected, 0.02, 'zero-crossing V_s');
+});
+
+test('Savitzky-Golay derivative is exact for polynomials up to its order, even unevenly spaced', () => {
+    const core = createCore();
+    const xs = [-2, -1.7, -1.5, -1.1, -1, -0.6, -0.55, -0.2, 0.1, 0.5, 0.6, 1];
+    const points = xs.map(x => ({ x, y: 3 * x ** 3 - x + 2, sigma: 0.01 }));
+
+    const derivative = core.savitzkyGolayDerivative(points, 7, 3);
+    assert.equal(derivative.length, xs.length);
+    derivative.forEach(({ x, slope, error }) => {
+        assertClose(slope, 9 * x * x - 1, 1e-8, `slope at ${x}`);
+        assert.ok(error > 0);
+    });
+    assert.deepEqual(core.savitzkyGolayDerivative(points.slice(0, 4), 7, 3), []);
+});
+
+test('retarding-field spectrum of a measured I-V curve matches the model distribution', () => {
+    // At 0 K the spectrum is the triangle 2·I_sat·(KE_max − E)/KE_max², cut off at KE_max
+    const core = createCore({ temperature: 0, wavelength: 400 });
+    const { saturationCurrent, maxKineticEnergy } = core.calculatePhysics();
+    const points = [];
+    for (let i = 0; i <= 150; i++) {
+        const x = -2 + i * 0.02;
+        points.push({ x, y: core.calculatePhysics(x).current, sigma: 0 });
+    }
+
+    const spectrum = core.computeRetardingSpectrum(points, 5, 2);
+    const triangle = energy => 2 * saturationCurrent * Math.max(maxKineticEnergy - energy, 0) / maxKineticEnergy ** 2;
+    [0.2, 0.5, 0.8].forEach(energy => {
+        const point = spectrum.find(p => Math.abs(p.energy - energy) < 1e-9);
+        assertClose(point.value, triangle(energy), 1e-6 * saturationCurrent, `spectrum at ${energy} eV`);
+    });
+    assert.ok(spectrum.filter(p => p.energy > maxKineticEnergy + 0.1).every(p => Math.abs(p.value) < 1e-12));
+
+    const model = core.modelRetardingSpectrum(-2, 1, 150);
+    assert.ok(model.every((p, i) => i === 0 || p.energy > model[i - 1].energy));
+    assertClose(model.find(p => Math.abs(p.energy - 0.5) < 1e-9).value, triangle(0.5), 1e-6 * saturationCurrent, 'model spectrum');
+});
+
+test('weighted linear fit recovers an exact line', () => {
+    const core = createCore();
+    const xs = [1, 2, 3, 4, 5];
+    const fit = core.weightedLinearFit(xs, xs.map(x => 0.5 * x - 2), xs.map(() => 0.1));
+    assertClose(fit.slope, 0.5, 1e-12, 'slope');
+    assertClose(fit.intercept, -2, 1e-12, 'intercept');
+    assertClose(fit.chiSquared, 0, 1e-18, 'χ²');
+});
+
+test('data CSV layout', () => {
+    const core = createCore({ wavelength: 400, voltage: -0.5 });
+    core.state.currentMaterial = { ...material(core, 'Cs'), name: 'Cesium, "aged"' };
+    const { measurement } = core.measureCurrent(-0.5, 3);
+    measurement.timestamp = Date.UTC(2024, 0, 2, 3, 4, 5);
+
+    const lines = core.buildDataCsv([measurement]).split('\n');
+    assert.equal(lines[0], 'Timestamp,Material,Work_Function_eV,Wavelength_nm,Photon_Energy_eV,Intensity_W_per_m2,' +
+        'Area_cm2,Applied_Voltage_V,Mean_Current_uA,Standard_Deviation_uA,Standard_Error_uA,Measurements_Count,' +
+        'Individual_Readings');
+    assert.equal(lines[2], '');
+
+    const fields = core.parseCsvLine(lines[1]);
+    assert.equal(fields.length, core.csvColumns.length);
+    assert.deepEqual(fields.slice(0, 8), [
+        '2024-01-02T03:04:05.000Z', 'Cesium, "aged"', '2.100000', '400', (HC / 400).toFixed(6), '5', '0.1', '-0.500000'
+    ]);
+    assert.equal(fields[11], '3');
+    assert.deepEqual(fields[12].split(';'), measurement.individualReadings.map(r => r.toFixed(6)));
+});
+
+test('data CSV round-trips through the importer', () => {
+    const core = createCore({ wavelength: 300 });
+    const measurements = [-1, 0, 1].map(v => core.measureCurrent(v, 4).measurement);
+    const { entries, error } = core.parseDataCsv(core.buildDataCsv(measurements));
+    assert.equal(error, undefined);
+    assert.equal(entries.length, 3);
+
+    entries.forEach(({ raw }, i) => {
+        const { measurement, error: rowError } = core.normalizeMeasurement(raw);
+        assert.equal(rowError, undefined);
+        assert.equal(measurement.voltage, measurements[i].voltage);
+        assertClose(measurement.mean, measurements[i].mean, 1e-6, 'mean');
+        assert.equal(measurement.workFunction, 2.10);
+        assert.equal(measurement.individualReadings.length, 4);
+    });
+
+    assert.match(core.parseDataCsv('Timestamp,Material\n').error, /missing column/);
+});